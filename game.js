@@ -15,12 +15,13 @@
 const CANVAS_WIDTH = 800;
 const CANVAS_HEIGHT = 600;
 const TILE_SIZE = 40;
-const GRID_WIDTH = CANVAS_WIDTH / TILE_SIZE;
+const GRID_WIDTH = CANVAS_WIDTH / TILE_SIZE;   // Default room size in tiles (one screen)
 const GRID_HEIGHT = CANVAS_HEIGHT / TILE_SIZE;
 
 // Attribute System Constants
 const ATTRIBUTE_CAP = 100;
 const ATTRIBUTE_POINTS_PER_LEVEL = 3;
+const SPELL_POINTS_PER_LEVEL = 1;
 const FUTURE_ATTRIBUTES = ['intelligence', 'wisdom'];
 const MAGIC_ATTR_WARNING_KEY = 'hasSeenMagicAttrWarning';
 
@@ -32,6 +33,34 @@ const MAX_DELTA_TIME = 100;        // Maximum deltaTime cap (100ms = 10 FPS mini
 const ENEMY_ATTACK_COOLDOWN = 1000; // 1 second in milliseconds (was 60 frames @ 60 FPS)
 const DODGE_PARTICLE_COLOR = '#88ff88'; // Soft green for dodge visual feedback
 
+// Damage Constants (see DamageSystem)
+const DAMAGE_TYPES = {
+    PHYSICAL: 'physical',   // Reduced by defense
+    MAGICAL: 'magical'      // Reduced by magicDefense
+};
+const DAMAGE_CONSTANTS = {
+    DEFENSE_FACTOR: 0.5,    // Each point of (magic) defense blocks half a point of damage
+    CRIT_MULTIPLIER: 2.0,   // Critical hits deal 2x damage
+    MAX_RESISTANCE: 0.9,    // Resistances reduce damage by at most 90%
+    MIN_DAMAGE: 1           // Hits that land always deal at least 1
+};
+
+// Pathfinding Constants (see Pathfinding)
+const PATHFINDING_CONSTANTS = {
+    FRAME_BUDGET_MS: 2,         // Max time per frame spent expanding flow fields
+    NODES_PER_SLICE: 64,        // Tiles settled between budget checks
+    MAX_CACHED_FIELDS: 8,       // Flow fields kept for reuse (least recently used dropped)
+    NEIGHBOURS: [[1, 0], [-1, 0], [0, 1], [0, -1]]
+};
+
+// Projectile Constants
+const PROJECTILE_CONSTANTS = {
+    POOL_SIZE: 64,              // Max active projectiles (oldest is recycled beyond this)
+    DEFAULT_RADIUS: 5,          // pixels
+    DEFAULT_TURN_RATE: Math.PI * 2, // Homing turn speed (radians per second)
+    LIFETIME_RANGE_FACTOR: 1.5  // Default lifetime = time to cover range * factor
+};
+
 // Magic System Constants (Phase 1)
 const MAGIC_CONSTANTS = {
     BASE_MANA: 150,
@@ -46,10 +75,24 @@ const MAGIC_CONSTANTS = {
         LINE: 'line',                 // Line from player
         LINE_GROUND: 'line_ground'    // Line independent of player
     },
-    PARTICLE_POOL_SIZE: 300 // Max active particles
+    PARTICLE_POOL_SIZE: 300, // Max active particles
+    TARGETING_TIME_SCALE: 0.5,   // Slow-motion while aiming ground-targeted spells
+    TARGETING_CURSOR_SPEED: 300, // Joystick aim speed (world pixels per second)
+    CAST_MOVE_TOLERANCE: 2,      // Pixels the caster may drift before a cast counts as moved
+    DEFAULT_CHANNEL_TICK: 500    // Channel tick interval when a spell doesn't set one (ms)
 }
 
 // Ability Definitions (Phase 2)
+// Optional casting fields:
+//   castTime          - ms before the spell goes off; mana and cooldowns are spent on completion
+//   channelDuration   - ms the effect repeats for after casting (damage/healing is per tick)
+//   channelTickInterval - ms between channel ticks (default MAGIC_CONSTANTS.DEFAULT_CHANNEL_TICK)
+//   interruptOnMove   - moving cancels the cast/channel (default true)
+//   interruptOnDamage - taking a hit cancels the cast/channel (default true)
+// Ranks: maxRank (default 1) and rankBonus, added once per rank above 1.
+//   rankBonus keys must be in RANKABLE_STATS, e.g. { damage: 8, manaCost: -2 }
+const RANKABLE_STATS = ['damage', 'healing', 'radius', 'range', 'width', 'length', 'manaCost'];
+
 const ABILITIES = {
     magic_missile: {
         id: 'magic_missile',
@@ -61,7 +104,11 @@ const ABILITIES = {
         targetingMode: MAGIC_CONSTANTS.TARGETING_MODES.ENEMY_TARGET,
         range: 250,
         damage: 15,
+        projectileSpeed: 450,   // pixels per second
+        projectileHoming: true,
         color: '#9c27b0',
+        maxRank: 5,
+        rankBonus: { damage: 5 },
         unlockLevel: 1
     },
 
@@ -76,7 +123,10 @@ const ABILITIES = {
         range: 300,
         radius: 60,
         damage: 30,
+        statusEffects: [{ id: 'burn', duration: 3000, magnitude: 3 }],
         color: '#ff6600',
+        maxRank: 5,
+        rankBonus: { damage: 8, radius: 8 },
         unlockLevel: 2
     },
 
@@ -91,9 +141,10 @@ const ABILITIES = {
         range: 0,
         radius: 100,
         damage: 20,
-        slow: 0.5,           // 50% slow
-        slowDuration: 2000,  // 2 seconds
+        statusEffects: [{ id: 'slow', duration: 2000, magnitude: 0.5 }],  // 50% slow for 2 seconds
         color: '#00bfff',
+        maxRank: 5,
+        rankBonus: { damage: 5, radius: 10 },
         unlockLevel: 3
     },
 
@@ -109,6 +160,8 @@ const ABILITIES = {
         width: 30,
         damage: 35,
         color: '#ffeb3b',
+        maxRank: 5,
+        rankBonus: { damage: 8, range: 20 },
         unlockLevel: 4
     },
 
@@ -122,7 +175,13 @@ const ABILITIES = {
         targetingMode: MAGIC_CONSTANTS.TARGETING_MODES.ENEMY_TARGET,
         range: 200,
         damage: 50,
+        castTime: 1500,         // Long cast - stand still and don't get hit
+        projectileSpeed: 300,   // pixels per second
+        projectileHoming: true,
+        projectileRadius: 9,
         color: '#b388ff',
+        maxRank: 5,
+        rankBonus: { damage: 12, manaCost: -2 },
         unlockLevel: 5
     },
 
@@ -137,8 +196,11 @@ const ABILITIES = {
         range: 400,
         width: 60,
         length: 200,
+        eruptionDelay: 800,  // Flames erupt 0.8s after casting
         damage: 45,
         color: '#ff3d00',
+        maxRank: 5,
+        rankBonus: { damage: 10, length: 20 },
         unlockLevel: 6
     },
 
@@ -153,7 +215,10 @@ const ABILITIES = {
         range: 180,
         angle: 60,  // 60-degree cone
         damage: 40,
+        statusEffects: [{ id: 'burn', duration: 3000, magnitude: 4 }],
         color: '#ff4500',
+        maxRank: 5,
+        rankBonus: { damage: 8, range: 15 },
         unlockLevel: 7
     },
 
@@ -166,11 +231,449 @@ const ABILITIES = {
         cooldown: 8000,
         targetingMode: MAGIC_CONSTANTS.TARGETING_MODES.INSTANT_SELF,
         healing: 60,
+        selfStatusEffects: [{ id: 'regeneration', duration: 5000, magnitude: 3 }],
         color: '#4caf50',
+        maxRank: 5,
+        rankBonus: { healing: 15, manaCost: -2 },
         unlockLevel: 3
     }
 }
 
+// Status Effect Definitions
+// Abilities reference these by id in statusEffects (applied to targets hit)
+// and selfStatusEffects (applied to the caster). Each entry is { id, duration, magnitude }.
+// stacking: 'refresh' - reapplying resets duration and takes the new magnitude
+//           'stack'   - reapplying adds a stack (up to maxStacks) and resets duration
+//           'extend'  - reapplying adds the new duration to the time remaining
+// magnitude meaning depends on the effect: speed multiplier for slow/haste,
+// amount per tick for damage/heal effects
+const STATUS_EFFECTS = {
+    slow: {
+        id: 'slow',
+        name: 'Slowed',
+        icon: '❄️',
+        color: '#00bfff',
+        stacking: 'refresh',
+        modifiesSpeed: true
+    },
+    haste: {
+        id: 'haste',
+        name: 'Haste',
+        icon: '💨',
+        color: '#ffffff',
+        stacking: 'refresh',
+        modifiesSpeed: true
+    },
+    stun: {
+        id: 'stun',
+        name: 'Stunned',
+        icon: '💫',
+        color: '#ffeb3b',
+        stacking: 'refresh',
+        blocksMovement: true,
+        blocksActions: true
+    },
+    root: {
+        id: 'root',
+        name: 'Rooted',
+        icon: '🌿',
+        color: '#8bc34a',
+        stacking: 'refresh',
+        blocksMovement: true
+    },
+    burn: {
+        id: 'burn',
+        name: 'Burning',
+        icon: '🔥',
+        color: '#ff6600',
+        stacking: 'stack',
+        maxStacks: 3,
+        tickInterval: 500,
+        tick: 'damage',
+        damageType: DAMAGE_TYPES.MAGICAL
+    },
+    poison: {
+        id: 'poison',
+        name: 'Poisoned',
+        icon: '☠️',
+        color: '#7cb342',
+        stacking: 'stack',
+        maxStacks: 5,
+        tickInterval: 1000,
+        tick: 'damage',
+        damageType: DAMAGE_TYPES.PHYSICAL
+    },
+    regeneration: {
+        id: 'regeneration',
+        name: 'Regeneration',
+        icon: '💚',
+        color: '#4caf50',
+        stacking: 'extend',
+        tickInterval: 1000,
+        tick: 'heal'
+    }
+};
+
+// Enemy Archetypes - stats, visuals and AI behaviour per enemy type
+// Room templates reference these by id (enemies: [{ x, y, type: 'caster' }]) and may give
+// an enemy a patrol route of tile waypoints: { x, y, type, patrol: [{ x: 6, y: 10 }, ...] },
+// a fixed level, or elite: true / ['vampiric', ...] (see ENEMY_SCALING, ELITE_AFFIXES).
+// behavior: key into EnemyBehaviors
+//   'melee'  - chase along the flow field and hit in melee range
+//   'ranged' - hold preferredRange, back off when closer than retreatRange, shoot projectiles
+//   'charge' - chase, then wind up and dash at the player (chargeRange/chargeSpeed/...)
+//   'support'- stay back and heal the most injured ally within healRange
+// speed is in pixels per frame @ 60 FPS; cooldowns and durations are in milliseconds.
+// shape: 'square' | 'round' | 'diamond'; mark: optional 'cross' drawn on the body
+// special: optional telegraphed attack used when the target is within triggerRange (see Telegraph)
+//   { name, shape, windup, recovery, cooldown, damageMultiplier, damageType, ... } with
+//   shape 'circle' (radius, at: 'self' | 'target'), 'cone' (angle in degrees, range) or 'line' (length, width).
+//   The warning shows for windup ms; the hit is checked against the same shape when it lands.
+// loot: drop table rolled on death - [{ item, chance, min, max }] (see LOOT_ITEMS; min/max
+// override the item's amount, and each entry is rolled independently)
+// Bosses (boss: true, behavior 'boss') spawn as Boss and also define:
+//   phases  - [{ name, healthThreshold, speedMultiplier, attackMultiplier, rotation }]; a phase
+//             starts once health / maxHealth drops to its threshold (the first phase uses 1)
+//   attacks - id -> { kind: 'melee' | 'aoe' | 'volley' | 'summon', ... }; rotation lists ids
+//     melee:  fight normally for duration
+//     aoe:    after windup, hit within radius of the boss (at: 'self') or of where the player stood (at: 'target')
+//     volley: after windup, fire count projectiles across spread radians
+//     summon: after windup, spawn count addType enemies, at most maxAdds alive
+//   All but melee wait recovery ms before the next attack.
+const ENEMY_ARCHETYPES = {
+    basic: {
+        id: 'basic',
+        name: 'Goblin',
+        behavior: 'melee',
+        maxHealth: 30,
+        attack: 8,
+        defense: 2,
+        magicDefense: 0,
+        xpReward: 25,
+        speed: 1.5,
+        color: '#ff6b6b',
+        size: 30,
+        shape: 'square',
+        loot: [{ item: 'gold', chance: 0.5, min: 3, max: 8 }, { item: 'health_potion', chance: 0.1 }]
+    },
+    strong: {
+        id: 'strong',
+        name: 'Orc',
+        behavior: 'melee',
+        maxHealth: 60,
+        attack: 15,
+        defense: 5,
+        magicDefense: 4,
+        xpReward: 50,
+        speed: 1.5,
+        special: {
+            name: 'Cleave', shape: 'cone', angle: 110, range: 75,
+            triggerRange: 55, windup: 700, recovery: 400, cooldown: 5000, damageMultiplier: 1.6
+        },
+        color: '#8b0000',
+        size: 30,
+        shape: 'square',
+        loot: [{ item: 'gold', chance: 0.6, min: 6, max: 14 }, { item: 'health_potion', chance: 0.15 }, { item: 'xp_shard', chance: 0.1 }]
+    },
+    brute: {
+        id: 'brute',
+        name: 'Ogre Brute',
+        behavior: 'melee',
+        maxHealth: 110,
+        attack: 22,
+        defense: 8,
+        magicDefense: 2,
+        xpReward: 80,
+        speed: 1.0,
+        attackCooldown: 1600,
+        attackRange: 40,
+        special: {
+            name: 'Ground Pound', shape: 'circle', at: 'self', radius: 90,
+            triggerRange: 70, windup: 1000, recovery: 600, cooldown: 6000, damageMultiplier: 1.8
+        },
+        color: '#6d4c41',
+        size: 38,
+        shape: 'square',
+        loot: [{ item: 'gold', chance: 0.7, min: 10, max: 20 }, { item: 'health_potion', chance: 0.2 }, { item: 'xp_shard', chance: 0.15 }]
+    },
+    caster: {
+        id: 'caster',
+        name: 'Cultist',
+        behavior: 'ranged',
+        maxHealth: 35,
+        attack: 10,
+        defense: 1,
+        magicDefense: 6,
+        xpReward: 45,
+        speed: 1.3,
+        aggroRange: 280,
+        attackRange: 260,
+        attackCooldown: 1800,
+        damageType: DAMAGE_TYPES.MAGICAL,
+        preferredRange: 180,
+        retreatRange: 110,
+        projectileSpeed: 260,
+        projectileColor: '#b388ff',
+        special: {
+            name: 'Hex Beam', shape: 'line', length: 300, width: 26, damageType: DAMAGE_TYPES.MAGICAL,
+            triggerRange: 260, windup: 900, recovery: 500, cooldown: 7000, damageMultiplier: 1.5
+        },
+        color: '#7e57c2',
+        size: 28,
+        shape: 'round',
+        loot: [{ item: 'gold', chance: 0.4, min: 4, max: 10 }, { item: 'mana_potion', chance: 0.25 }]
+    },
+    skirmisher: {
+        id: 'skirmisher',
+        name: 'Kobold Skirmisher',
+        behavior: 'charge',
+        maxHealth: 25,
+        attack: 7,
+        defense: 1,
+        magicDefense: 0,
+        xpReward: 35,
+        speed: 2.4,
+        aggroRange: 260,
+        attackCooldown: 700,
+        chargeRange: 160,
+        chargeWindup: 400,
+        chargeDuration: 450,
+        chargeSpeed: 7,
+        chargeCooldown: 3000,
+        chargeDamageMultiplier: 1.5,
+        color: '#ffb300',
+        size: 24,
+        shape: 'diamond',
+        loot: [{ item: 'gold', chance: 0.5, min: 3, max: 8 }, { item: 'health_potion', chance: 0.1 }]
+    },
+    healer: {
+        id: 'healer',
+        name: 'Shaman',
+        behavior: 'support',
+        maxHealth: 30,
+        attack: 5,
+        defense: 1,
+        magicDefense: 5,
+        xpReward: 50,
+        speed: 1.3,
+        aggroRange: 260,
+        preferredRange: 170,
+        retreatRange: 120,
+        healAmount: 15,
+        healRange: 200,
+        healCooldown: 2500,
+        color: '#43a047',
+        size: 28,
+        shape: 'round',
+        mark: 'cross',
+        loot: [{ item: 'health_potion', chance: 0.35 }, { item: 'mana_potion', chance: 0.2 }, { item: 'gold', chance: 0.3, min: 3, max: 8 }]
+    },
+    warden: {
+        id: 'warden',
+        name: 'The Warden',
+        behavior: 'boss',
+        boss: true,
+        maxHealth: 400,
+        attack: 16,
+        defense: 6,
+        magicDefense: 6,
+        xpReward: 300,
+        speed: 1.2,
+        aggroRange: 300,
+        attackRange: 45,
+        attackCooldown: 1200,
+        projectileSpeed: 240,
+        projectileColor: '#ff5252',
+        color: '#4a148c',
+        size: 48,
+        shape: 'square',
+        loot: [
+            { item: 'gold', chance: 1, min: 40, max: 80 },
+            { item: 'health_potion', chance: 1 },
+            { item: 'mana_potion', chance: 1 },
+            { item: 'xp_shard', chance: 1 }
+        ],
+        phases: [
+            { name: 'Awakened', healthThreshold: 1, speedMultiplier: 1, attackMultiplier: 1, rotation: ['strike', 'slam', 'strike', 'summon'] },
+            { name: 'Enraged', healthThreshold: 0.6, speedMultiplier: 1.25, attackMultiplier: 1.2, rotation: ['slam', 'volley', 'strike', 'summon'] },
+            { name: 'Desperate', healthThreshold: 0.3, speedMultiplier: 1.5, attackMultiplier: 1.4, rotation: ['eruption', 'volley', 'slam', 'summon'] }
+        ],
+        attacks: {
+            strike: { kind: 'melee', duration: 3000 },
+            slam: { kind: 'aoe', name: 'Ground Slam', at: 'self', radius: 110, windup: 1000, recovery: 800, damageMultiplier: 1.5, color: '#ff7043' },
+            eruption: { kind: 'aoe', name: 'Eruption', at: 'target', radius: 70, windup: 800, recovery: 600, damageMultiplier: 1.3, damageType: DAMAGE_TYPES.MAGICAL, color: '#ff5252' },
+            volley: { kind: 'volley', count: 5, spread: 0.9, range: 320, windup: 500, recovery: 800, damageMultiplier: 0.8, color: '#ff5252' },
+            summon: { kind: 'summon', addType: 'basic', count: 2, maxAdds: 4, windup: 800, recovery: 1000, color: '#b388ff' }
+        }
+    }
+};
+
+// Enemy Level Scaling - multipliers are per level above 1
+// Level = template level, else the room's level (room.level or room index + 1),
+// raised by part of the player's lead over it so cleared rooms don't become trivial
+const ENEMY_SCALING = {
+    HEALTH_PER_LEVEL: 0.15,
+    ATTACK_PER_LEVEL: 0.1,
+    DEFENSE_PER_LEVEL: 0.1,
+    XP_PER_LEVEL: 0.2,
+    DODGE_BASE: 0.02,           // Dodge chance at level 1 (archetype dodgeChance overrides)
+    DODGE_PER_LEVEL: 0.01,
+    DODGE_CAP: 0.25,
+    PLAYER_LEVEL_FACTOR: 0.5,   // Share of the player's level lead added to the room level
+    MAX_LEVEL: 50
+};
+
+// Elite Constants - randomly rolled stronger variants (see ELITE_AFFIXES)
+const ELITE_CONSTANTS = {
+    CHANCE: 0.15,               // Chance a normal spawn rolls as elite (template elite: true forces it)
+    SECOND_AFFIX_LEVEL: 5,      // Elites from this level roll two affixes
+    HEALTH_MULTIPLIER: 1.5,
+    XP_MULTIPLIER: 2,
+    OUTLINE_COLOR: '#ffd54f'
+};
+
+// Elite Affixes
+// speedMultiplier / attackCooldownMultiplier: stat changes
+// lifeSteal: fraction of damage dealt healed back
+// shieldFraction: damage shield as a fraction of max health, refills after shieldRegenDelay ms unhurt
+// deathExplosion: { radius, damageMultiplier } blast around the corpse
+const ELITE_AFFIXES = {
+    fast: {
+        id: 'fast',
+        name: 'Fast',
+        color: '#ffffff',
+        speedMultiplier: 1.4,
+        attackCooldownMultiplier: 0.75
+    },
+    vampiric: {
+        id: 'vampiric',
+        name: 'Vampiric',
+        color: '#e53935',
+        lifeSteal: 0.5
+    },
+    shielded: {
+        id: 'shielded',
+        name: 'Shielded',
+        color: '#4fc3f7',
+        shieldFraction: 0.3,
+        shieldRegenDelay: 5000
+    },
+    explosive: {
+        id: 'explosive',
+        name: 'Explosive',
+        color: '#ff9800',
+        deathExplosion: { radius: 70, damageMultiplier: 1.5 }
+    }
+};
+
+// Telegraphed Attack Constants (see Telegraph)
+const TELEGRAPH_CONSTANTS = {
+    COLOR: '255, 60, 60',       // RGB of ground warnings
+    BASE_ALPHA: 0.1,            // Warning fill at the start of a wind-up
+    FILL_ALPHA: 0.3             // Extra fill by the time it lands
+};
+
+// Boss Constants (see Boss)
+const BOSS_CONSTANTS = {
+    REWARD_XP: 250,             // XP from a boss reward chest
+    PHASE_PARTICLES: 30,        // Burst shown on a phase change
+    SUMMON_DISTANCE: 60,        // Pixels from the boss centre to spawn adds
+    SUMMON_ATTEMPTS: 8          // Spots tried around the boss per summon
+};
+
+// Aggro Constants (see Enemy threat / leash / patrol)
+const AGGRO_CONSTANTS = {
+    LEASH_RANGE: 350,             // Pixels from the leash point before an enemy gives up (archetype leashRange overrides)
+    ASSIST_RANGE: 120,            // Idle allies this close join a fight (spreads through packs)
+    PROXIMITY_THREAT: 1,          // Threat for walking into aggro range
+    THREAT_PER_DAMAGE: 1,         // Threat per point of damage taken
+    RETURN_SPEED_MULTIPLIER: 1.5, // Leashed enemies hurry home
+    RETURN_TIMEOUT: 8000,         // Snap home if the walk back takes longer (milliseconds)
+    PATROL_SPEED_MULTIPLIER: 0.6, // Patrols walk rather than run
+    PATROL_WAIT: 1000,            // Pause at each waypoint (milliseconds)
+    ARRIVE_DISTANCE: 4            // Pixels from a point to count as reached
+};
+
+// Body Constants (see EntityCollision)
+const BODY_CONSTANTS = {
+    SEPARATION_PADDING: 4,      // Extra pixels enemies keep between each other
+    SEPARATION_SPEED: 1.5,      // Max separation push in pixels per frame @ 60 FPS
+    DOORWAY_TILES: 1,           // Tiles around a door where bodies pass through (unless door.bodyBlocking)
+    CONTACT_PADDING: 2          // Pixels that count as touching for contact hits (bodies never overlap)
+};
+
+// Spawner Constants (see SpawnerManager)
+const SPAWNER_CONSTANTS = {
+    DEFAULT_INTERVAL: 8000,     // ms between spawns
+    DEFAULT_MAX_ALIVE: 3,       // Spawned enemies alive at once
+    DEFAULT_TRIGGER_RANGE: 6,   // Tiles, for trigger: 'proximity'
+    MIN_INTERVAL: 500,
+    COLOR: '#7e57c2'
+};
+
+// Ground Loot Constants (see LootManager)
+const LOOT_CONSTANTS = {
+    DESPAWN_TIME: 60000,        // ms a drop stays on the ground
+    BLINK_TIME: 10000,          // Drops blink during their last ms
+    PICKUP_RADIUS: 14,          // Pixels - walking within this of a drop picks it up
+    INTERACT_RANGE: 60,         // Pixels - interact key reach
+    INTERACT_KEY: 'e',
+    SCATTER_RADIUS: 18,         // Pixels drops spread around the corpse
+    ELITE_ROLLS: 2              // Elites roll their drop table this many times
+};
+
+// Ground Items
+// effect: 'heal' (health), 'mana', 'xp', 'gold' (converted to XP, like chest gold)
+const LOOT_ITEMS = {
+    gold: { id: 'gold', name: 'Gold', effect: 'gold', amount: 5, color: '#ffd700', size: 6 },
+    health_potion: { id: 'health_potion', name: 'Health Potion', effect: 'heal', amount: 30, color: '#e53935', size: 7 },
+    mana_potion: { id: 'mana_potion', name: 'Mana Potion', effect: 'mana', amount: 30, color: '#1e88e5', size: 7 },
+    xp_shard: { id: 'xp_shard', name: 'Experience Shard', effect: 'xp', amount: 40, color: '#66bb6a', size: 6 }
+};
+
+// Room Editor Constants (see RoomEditor)
+const ROOM_EDITOR_CONSTANTS = {
+    TOGGLE_KEY: '`',
+    TOOLS: ['wall', 'erase', 'door', 'chest', 'enemy', 'entry'],  // Number keys 1-6 while editing
+    PAN_SPEED: 600,             // Screen pixels per second (movement keys)
+    MIN_SIZE: 3,                // Room width/height in tiles
+    MAX_SIZE: 100,
+    GRID_COLOR: 'rgba(255, 255, 255, 0.12)'
+};
+
+// Dungeon Generator Constants (see DungeonGenerator)
+const DUNGEON_CONSTANTS = {
+    ROOM_COUNT: 6,
+    EXTRA_CONNECTION_CHANCE: 0.25,  // Chance to also link neighbouring rooms that aren't linked yet (loops)
+    BOSS_MIN_ROOMS: 3,              // The deepest room holds the boss if there are at least this many rooms
+    BOSS_TYPE: 'warden',
+    OBSTACLES: [2, 6],              // Wall segments per room [min, max]
+    OBSTACLE_LENGTH: [2, 5],        // Tiles per wall segment [min, max]
+    OBSTACLE_ATTEMPTS: 30,
+    CHESTS: [1, 2],                 // Chests per room [min, max]
+    ENEMY_GROUPS: [1, 3],           // Groups per room at depth 0 [min, max]; depth adds more
+    GROUPS_PER_DEPTH: 0.5,
+    GROUP_SIZE: [1, 3],
+    SAFE_DISTANCE: 5,               // Tiles kept clear of enemies around entry points
+    PLACE_ATTEMPTS: 40,
+    RESPAWN_TIME: 90000,            // Cleared non-boss rooms respawn (see SpawnerManager)
+    // Enemy types by room depth (deeper rooms use the last pool)
+    ENEMY_POOLS: [
+        ['basic'],
+        ['basic', 'basic', 'skirmisher', 'strong'],
+        ['basic', 'strong', 'skirmisher', 'caster', 'healer'],
+        ['strong', 'caster', 'skirmisher', 'healer', 'brute']
+    ]
+};
+
+// Fallbacks for fields an archetype leaves out
+const ENEMY_DEFAULTS = {
+    aggroRange: 200,
+    attackRange: 35,
+    attackCooldown: ENEMY_ATTACK_COOLDOWN,
+    damageType: DAMAGE_TYPES.PHYSICAL
+};
+
 // ============================================================================
 // SECTION 2: CANVAS & RENDERING SETUP
 // ============================================================================
@@ -216,8 +719,15 @@ const gameState = {
     doors: [],
     chests: [],
     particles: [],
+    projectiles: [],       // Active projectiles (see ProjectileManager)
+    spellEffects: [],      // Short-lived spell visuals (beams, eruptions)
     enemiesDefeated: 0,
     chestsOpened: 0,
+    bossStates: {},        // "room:enemyIndex" -> { hp, ph } mid-fight or { d: true } once defeated
+    roomItems: {},         // Room index -> GroundItem[] (drops stay in their room until picked up or despawned)
+    roomStates: {},        // Room index -> { killed, chests, doors, respawnIn } (see RoomStateManager)
+    dungeonSeed: null,     // Seed of the generated dungeon, null for the built-in rooms (see DungeonGenerator)
+    spawners: [],          // Runtime spawners of the current room (see SpawnerManager)
 
     // Time tracking (Phase 0: Time-based system)
     gameTime: 0,           // Frame counter (increments by 1) - keep for visual effects
@@ -229,6 +739,8 @@ const gameState = {
     message: '',
     messageTimer: 0,       // Will be converted to milliseconds
     currentRoom: 0,
+    roomWidth: GRID_WIDTH,   // Current room size in tiles (see loadRoom)
+    roomHeight: GRID_HEIGHT,
     rooms: []
 };
 
@@ -265,6 +777,18 @@ const viewport = {
 };
 
 // Room Templates
+// doors: { x, y, toRoom, bodyBlocking, locked } - bodyBlocking lets enemy bodies block the doorway
+// (by default bodies pass through each other near doors; see EntityCollision); locked doors
+// open once every enemy from the room's template is dead (see RoomStateManager)
+// spawners: { id, x, y, pool, interval, maxAlive, maxSpawns, trigger, triggerRange, active, level, elite }
+//   pool: enemy types, plain or weighted ({ type, weight }); x/y/triggerRange in tiles
+//   trigger: 'always' (default), 'proximity' (player within triggerRange) or 'manual' (SpawnerManager.setActive)
+// respawnTime: ms after the room is cleared before its enemies return (omit to never respawn)
+// entries: [{ x, y, fromRoom }] - player start tiles; fromRoom picks the entry used when arriving
+//   through a door from that room, an entry without it is the default
+// level: optional room level for enemy scaling (see getEnemyLevel)
+// width/height: room size in tiles (default GRID_WIDTH x GRID_HEIGHT, one screen); bigger
+//   rooms scroll with the camera
 const roomTemplates = [
     {
         walls: [
@@ -278,10 +802,15 @@ const roomTemplates = [
             { x: 14, y: 10 }, { x: 14, y: 11 }, { x: 14, y: 12 }
         ],
         doors: [{ x: 10, y: GRID_HEIGHT - 2, toRoom: 1 }],
+        entries: [{ x: 3, y: 3 }],
         chests: [{ x: 3, y: 3, opened: false }],
+        respawnTime: 60000,
         enemies: [
             { x: 12 * TILE_SIZE, y: 8 * TILE_SIZE, type: 'basic' },
-            { x: 6 * TILE_SIZE, y: 10 * TILE_SIZE, type: 'basic' }
+            {
+                x: 6 * TILE_SIZE, y: 10 * TILE_SIZE, type: 'basic',
+                patrol: [{ x: 6, y: 10 }, { x: 11, y: 10 }, { x: 11, y: 12 }, { x: 6, y: 12 }]
+            }
         ]
     },
     {
@@ -294,1190 +823,6608 @@ const roomTemplates = [
         ],
         doors: [
             { x: 10, y: 1, toRoom: 0 },
-            { x: GRID_WIDTH - 2, y: 8, toRoom: 2 }
+            { x: GRID_WIDTH - 2, y: 8, toRoom: 2, bodyBlocking: true, locked: true } // Clear the room to reach the boss
         ],
+        entries: [{ x: 10, y: 2 }],
         chests: [{ x: 15, y: 3, opened: false }],
+        spawners: [
+            {
+                id: 'room2-burrow', x: 17, y: 12, pool: [{ type: 'basic', weight: 3 }, { type: 'skirmisher', weight: 1 }],
+                interval: 10000, maxAlive: 2, trigger: 'proximity', triggerRange: 7
+            }
+        ],
+        respawnTime: 90000,
         enemies: [
             { x: 5 * TILE_SIZE, y: 5 * TILE_SIZE, type: 'strong' },
             { x: 13 * TILE_SIZE, y: 10 * TILE_SIZE, type: 'basic' },
-            { x: 8 * TILE_SIZE, y: 3 * TILE_SIZE, type: 'basic' }
+            { x: 8 * TILE_SIZE, y: 3 * TILE_SIZE, type: 'basic' },
+            { x: 16 * TILE_SIZE, y: 12 * TILE_SIZE, type: 'caster' },
+            {
+                x: 4 * TILE_SIZE, y: 11 * TILE_SIZE, type: 'skirmisher',
+                patrol: [{ x: 4, y: 11 }, { x: 4, y: 4 }, { x: 7, y: 4 }, { x: 4, y: 4 }]
+            }
         ]
     },
     {
+        // The Warden's hall, bigger than the screen
+        width: 30,
+        height: 20,
         walls: [
-            ...Array.from({ length: GRID_WIDTH }, (_, i) => ({ x: i, y: 0 })),
-            ...Array.from({ length: GRID_WIDTH }, (_, i) => ({ x: i, y: GRID_HEIGHT - 1 })),
-            ...Array.from({ length: GRID_HEIGHT }, (_, i) => i !== 8 ? { x: 0, y: i } : null).filter(Boolean),
-            ...Array.from({ length: GRID_HEIGHT }, (_, i) => ({ x: GRID_WIDTH - 1, y: i })),
+            ...Array.from({ length: 30 }, (_, i) => ({ x: i, y: 0 })),
+            ...Array.from({ length: 30 }, (_, i) => ({ x: i, y: 19 })),
+            ...Array.from({ length: 20 }, (_, i) => i !== 8 ? { x: 0, y: i } : null).filter(Boolean),
+            ...Array.from({ length: 20 }, (_, i) => ({ x: 29, y: i })),
             { x: 5, y: 5 }, { x: 6, y: 5 }, { x: 5, y: 6 },
-            { x: 14, y: 8 }, { x: 15, y: 8 }, { x: 14, y: 9 }
+            { x: 14, y: 8 }, { x: 15, y: 8 }, { x: 14, y: 9 },
+            // Pillars down the far end of the hall
+            { x: 20, y: 4 }, { x: 20, y: 5 }, { x: 25, y: 4 }, { x: 25, y: 5 },
+            { x: 20, y: 14 }, { x: 20, y: 15 }, { x: 25, y: 14 }, { x: 25, y: 15 }
         ],
         doors: [{ x: 1, y: 8, toRoom: 1 }],
+        entries: [{ x: 2, y: 8 }],
         chests: [
             { x: 10, y: 7, opened: false },
-            { x: 17, y: 3, opened: false }
+            { x: 17, y: 3, opened: false },
+            { x: 27, y: 17, opened: false, bossReward: true } // Sealed until the Warden falls
         ],
         enemies: [
             { x: 10 * TILE_SIZE, y: 10 * TILE_SIZE, type: 'strong' },
-            { x: 8 * TILE_SIZE, y: 4 * TILE_SIZE, type: 'strong' }
+            { x: 8 * TILE_SIZE, y: 4 * TILE_SIZE, type: 'strong' },
+            { x: 22 * TILE_SIZE, y: 9 * TILE_SIZE, type: 'warden' },
+            { x: 12 * TILE_SIZE, y: 5 * TILE_SIZE, type: 'healer' }
         ]
     }
 ];
 
-// ============================================================================
-// SECTION 4: MAGIC SYSTEM (Phase 2)
-// ============================================================================
+const ROOM_DATA_URL = 'data/rooms.json';
 
 /**
- * MagicManager - Handles spell casting, cooldowns, and targeting
- * Phase 2: Core spell system architecture
+ * TiledImporter - Rooms from Tiled JSON maps (.tmj)
+ * A manifest (data/rooms.json: { "maps": ["maps/start.tmj", ...] }) lists one map
+ * per room, in room order. Tile layers become the room: cells with a tile in a
+ * layer named "walls" (or with the bool property walls) are walls; if there are
+ * other tile layers, they are the floor and any cell with no floor tile is a wall
+ * too. Objects are read by their class (type): door (property toRoom - a room
+ * index or map name; bodyBlocking, locked), chest (bossReward), enemy (archetype;
+ * level, elite, affixes) and entry (fromRoom). Map properties level and
+ * respawnTime carry over to the room. Every reference is checked, and if any map
+ * has errors the built-in rooms are kept.
  */
-const MagicManager = {
-    // State management
-    state: {
-        globalCooldown: 0,          // Global cooldown remaining (ms)
-        spellCooldowns: {},          // Individual spell cooldowns {spellId: remainingMs}
-        targetingActive: false,      // Is player currently in targeting mode
-        activeAbility: null,         // Currently targeting ability ID
-        targetingMode: null,         // Current targeting mode
-        targetX: 0,                  // Target position X (world space)
-        targetY: 0,                  // Target position Y (world space)
-        targetAngle: 0               // Target angle for cone/line spells
-    },
+const TiledImporter = {
+    OBJECT_TYPES: ['door', 'chest', 'enemy', 'entry'],
 
     /**
-     * Initialize the magic system
+     * Fetch the manifest and its maps, and switch to the imported rooms if they're valid
+     * Always resolves - a missing manifest is normal (built-in rooms), errors are logged
+     * @param {string} url - Manifest to load
+     * @returns {Promise<boolean>} True if imported rooms were applied
      */
-    init() {
-        // Validate ABILITIES object exists (Critical #4 fix)
-        if (!ABILITIES || typeof ABILITIES !== 'object') {
-            console.error('[MagicManager] ABILITIES object not found or invalid');
-            return;
+    load(url = ROOM_DATA_URL) {
+        if (typeof fetch !== 'function') {
+            return Promise.resolve(false);
         }
 
-        // Initialize cooldowns for all abilities
-        Object.keys(ABILITIES).forEach(abilityId => {
-            this.state.spellCooldowns[abilityId] = 0;
+        const fetchJson = (fileUrl) => fetch(fileUrl).then(response => {
+            if (!response.ok) {
+                throw new Error(`${fileUrl}: HTTP ${response.status}`);
+            }
+            return response.json();
         });
 
-        // Cache ability IDs for performance (High #7 fix)
-        this.abilityIds = Object.keys(this.state.spellCooldowns);
+        // Only a missing manifest (404) means "use the built-in rooms"; a broken one is an error
+        return fetch(url)
+            .catch(e => {
+                // No HTTP at all (file:// pages) - same as for abilities, the defaults are used
+                console.warn(`[TiledImporter] Could not load ${url} (${e.message}), using built-in rooms`);
+                return null;
+            })
+            .then(response => {
+                if (response === null) return null;
+                if (response.status === 404) {
+                    console.log(`[TiledImporter] No ${url}, using built-in rooms`);
+                    return null;
+                }
+                if (!response.ok) {
+                    throw new Error(`${url}: HTTP ${response.status}`);
+                }
+                return response.json().catch(e => {
+                    throw new Error(`${url}: invalid JSON (${e.message})`);
+                });
+            })
+            .then(manifest => {
+                if (manifest === null) {
+                    return false;
+                }
+                if (!manifest || !Array.isArray(manifest.maps) || manifest.maps.length === 0 ||
+                    !manifest.maps.every(path => typeof path === 'string')) {
+                    this.reportErrors(url, ['Manifest must be { "maps": ["file.tmj", ...] } with at least one map']);
+                    return false;
+                }
+
+                // Map paths are relative to the manifest
+                const base = url.slice(0, url.lastIndexOf('/') + 1);
+                return Promise.all(manifest.maps.map(path => fetchJson(base + path)))
+                    .then(maps => {
+                        const named = maps.map((map, index) => ({ name: this.mapName(manifest.maps[index]), map: map }));
+                        const result = this.importMaps(named);
+                        if (result.errors.length > 0) {
+                            this.reportErrors(url, result.errors);
+                            return false;
+                        }
+
+                        this.apply(result.rooms);
+                        console.log(`[TiledImporter] Loaded ${result.rooms.length} rooms from ${url}`);
+                        return true;
+                    })
+                    .catch(e => {
+                        this.reportErrors(url, [e.message]);
+                        return false;
+                    });
+            })
+            .catch(e => {
+                // Server errors and malformed JSON in the manifest itself
+                this.reportErrors(url, [e.message]);
+                return false;
+            });
     },
 
     /**
-     * Update cooldowns each frame
-     * @param {number} deltaTime - Time since last frame in milliseconds
+     * Room name used in toRoom/fromRoom references: the file name without extension
+     * @param {string} path - Map path from the manifest
+     * @returns {string}
      */
-    update(deltaTime) {
-        // Update global cooldown
-        if (this.state.globalCooldown > 0) {
-            this.state.globalCooldown = Math.max(0, this.state.globalCooldown - deltaTime);
-        }
+    mapName(path) {
+        return path.split('/').pop().replace(/\.[^.]*$/, '');
+    },
 
-        // Update individual spell cooldowns (High #7 fix: use cached IDs)
-        if (this.abilityIds) {
-            for (let i = 0; i < this.abilityIds.length; i++) {
-                const abilityId = this.abilityIds[i];
-                if (this.state.spellCooldowns[abilityId] > 0) {
-                    this.state.spellCooldowns[abilityId] = Math.max(0, this.state.spellCooldowns[abilityId] - deltaTime);
-                }
+    reportErrors(url, errors) {
+        console.error(`[TiledImporter] ${url} rejected (${errors.length} ${errors.length === 1 ? 'error' : 'errors'}), using built-in rooms:`);
+        errors.forEach(error => console.error(`  - ${error}`));
+        showMessage('Room maps invalid - using built-in rooms');
+    },
+
+    /**
+     * Convert a set of maps to room templates and check the references between them
+     * @param {Array} maps - [{ name, map }] in room order (room 0 is the start)
+     * @returns {object} { rooms, errors } - rooms in the roomTemplates shape
+     */
+    importMaps(maps) {
+        const names = maps.map(entry => entry.name);
+        let errors = [];
+
+        // Rooms are referenced by index or by map name
+        const resolveRoom = (value) => {
+            if (Number.isInteger(value)) {
+                return value >= 0 && value < maps.length ? value : -1;
             }
-        }
+            if (typeof value === 'string' && /^\d+$/.test(value)) {
+                return resolveRoom(Number(value));
+            }
+            return names.indexOf(value);
+        };
+
+        const rooms = maps.map((entry, index) => {
+            const result = this.convertMap(entry.map, entry.name, resolveRoom);
+            errors = errors.concat(result.errors);
+            if (result.room) {
+                result.room.doors.forEach(door => {
+                    if (door.toRoom === index) {
+                        errors.push(`${entry.name}: door at (${door.x}, ${door.y}) leads back into its own room`);
+                    }
+                });
+            }
+            return result.room;
+        });
+
+        return { rooms: errors.length > 0 ? [] : rooms, errors: errors };
     },
 
     /**
-     * Check if a spell can be cast
-     * @param {string} abilityId - The ability to check
-     * @param {object} playerObj - The player object (Critical #1 fix)
-     * @returns {object} {canCast: boolean, reason: string}
+     * Convert one map to a room template
+     * @param {object} map - Parsed .tmj
+     * @param {string} name - Map name (for messages)
+     * @param {function} resolveRoom - Room reference -> room index (-1 if unknown)
+     * @returns {object} { room, errors } - room is null if the map can't be read at all
      */
-    canCast(abilityId, playerObj) {
-        // Critical #1 fix: Validate player object
-        if (!playerObj || !playerObj.unlockedSpells) {
-            return { canCast: false, reason: 'Player not initialized' };
-        }
+    convertMap(map, name, resolveRoom) {
+        const errors = [];
+        const fail = (message) => errors.push(`${name}: ${message}`);
 
-        const ability = ABILITIES[abilityId];
-        if (!ability) {
-            return { canCast: false, reason: 'Unknown spell' };
+        if (!map || typeof map !== 'object' || !Array.isArray(map.layers)) {
+            fail('not a Tiled map (no layers)');
+            return { room: null, errors: errors };
         }
-
-        // Check if spell is unlocked
-        if (!playerObj.unlockedSpells.includes(abilityId)) {
-            return { canCast: false, reason: 'Spell locked' };
+        if (map.orientation !== 'orthogonal') {
+            fail(`orientation must be orthogonal (got ${JSON.stringify(map.orientation)})`);
         }
-
-        // Check mana cost (Medium #8 fix: show actual values)
-        if (playerObj.mana < ability.manaCost) {
-            return {
-                canCast: false,
-                reason: `Need ${ability.manaCost} mana (have ${Math.floor(playerObj.mana)})`
-            };
+        if (map.infinite) {
+            fail('infinite maps are not supported - turn off "Infinite" in the map properties');
         }
-
-        // Check global cooldown
-        if (this.state.globalCooldown > 0) {
-            const remaining = (this.state.globalCooldown / 1000).toFixed(1);
-            return { canCast: false, reason: `Wait ${remaining}s` };
+        if (!Number.isInteger(map.width) || !Number.isInteger(map.height) || map.width < 3 || map.height < 3) {
+            fail('map must be at least 3x3 tiles');
         }
-
-        // Check spell cooldown
-        if (this.state.spellCooldowns[abilityId] > 0) {
-            const remaining = (this.state.spellCooldowns[abilityId] / 1000).toFixed(1);
-            return { canCast: false, reason: `Cooldown ${remaining}s` };
+        if (!(map.tilewidth > 0) || !(map.tileheight > 0)) {
+            fail('map has no tile size');
+        }
+        if (errors.length > 0) {
+            return { room: null, errors: errors };
         }
 
-        return { canCast: true, reason: '' };
-    },
+        const width = map.width;
+        const height = map.height;
+        const layers = this.flattenLayers(map.layers);
+        const tileLayers = layers.filter(layer => layer.type === 'tilelayer');
+        const objects = [];
+        layers.filter(layer => layer.type === 'objectgroup').forEach(layer => {
+            (layer.objects || []).forEach(object => objects.push(object));
+        });
 
-    /**
-     * Begin casting a spell
-     * @param {string} abilityId - The ability to cast
-     * @param {object} playerObj - The player object (Critical #1 fix)
-     */
-    beginCast(abilityId, playerObj) {
-        // Critical #1 fix: Use passed player object
-        if (!playerObj) {
-            console.error('[MagicManager] beginCast: No player object provided');
-            return;
+        // Tile layers -> walls
+        if (tileLayers.length === 0) {
+            fail('has no tile layers');
         }
+        const wallGrid = new Uint8Array(width * height);
+        const floorGrid = new Uint8Array(width * height);
+        let hasFloorLayer = false;
+        tileLayers.forEach(layer => {
+            if (layer.encoding && layer.encoding !== 'csv') {
+                fail(`layer "${layer.name}" is ${layer.encoding}-encoded - save with the CSV layer format`);
+                return;
+            }
+            if (!Array.isArray(layer.data) || layer.data.length !== width * height) {
+                fail(`layer "${layer.name}" must have ${width * height} tiles`);
+                return;
+            }
 
-        const check = this.canCast(abilityId, playerObj);
-        if (!check.canCast) {
-            showMessage(check.reason);
-            return;
+            const isWallLayer = /^walls?$/i.test(layer.name || '') || this.getProperties(layer).walls === true;
+            hasFloorLayer = hasFloorLayer || !isWallLayer;
+            const grid = isWallLayer ? wallGrid : floorGrid;
+            layer.data.forEach((gid, index) => {
+                if (gid !== 0) grid[index] = 1;
+            });
+        });
+
+        const walls = [];
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const index = y * width + x;
+                if (wallGrid[index] || (hasFloorLayer && !floorGrid[index])) {
+                    walls.push({ x: x, y: y });
+                }
+            }
         }
+        const isWall = (x, y) => wallGrid[y * width + x] === 1 || (hasFloorLayer && floorGrid[y * width + x] === 0);
 
-        const ability = ABILITIES[abilityId];
+        const room = { width: width, height: height, walls: walls, doors: [], entries: [], chests: [], enemies: [] };
 
-        // Handle instant cast spells
-        if (ability.targetingMode === MAGIC_CONSTANTS.TARGETING_MODES.INSTANT ||
-            ability.targetingMode === MAGIC_CONSTANTS.TARGETING_MODES.INSTANT_SELF) {
-            this.executeCast(abilityId, playerObj, null);
-            return;
+        const mapProperties = this.getProperties(map);
+        if (mapProperties.level !== undefined) {
+            if (Number.isInteger(mapProperties.level) && mapProperties.level > 0) {
+                room.level = mapProperties.level;
+            } else {
+                fail('map property level must be a whole number above 0');
+            }
+        }
+        if (mapProperties.respawnTime !== undefined) {
+            if (typeof mapProperties.respawnTime === 'number' && mapProperties.respawnTime > 0) {
+                room.respawnTime = mapProperties.respawnTime;
+            } else {
+                fail('map property respawnTime must be a positive number of milliseconds');
+            }
         }
 
-        // Handle targeted spells (Phase 4 will implement targeting UI)
-        if (ability.targetingMode === MAGIC_CONSTANTS.TARGETING_MODES.ENEMY_TARGET) {
-            // For now, use selected enemy from tab targeting
-            if (!gameState.selectedEnemy || gameState.selectedEnemy.isDead) {
-                showMessage('No valid target');
+        // Object layers -> doors, chests, enemies and entries
+        objects.forEach(object => {
+            const type = String(object.type || object.class || '').toLowerCase();
+            if (!this.OBJECT_TYPES.includes(type)) {
+                console.warn(`[TiledImporter] ${name}: object ${object.id} has unknown class "${type}", ignored`);
                 return;
             }
 
-            const enemyCenterX = gameState.selectedEnemy.x + gameState.selectedEnemy.width / 2;
-            const enemyCenterY = gameState.selectedEnemy.y + gameState.selectedEnemy.height / 2;
-            const playerCenterX = playerObj.x + playerObj.width / 2;
-            const playerCenterY = playerObj.y + playerObj.height / 2;
-
-            const distance = Math.sqrt(
-                Math.pow(enemyCenterX - playerCenterX, 2) +
-                Math.pow(enemyCenterY - playerCenterY, 2)
-            );
-
-            if (distance > ability.range) {
-                showMessage(`Out of range (${Math.floor(distance)}/${ability.range})`);
+            const tile = this.getObjectTile(object, map);
+            const where = `${type} ${object.id} at (${tile.x}, ${tile.y})`;
+            if (tile.x < 0 || tile.y < 0 || tile.x >= width || tile.y >= height) {
+                fail(`${where} is outside the map`);
+                return;
+            }
+            if (isWall(tile.x, tile.y)) {
+                fail(`${where} is on a wall`);
                 return;
             }
 
-            // Pass target to executeCast
-            this.executeCast(abilityId, playerObj, gameState.selectedEnemy);
-            return;
+            const properties = this.getProperties(object);
+            switch (type) {
+                case 'door': {
+                    const toRoom = resolveRoom(properties.toRoom);
+                    if (properties.toRoom === undefined) {
+                        fail(`${where} has no toRoom property`);
+                    } else if (toRoom === -1) {
+                        fail(`${where} leads to unknown room ${JSON.stringify(properties.toRoom)}`);
+                    }
+                    room.doors.push({
+                        x: tile.x,
+                        y: tile.y,
+                        toRoom: toRoom,
+                        bodyBlocking: properties.bodyBlocking === true,
+                        locked: properties.locked === true
+                    });
+                    break;
+                }
+                case 'chest':
+                    room.chests.push({ x: tile.x, y: tile.y, opened: false, bossReward: properties.bossReward === true });
+                    break;
+                case 'enemy': {
+                    if (!ENEMY_ARCHETYPES[properties.archetype]) {
+                        fail(`${where} has unknown archetype ${JSON.stringify(properties.archetype)} (known: ${Object.keys(ENEMY_ARCHETYPES).join(', ')})`);
+                        return;
+                    }
+                    const enemy = { x: tile.x * TILE_SIZE, y: tile.y * TILE_SIZE, type: properties.archetype };
+                    if (properties.level !== undefined) {
+                        if (Number.isInteger(properties.level) && properties.level > 0) {
+                            enemy.level = properties.level;
+                        } else {
+                            fail(`${where} level must be a whole number above 0`);
+                        }
+                    }
+                    if (typeof properties.affixes === 'string' && properties.affixes.trim() !== '') {
+                        enemy.elite = properties.affixes.split(',').map(id => id.trim());
+                        enemy.elite.filter(id => !ELITE_AFFIXES[id]).forEach(id => {
+                            fail(`${where} has unknown affix "${id}" (known: ${Object.keys(ELITE_AFFIXES).join(', ')})`);
+                        });
+                    } else if (typeof properties.elite === 'boolean') {
+                        enemy.elite = properties.elite;
+                    }
+                    room.enemies.push(enemy);
+                    break;
+                }
+                case 'entry': {
+                    const entry = { x: tile.x, y: tile.y };
+                    if (properties.fromRoom !== undefined) {
+                        entry.fromRoom = resolveRoom(properties.fromRoom);
+                        if (entry.fromRoom === -1) {
+                            fail(`${where} is for unknown room ${JSON.stringify(properties.fromRoom)}`);
+                        }
+                    }
+                    room.entries.push(entry);
+                    break;
+                }
+            }
+        });
+
+        if (room.entries.length === 0) {
+            fail('has no entry object (where the player starts)');
         }
 
-        // Other targeting modes will be implemented in Phase 4
-        showMessage('Targeting not yet available');
+        return { room: room, errors: errors };
     },
 
     /**
-     * Execute the spell cast
-     * @param {string} abilityId - The ability to cast
-     * @param {object} playerObj - The player object (Critical #1 fix)
-     * @param {object} target - Optional target (for targeted spells)
+     * Layers in drawing order, with group layers opened up
+     * @param {Array} layers - Tiled layers
+     * @returns {Array}
      */
-    executeCast(abilityId, playerObj, target = null) {
-        const ability = ABILITIES[abilityId];
-
-        // Critical #3 fix: Re-validate target BEFORE deducting resources
-        if (ability.targetingMode === MAGIC_CONSTANTS.TARGETING_MODES.ENEMY_TARGET) {
-            if (!target || target.isDead) {
-                showMessage('Target became invalid');
-                return; // Don't deduct mana or trigger cooldowns
+    flattenLayers(layers) {
+        let flat = [];
+        layers.forEach(layer => {
+            if (layer.type === 'group') {
+                flat = flat.concat(this.flattenLayers(layer.layers || []));
+            } else {
+                flat.push(layer);
             }
+        });
+        return flat;
+    },
 
-            // Re-check range (enemy could have moved)
-            const enemyCenterX = target.x + target.width / 2;
-            const enemyCenterY = target.y + target.height / 2;
-            const playerCenterX = playerObj.x + playerObj.width / 2;
-            const playerCenterY = playerObj.y + playerObj.height / 2;
+    /**
+     * Tiled custom properties ([{ name, type, value }]) as a plain object
+     * @param {object} owner - Map, layer or object
+     * @returns {object}
+     */
+    getProperties(owner) {
+        const properties = {};
+        (owner.properties || []).forEach(property => {
+            properties[property.name] = property.value;
+        });
+        return properties;
+    },
 
-            const distance = Math.sqrt(
-                Math.pow(enemyCenterX - playerCenterX, 2) +
-                Math.pow(enemyCenterY - playerCenterY, 2)
-            );
+    /**
+     * Tile under the centre of an object (tile objects are anchored at their bottom-left)
+     * @param {object} object - Tiled object
+     * @param {object} map - Map it belongs to (for the tile size)
+     * @returns {object} { x, y } in tiles
+     */
+    getObjectTile(object, map) {
+        const objectWidth = object.width || 0;
+        const objectHeight = object.height || 0;
+        const top = object.gid ? object.y - objectHeight : object.y;
+        return {
+            x: Math.floor((object.x + objectWidth / 2) / map.tilewidth),
+            y: Math.floor((top + objectHeight / 2) / map.tileheight)
+        };
+    },
 
-            if (distance > ability.range) {
-                showMessage('Target moved out of range');
-                return; // Don't deduct mana or trigger cooldowns
-            }
+    /**
+     * Use imported rooms in place of the built-in ones (and for "classic" saves)
+     * @param {Array} rooms - Room templates from importMaps
+     */
+    apply(rooms) {
+        DungeonGenerator.builtinRooms = rooms.slice();
+        if (gameState.dungeonSeed === null) {
+            roomTemplates.length = 0;
+            roomTemplates.push(...rooms);
         }
+    }
+};
 
-        // Critical #2 fix: Only NOW deduct mana and apply cooldowns (after validation)
-        playerObj.mana -= ability.manaCost;
+// ============================================================================
+// SECTION 4: MAGIC SYSTEM (Phase 2)
+// ============================================================================
 
-        // Apply cooldowns (Medium #1 fix: clamp to max)
-        this.state.globalCooldown = MAGIC_CONSTANTS.GLOBAL_COOLDOWN;
-        this.state.spellCooldowns[abilityId] = Math.min(ability.cooldown, 600000); // Max 10 minutes
+/**
+ * AbilityLoader - Loads designer-tuned ability definitions from JSON
+ * The file maps ability id -> full definition (same shape as ABILITIES, with
+ * targetingMode as its string value, e.g. "circle_aoe"). Entries replace the
+ * bundled definition with the same id; new ids add spells. If any entry fails
+ * validation the whole file is rejected and the bundled ABILITIES stay in use.
+ */
+const ABILITY_DATA_URL = 'data/abilities.json';
+
+const ABILITY_SCHEMA = {
+    // Fields every ability needs
+    required: ['id', 'name', 'icon', 'description', 'manaCost', 'cooldown', 'targetingMode', 'color', 'unlockLevel'],
+
+    // Extra fields each targeting mode needs
+    requiredByMode: {
+        instant: [],
+        instant_self: [],  // Needs healing, or damage + radius (checked separately)
+        enemy_target: ['range', 'damage'],
+        circle_aoe: ['range', 'radius', 'damage'],
+        cone: ['range', 'angle', 'damage'],
+        line: ['range', 'width', 'damage'],
+        line_ground: ['range', 'width', 'length', 'damage']
+    },
 
-        // Execute spell effect based on type
-        if (ability.targetingMode === MAGIC_CONSTANTS.TARGETING_MODES.INSTANT_SELF) {
-            this.executeInstantSelf(ability, playerObj);
-        } else if (ability.targetingMode === MAGIC_CONSTANTS.TARGETING_MODES.ENEMY_TARGET) {
-            this.executeEnemyTarget(ability, playerObj, target);
+    // Allowed [min, max] for numeric fields
+    numberRanges: {
+        manaCost: [0, 1000],
+        cooldown: [0, 600000],
+        unlockLevel: [1, 100],
+        damage: [0, 10000],
+        healing: [0, 10000],
+        range: [0, 2000],
+        radius: [1, 1000],
+        width: [1, 500],
+        length: [1, 2000],
+        angle: [1, 360],
+        eruptionDelay: [0, 10000],
+        castTime: [0, 10000],
+        channelDuration: [0, 30000],
+        channelTickInterval: [50, 10000],
+        projectileSpeed: [1, 5000],
+        projectileRadius: [1, 50],
+        maxRank: [1, 20]
+    },
+
+    integerFields: ['unlockLevel', 'maxRank'],
+    stringFields: ['id', 'name', 'icon', 'description'],
+    booleanFields: ['projectileHoming', 'interruptOnMove', 'interruptOnDamage'],
+    otherFields: ['targetingMode', 'color', 'damageType', 'statusEffects', 'selfStatusEffects', 'rankBonus'],
+
+    COLOR_PATTERN: /^#([0-9a-fA-F]{3}|[0-9a-fA-F]{6})$/
+};
+
+const AbilityLoader = {
+    /**
+     * Fetch, validate and apply ability data
+     * Always resolves - failures are logged and the bundled defaults are kept
+     * @param {string} url - JSON file to load
+     * @returns {Promise<boolean>} True if the file was applied
+     */
+    load(url = ABILITY_DATA_URL) {
+        if (typeof fetch !== 'function') {
+            console.warn('[AbilityLoader] fetch unavailable, using bundled abilities');
+            return Promise.resolve(false);
         }
 
-        // Update UI (High #2 fix: consistent updateUI call)
-        updateUI();
+        return fetch(url)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+                return response.json();
+            })
+            .then(data => {
+                const errors = this.validate(data);
+                if (errors.length > 0) {
+                    console.error(`[AbilityLoader] ${url} rejected (${errors.length} ${errors.length === 1 ? 'error' : 'errors'}), using bundled abilities:`);
+                    errors.forEach(error => console.error(`  - ${error}`));
+                    showMessage('Ability data invalid - using defaults');
+                    return false;
+                }
+
+                this.apply(data);
+                console.log(`[AbilityLoader] Loaded ${Object.keys(data).length} abilities from ${url}`);
+                return true;
+            })
+            .catch(e => {
+                // Missing file, file:// pages and bad JSON all fall back quietly
+                console.warn(`[AbilityLoader] Could not load ${url} (${e.message}), using bundled abilities`);
+                return false;
+            });
     },
 
     /**
-     * Execute instant self-cast spell
-     * @param {object} ability - The ability definition
-     * @param {object} playerObj - The player object (Critical #1 fix)
+     * Validate a whole ability file
+     * @param {object} data - Parsed JSON (id -> definition)
+     * @returns {string[]} Error messages (empty if valid)
      */
-    executeInstantSelf(ability, playerObj) {
-        const playerCenterX = playerObj.x + playerObj.width / 2;
-        const playerCenterY = playerObj.y + playerObj.height / 2;
+    validate(data) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            return ['File must contain an object mapping ability ids to definitions'];
+        }
 
-        // Healing spell
-        if (ability.healing) {
-            const healAmount = ability.healing;
-            const actualHeal = Math.min(ability.healing, playerObj.maxHealth - playerObj.health);
-            playerObj.health = Math.min(playerObj.maxHealth, playerObj.health + healAmount);
-            createParticles(playerCenterX, playerCenterY, ability.color, 15);
+        const ids = Object.keys(data);
+        if (ids.length === 0) {
+            return ['File contains no abilities'];
+        }
 
-            if (actualHeal > 0) {
-                showMessage(`${ability.name}: +${actualHeal} HP`);
-            } else {
-                showMessage(`${ability.name}: Already full health`);
+        let errors = [];
+        ids.forEach(id => {
+            errors = errors.concat(this.validateAbility(id, data[id]));
+        });
+        return errors;
+    },
+
+    /**
+     * Validate one ability definition
+     * @param {string} id - Key the definition is stored under
+     * @param {object} ability - The definition
+     * @returns {string[]} Error messages prefixed with the ability id
+     */
+    validateAbility(id, ability) {
+        const errors = [];
+        const fail = (message) => errors.push(`${id}: ${message}`);
+
+        if (!ability || typeof ability !== 'object' || Array.isArray(ability)) {
+            fail('definition must be an object');
+            return errors;
+        }
+
+        // Required fields (common + per targeting mode)
+        const modes = Object.values(MAGIC_CONSTANTS.TARGETING_MODES);
+        if (ability.targetingMode !== undefined && !modes.includes(ability.targetingMode)) {
+            fail(`targetingMode "${ability.targetingMode}" is not one of ${modes.join(', ')}`);
+        }
+        const modeFields = ABILITY_SCHEMA.requiredByMode[ability.targetingMode] || [];
+        ABILITY_SCHEMA.required.concat(modeFields).forEach(field => {
+            if (ability[field] === undefined) {
+                fail(`missing required field "${field}"${modeFields.includes(field) ? ` for ${ability.targetingMode}` : ''}`);
             }
-            return;
+        });
+        if (ability.targetingMode === MAGIC_CONSTANTS.TARGETING_MODES.INSTANT_SELF &&
+            ability.healing === undefined && (ability.damage === undefined || ability.radius === undefined)) {
+            fail('instant_self needs "healing", or "damage" and "radius"');
         }
 
-        // AOE spell (Frost Nova)
-        if (ability.radius) {
-            let hitCount = 0;
+        if (ability.id !== undefined && ability.id !== id) {
+            fail(`id "${ability.id}" does not match its key`);
+        }
 
-            gameState.enemies.forEach(enemy => {
-                if (enemy.isDead) return;
+        // Field types and ranges
+        ABILITY_SCHEMA.stringFields.forEach(field => {
+            if (ability[field] !== undefined && (typeof ability[field] !== 'string' || ability[field].trim() === '')) {
+                fail(`"${field}" must be a non-empty string`);
+            }
+        });
 
-                const enemyCenterX = enemy.x + enemy.width / 2;
-                const enemyCenterY = enemy.y + enemy.height / 2;
-                const dist = Math.sqrt(
-                    Math.pow(enemyCenterX - playerCenterX, 2) +
-                    Math.pow(enemyCenterY - playerCenterY, 2)
-                );
+        Object.keys(ABILITY_SCHEMA.numberRanges).forEach(field => {
+            const value = ability[field];
+            if (value === undefined) return;
+
+            const [min, max] = ABILITY_SCHEMA.numberRanges[field];
+            if (typeof value !== 'number' || !isFinite(value)) {
+                fail(`"${field}" must be a number (got ${JSON.stringify(value)})`);
+            } else if (value < min || value > max) {
+                fail(`"${field}" must be between ${min} and ${max} (got ${value})`);
+            } else if (ABILITY_SCHEMA.integerFields.includes(field) && !Number.isInteger(value)) {
+                fail(`"${field}" must be a whole number (got ${value})`);
+            }
+        });
 
-                if (dist <= ability.radius) {
-                    // Calculate damage with spell power bonus (Medium #1 fix: min 1 damage)
-                    const baseDamage = ability.damage || 0;
-                    const totalDamage = Math.max(1, baseDamage + playerObj.spellPower);
-                    enemy.takeDamage(totalDamage);
-                    createParticles(enemyCenterX, enemyCenterY, ability.color, 10);
+        ABILITY_SCHEMA.booleanFields.forEach(field => {
+            if (ability[field] !== undefined && typeof ability[field] !== 'boolean') {
+                fail(`"${field}" must be true or false`);
+            }
+        });
 
-                    // Apply slow effect if present
-                    if (ability.slow && ability.slowDuration) {
-                        enemy.slowMultiplier = ability.slow;
-                        enemy.slowEndTime = performance.now() + ability.slowDuration;
-                    }
+        if (ability.color !== undefined &&
+            (typeof ability.color !== 'string' || !ABILITY_SCHEMA.COLOR_PATTERN.test(ability.color))) {
+            fail(`"color" must be a hex color like "#ff6600" (got ${JSON.stringify(ability.color)})`);
+        }
 
-                    hitCount++;
+        if (ability.damageType !== undefined && !Object.values(DAMAGE_TYPES).includes(ability.damageType)) {
+            fail(`"damageType" must be one of ${Object.values(DAMAGE_TYPES).join(', ')}`);
+        }
+
+        ['statusEffects', 'selfStatusEffects'].forEach(field => {
+            if (ability[field] === undefined) return;
+            if (!Array.isArray(ability[field])) {
+                fail(`"${field}" must be an array`);
+                return;
+            }
+            ability[field].forEach((effect, index) => {
+                const where = `${field}[${index}]`;
+                if (!effect || typeof effect !== 'object') {
+                    fail(`${where} must be an object`);
+                    return;
+                }
+                if (!STATUS_EFFECTS[effect.id]) {
+                    fail(`${where} has unknown effect "${effect.id}" (known: ${Object.keys(STATUS_EFFECTS).join(', ')})`);
+                }
+                if (typeof effect.duration !== 'number' || effect.duration <= 0 || effect.duration > 60000) {
+                    fail(`${where}.duration must be between 1 and 60000`);
+                }
+                if (effect.magnitude !== undefined && (typeof effect.magnitude !== 'number' || !isFinite(effect.magnitude))) {
+                    fail(`${where}.magnitude must be a number`);
                 }
             });
+        });
 
-            createParticles(playerCenterX, playerCenterY, ability.color, 30);
-            if (hitCount > 0) {
-                showMessage(`${ability.name}: Hit ${hitCount} ${hitCount === 1 ? 'enemy' : 'enemies'}!`);
+        if (ability.rankBonus !== undefined) {
+            if (!ability.rankBonus || typeof ability.rankBonus !== 'object' || Array.isArray(ability.rankBonus)) {
+                fail('"rankBonus" must be an object');
             } else {
-                showMessage(`${ability.name}: No targets in range`);
+                Object.keys(ability.rankBonus).forEach(stat => {
+                    if (!RANKABLE_STATS.includes(stat)) {
+                        fail(`rankBonus.${stat} is not rankable (allowed: ${RANKABLE_STATS.join(', ')})`);
+                    } else if (typeof ability.rankBonus[stat] !== 'number' || !isFinite(ability.rankBonus[stat])) {
+                        fail(`rankBonus.${stat} must be a number`);
+                    }
+                });
             }
         }
+
+        // Unknown fields are usually typos - warn, but don't reject the file
+        const known = ABILITY_SCHEMA.stringFields
+            .concat(Object.keys(ABILITY_SCHEMA.numberRanges), ABILITY_SCHEMA.booleanFields, ABILITY_SCHEMA.otherFields);
+        Object.keys(ability).forEach(field => {
+            if (!known.includes(field)) {
+                console.warn(`[AbilityLoader] ${id}: unknown field "${field}" ignored`);
+            }
+        });
+
+        return errors;
     },
 
     /**
-     * Execute enemy-targeted spell
-     * @param {object} ability - The ability definition
-     * @param {object} playerObj - The player object (Critical #1 fix)
-     * @param {object} target - The target enemy
+     * Merge validated definitions into ABILITIES
+     * @param {object} data - Validated ability file
      */
-    executeEnemyTarget(ability, playerObj, target) {
-        // Critical #3: This should never happen now (validated in executeCast)
-        // but keeping as safety check
-        if (!target || target.isDead) {
-            console.warn('[MagicManager] executeEnemyTarget: Invalid target (should have been caught earlier)');
-            showMessage('Target invalid');
+    apply(data) {
+        Object.keys(data).forEach(id => {
+            ABILITIES[id] = data[id];
+        });
+
+        // Ranks saved under the old definitions may exceed a lowered maxRank
+        if (player && player.spellRanks) {
+            Object.keys(player.spellRanks).forEach(id => {
+                const maxRank = (ABILITIES[id] && ABILITIES[id].maxRank) || 1;
+                if (player.spellRanks[id] > maxRank) {
+                    player.spellRanks[id] = maxRank;
+                }
+            });
+        }
+    }
+};
+
+/**
+ * MagicManager - Handles spell casting, cooldowns, and targeting
+ * Phase 2: Core spell system architecture
+ */
+const MagicManager = {
+    // State management
+    state: {
+        globalCooldown: 0,          // Global cooldown remaining (ms)
+        spellCooldowns: {},          // Individual spell cooldowns {spellId: remainingMs}
+        targetingActive: false,      // Is player currently in targeting mode
+        activeAbility: null,         // Currently targeting ability ID
+        targetingMode: null,         // Current targeting mode
+        targetX: 0,                  // Target position X (world space)
+        targetY: 0,                  // Target position Y (world space)
+        targetAngle: 0,              // Target angle for cone/line spells
+        targetingStep: 0,            // Placement step for multi-step spells (0 = start point, 1 = rotation)
+        aimInputX: 0,                // Joystick aim vector X (-1 to 1)
+        aimInputY: 0,                // Joystick aim vector Y (-1 to 1)
+        pointerClientX: null,        // Last mouse/touch position over the canvas (screen space)
+        pointerClientY: null,
+        casting: null                // Active cast/channel (see startCasting)
+    },
+
+    /**
+     * Initialize the magic system
+     */
+    init() {
+        // Validate ABILITIES object exists (Critical #4 fix)
+        if (!ABILITIES || typeof ABILITIES !== 'object') {
+            console.error('[MagicManager] ABILITIES object not found or invalid');
             return;
         }
 
-        const enemyCenterX = target.x + target.width / 2;
-        const enemyCenterY = target.y + target.height / 2;
+        // Same rules as data/abilities.json, so mistakes in the bundled defaults show up too
+        AbilityLoader.validate(ABILITIES).forEach(error => {
+            console.error(`[MagicManager] Invalid ability definition: ${error}`);
+        });
+
+        // Initialize cooldowns for all abilities
+        Object.keys(ABILITIES).forEach(abilityId => {
+            this.state.spellCooldowns[abilityId] = 0;
+        });
 
-        // Calculate damage with spell power bonus (Medium #1 fix: min 1 damage)
-        const baseDamage = ability.damage || 0;
-        const totalDamage = Math.max(1, baseDamage + playerObj.spellPower);
+        // Cache ability IDs for performance (High #7 fix)
+        this.abilityIds = Object.keys(this.state.spellCooldowns);
 
-        target.takeDamage(totalDamage);
-        createParticles(enemyCenterX, enemyCenterY, ability.color, 15);
-        showMessage(`${ability.name}: ${totalDamage} damage!`);
+        // Getting hit interrupts casts and channels that allow it
+        DamageSystem.onDamage(result => {
+            const cast = this.state.casting;
+            if (!cast || result.target !== cast.caster) return;
+            if (result.dodged || result.blocked || result.periodic) return;
+            if (ABILITIES[cast.abilityId].interruptOnDamage !== false) {
+                this.interruptCasting('hit');
+            }
+        });
     },
 
     /**
-     * Cancel active targeting
+     * Update cooldowns each frame
+     * @param {number} deltaTime - Time since last frame in milliseconds
      */
-    cancelTargeting() {
-        this.state.targetingActive = false;
-        this.state.activeAbility = null;
-        this.state.targetingMode = null;
-        gameState.timeScale = 1.0;
+    update(deltaTime) {
+        // Update global cooldown
+        if (this.state.globalCooldown > 0) {
+            this.state.globalCooldown = Math.max(0, this.state.globalCooldown - deltaTime);
+        }
+
+        // Update individual spell cooldowns (High #7 fix: use cached IDs)
+        if (this.abilityIds) {
+            for (let i = 0; i < this.abilityIds.length; i++) {
+                const abilityId = this.abilityIds[i];
+                if (this.state.spellCooldowns[abilityId] > 0) {
+                    this.state.spellCooldowns[abilityId] = Math.max(0, this.state.spellCooldowns[abilityId] - deltaTime);
+                }
+            }
+        }
     },
 
     /**
-     * Get cooldown percentage for UI display
-     * @param {string} abilityId - The ability to check
-     * @returns {number} Percentage from 0-100
+     * Get an ability's stats at the caster's rank
+     * Rank 1 (and unranked spells) return the base definition unchanged
+     * @param {string} abilityId - The ability to look up
+     * @param {object} playerObj - The caster (rank source)
+     * @param {number} rankOverride - Optional rank to preview instead of the caster's
+     * @returns {object|undefined} Ability definition with rank bonuses applied
      */
-    getCooldownPercent(abilityId) {
-        const ability = ABILITIES[abilityId];
-        if (!ability) {
-            // Medium #4 fix: Log warning for invalid ability
-            console.warn(`[MagicManager] getCooldownPercent: Unknown ability '${abilityId}'`);
-            return 0;
-        }
+    getAbility(abilityId, playerObj, rankOverride) {
+        const base = ABILITIES[abilityId];
+        if (!base) return undefined;
 
-        const remaining = this.state.spellCooldowns[abilityId] || 0;
-        if (remaining <= 0) return 0;
+        const rank = rankOverride !== undefined ? rankOverride
+            : (playerObj && playerObj.getSpellRank ? playerObj.getSpellRank(abilityId) : 1);
+        if (rank <= 1 || !base.rankBonus) return base;
 
-        return (remaining / ability.cooldown) * 100;
+        const ranked = Object.assign({}, base, { rank: rank });
+        Object.keys(base.rankBonus).forEach(stat => {
+            ranked[stat] = (base[stat] || 0) + base.rankBonus[stat] * (rank - 1);
+        });
+        ranked.manaCost = Math.max(0, ranked.manaCost);
+        return ranked;
     },
 
     /**
-     * Reset magic system state (High #3 fix: called on player death/reset)
+     * Check if a spell can be cast
+     * @param {string} abilityId - The ability to check
+     * @param {object} playerObj - The player object (Critical #1 fix)
+     * @returns {object} {canCast: boolean, reason: string}
      */
-    reset() {
-        // Reset global cooldown
-        this.state.globalCooldown = 0;
+    canCast(abilityId, playerObj) {
+        // Critical #1 fix: Validate player object
+        if (!playerObj || !playerObj.unlockedSpells) {
+            return { canCast: false, reason: 'Player not initialized' };
+        }
 
-        // Reset all spell cooldowns
-        if (this.abilityIds) {
-            this.abilityIds.forEach(abilityId => {
-                this.state.spellCooldowns[abilityId] = 0;
-            });
+        const ability = this.getAbility(abilityId, playerObj);
+        if (!ability) {
+            return { canCast: false, reason: 'Unknown spell' };
         }
 
-        // Cancel any active targeting
-        this.cancelTargeting();
-    }
-};
+        // Check if spell is unlocked
+        if (!playerObj.unlockedSpells.includes(abilityId)) {
+            return { canCast: false, reason: 'Spell locked' };
+        }
 
-// ============================================================================
-// SECTION 5: ENTITY CLASSES
-// ============================================================================
+        // Stunned casters can't cast
+        if (playerObj.statusEffects && !playerObj.statusEffects.canAct()) {
+            return { canCast: false, reason: 'Stunned' };
+        }
 
-class Player {
-    constructor(x, y) {
+        // One cast or channel at a time
+        if (this.state.casting) {
+            return { canCast: false, reason: `Casting ${ABILITIES[this.state.casting.abilityId].name}` };
+        }
+
+        // Check mana cost (Medium #8 fix: show actual values)
+        if (playerObj.mana < ability.manaCost) {
+            return {
+                canCast: false,
+                reason: `Need ${ability.manaCost} mana (have ${Math.floor(playerObj.mana)})`
+            };
+        }
+
+        // Check global cooldown
+        if (this.state.globalCooldown > 0) {
+            const remaining = (this.state.globalCooldown / 1000).toFixed(1);
+            return { canCast: false, reason: `Wait ${remaining}s` };
+        }
+
+        // Check spell cooldown
+        if (this.state.spellCooldowns[abilityId] > 0) {
+            const remaining = (this.state.spellCooldowns[abilityId] / 1000).toFixed(1);
+            return { canCast: false, reason: `Cooldown ${remaining}s` };
+        }
+
+        return { canCast: true, reason: '' };
+    },
+
+    /**
+     * Begin casting a spell
+     * @param {string} abilityId - The ability to cast
+     * @param {object} playerObj - The player object (Critical #1 fix)
+     */
+    beginCast(abilityId, playerObj) {
+        // Critical #1 fix: Use passed player object
+        if (!playerObj) {
+            console.error('[MagicManager] beginCast: No player object provided');
+            return;
+        }
+
+        // Pressing the same spell again while aiming confirms the cast;
+        // pressing a different spell abandons the current aim
+        if (this.state.targetingActive) {
+            if (this.state.activeAbility === abilityId) {
+                this.confirmTargeting(playerObj);
+                return;
+            }
+            this.cancelTargeting();
+        }
+
+        const check = this.canCast(abilityId, playerObj);
+        if (!check.canCast) {
+            showMessage(check.reason);
+            return;
+        }
+
+        const ability = this.getAbility(abilityId, playerObj);
+
+        // Handle instant cast spells
+        if (ability.targetingMode === MAGIC_CONSTANTS.TARGETING_MODES.INSTANT ||
+            ability.targetingMode === MAGIC_CONSTANTS.TARGETING_MODES.INSTANT_SELF) {
+            this.executeCast(abilityId, playerObj, null);
+            return;
+        }
+
+        // Handle targeted spells (Phase 4 will implement targeting UI)
+        if (ability.targetingMode === MAGIC_CONSTANTS.TARGETING_MODES.ENEMY_TARGET) {
+            // For now, use selected enemy from tab targeting
+            if (!gameState.selectedEnemy || gameState.selectedEnemy.isDead) {
+                showMessage('No valid target');
+                return;
+            }
+
+            const enemyCenterX = gameState.selectedEnemy.x + gameState.selectedEnemy.width / 2;
+            const enemyCenterY = gameState.selectedEnemy.y + gameState.selectedEnemy.height / 2;
+            const playerCenterX = playerObj.x + playerObj.width / 2;
+            const playerCenterY = playerObj.y + playerObj.height / 2;
+
+            const distance = Math.sqrt(
+                Math.pow(enemyCenterX - playerCenterX, 2) +
+                Math.pow(enemyCenterY - playerCenterY, 2)
+            );
+
+            if (distance > ability.range) {
+                showMessage(`Out of range (${Math.floor(distance)}/${ability.range})`);
+                return;
+            }
+
+            // Pass target to executeCast
+            this.executeCast(abilityId, playerObj, gameState.selectedEnemy);
+            return;
+        }
+
+        // Ground-targeted and aimed spells enter targeting mode (Phase 4)
+        if (ability.targetingMode === MAGIC_CONSTANTS.TARGETING_MODES.CIRCLE_AOE ||
+            ability.targetingMode === MAGIC_CONSTANTS.TARGETING_MODES.LINE_GROUND ||
+            this.isDirectionalMode(ability.targetingMode)) {
+            this.beginTargeting(abilityId, playerObj);
+            return;
+        }
+
+        // Other targeting modes will be implemented in Phase 4
+        showMessage('Targeting not yet available');
+    },
+
+    /**
+     * Check if a targeting mode is aimed as a direction from the player
+     * @param {string} mode - Targeting mode
+     * @returns {boolean} True for cone and line spells
+     */
+    isDirectionalMode(mode) {
+        return mode === MAGIC_CONSTANTS.TARGETING_MODES.CONE ||
+               mode === MAGIC_CONSTANTS.TARGETING_MODES.LINE;
+    },
+
+    /**
+     * Get the end point of a line spell fired from the player, stopped by walls
+     * @param {object} ability - The ability definition
+     * @param {object} playerObj - The player object
+     * @param {number} angle - Line direction in radians
+     * @returns {object} {startX, startY, endX, endY, length}
+     */
+    getLineSegment(ability, playerObj, angle) {
+        const startX = playerObj.x + playerObj.width / 2;
+        const startY = playerObj.y + playerObj.height / 2;
+        const length = getRayWallDistance(startX, startY, angle, ability.range);
+
+        return {
+            startX,
+            startY,
+            endX: startX + Math.cos(angle) * length,
+            endY: startY + Math.sin(angle) * length,
+            length
+        };
+    },
+
+    /**
+     * Enter targeting mode for a placed spell
+     * @param {string} abilityId - The ability being aimed
+     * @param {object} playerObj - The player object
+     */
+    beginTargeting(abilityId, playerObj) {
+        const ability = this.getAbility(abilityId, playerObj);
+        const playerCenterX = playerObj.x + playerObj.width / 2;
+        const playerCenterY = playerObj.y + playerObj.height / 2;
+
+        this.state.targetingActive = true;
+        this.state.activeAbility = abilityId;
+        this.state.targetingMode = ability.targetingMode;
+        this.state.targetX = playerCenterX;
+        this.state.targetY = playerCenterY;
+        this.state.targetingStep = 0;
+        this.state.aimInputX = 0;
+        this.state.aimInputY = 0;
+
+        // Slow down the world while aiming
+        gameState.timeScale = MAGIC_CONSTANTS.TARGETING_TIME_SCALE;
+
+        // Start the preview under the mouse if it is already over the canvas
+        this.updateTargeting(playerObj, 0);
+
+        showMessage(`${ability.name}: Click or tap to cast, ESC to cancel`);
+    },
+
+    /**
+     * Record the latest pointer position over the canvas (mouse or touch)
+     * @param {number} clientX - Screen X coordinate
+     * @param {number} clientY - Screen Y coordinate
+     */
+    setPointerPosition(clientX, clientY) {
+        this.state.pointerClientX = clientX;
+        this.state.pointerClientY = clientY;
+    },
+
+    /**
+     * Set the joystick aim vector used to move the targeting preview
+     * @param {number} x - Horizontal input (-1 to 1)
+     * @param {number} y - Vertical input (-1 to 1)
+     */
+    setAimInput(x, y) {
+        this.state.aimInputX = x;
+        this.state.aimInputY = y;
+    },
+
+    /**
+     * Move the targeting preview from joystick or pointer input
+     * @param {object} playerObj - The player object
+     * @param {number} deltaTime - Time since last frame in milliseconds (real time)
+     */
+    updateTargeting(playerObj, deltaTime) {
+        if (!this.state.targetingActive || !playerObj) return;
+
+        const playerCenterX = playerObj.x + playerObj.width / 2;
+        const playerCenterY = playerObj.y + playerObj.height / 2;
+        const hasAimInput = this.state.aimInputX !== 0 || this.state.aimInputY !== 0;
+
+        // Directional spells: aim by joystick direction, then pointer, then facing direction
+        if (this.isDirectionalMode(this.state.targetingMode)) {
+            if (hasAimInput) {
+                this.state.targetAngle = Math.atan2(this.state.aimInputY, this.state.aimInputX);
+            } else if (this.state.pointerClientX !== null) {
+                const worldPos = screenToWorld(this.state.pointerClientX, this.state.pointerClientY);
+                this.state.targetAngle = Math.atan2(worldPos.y - playerCenterY, worldPos.x - playerCenterX);
+            } else {
+                this.state.targetAngle = playerObj.getFacingAngle();
+            }
+
+            const ability = this.getAbility(this.state.activeAbility, playerObj);
+            this.state.targetX = playerCenterX + Math.cos(this.state.targetAngle) * ability.range;
+            this.state.targetY = playerCenterY + Math.sin(this.state.targetAngle) * ability.range;
+            return;
+        }
+
+        // Free-placed lines, second step: start point is fixed, aim rotates the line around it
+        if (this.state.targetingMode === MAGIC_CONSTANTS.TARGETING_MODES.LINE_GROUND &&
+            this.state.targetingStep === 1) {
+            if (hasAimInput) {
+                this.state.targetAngle = Math.atan2(this.state.aimInputY, this.state.aimInputX);
+            } else if (this.state.pointerClientX !== null) {
+                const worldPos = screenToWorld(this.state.pointerClientX, this.state.pointerClientY);
+                // Keep the previous angle while the pointer sits on the start point
+                if (getDistanceSquared(this.state.targetX, this.state.targetY, worldPos.x, worldPos.y) > 1) {
+                    this.state.targetAngle = Math.atan2(worldPos.y - this.state.targetY, worldPos.x - this.state.targetX);
+                }
+            }
+            return;
+        }
+
+        if (hasAimInput) {
+            // Joystick: move the preview at a fixed speed
+            const distance = MAGIC_CONSTANTS.TARGETING_CURSOR_SPEED * (deltaTime / 1000);
+            this.state.targetX += this.state.aimInputX * distance;
+            this.state.targetY += this.state.aimInputY * distance;
+        } else if (this.state.pointerClientX !== null) {
+            // Mouse/touch: preview follows the pointer (re-projected as the camera moves)
+            const worldPos = screenToWorld(this.state.pointerClientX, this.state.pointerClientY);
+            this.state.targetX = worldPos.x;
+            this.state.targetY = worldPos.y;
+        }
+
+        // Keep the preview inside the room
+        this.state.targetX = Math.max(0, Math.min(gameState.roomWidth * TILE_SIZE, this.state.targetX));
+        this.state.targetY = Math.max(0, Math.min(gameState.roomHeight * TILE_SIZE, this.state.targetY));
+
+        this.state.targetAngle = Math.atan2(this.state.targetY - playerCenterY, this.state.targetX - playerCenterX);
+    },
+
+    /**
+     * Check whether the current targeting position is valid for an ability
+     * @param {object} ability - The ability definition
+     * @param {object} playerObj - The player object
+     * @returns {object} {valid: boolean, reason: string}
+     */
+    validateTargetPosition(ability, playerObj) {
+        // Cones and lines always fire from the player, so any direction is valid
+        if (this.isDirectionalMode(ability.targetingMode)) {
+            return { valid: true, reason: '' };
+        }
+
+        const playerCenterX = playerObj.x + playerObj.width / 2;
+        const playerCenterY = playerObj.y + playerObj.height / 2;
+        const distance = Math.sqrt(
+            getDistanceSquared(playerCenterX, playerCenterY, this.state.targetX, this.state.targetY)
+        );
+
+        if (distance > ability.range) {
+            return { valid: false, reason: `Out of range (${Math.floor(distance)}/${ability.range})` };
+        }
+
+        if (!hasLineOfSight(playerCenterX, playerCenterY, this.state.targetX, this.state.targetY)) {
+            return { valid: false, reason: 'No line of sight' };
+        }
+
+        return { valid: true, reason: '' };
+    },
+
+    /**
+     * Confirm the current targeting position and cast the active spell
+     * Stays in targeting mode if the position is invalid so the player can adjust
+     * @param {object} playerObj - The player object
+     */
+    confirmTargeting(playerObj) {
+        if (!this.state.targetingActive || !playerObj) return;
+
+        const abilityId = this.state.activeAbility;
+        const ability = this.getAbility(abilityId, playerObj);
+
+        const placement = this.validateTargetPosition(ability, playerObj);
+        if (!placement.valid) {
+            showMessage(placement.reason);
+            return;
+        }
+
+        // Free-placed lines: first confirm locks the start point, second confirm casts
+        if (ability.targetingMode === MAGIC_CONSTANTS.TARGETING_MODES.LINE_GROUND &&
+            this.state.targetingStep === 0) {
+            const playerCenterX = playerObj.x + playerObj.width / 2;
+            const playerCenterY = playerObj.y + playerObj.height / 2;
+
+            this.state.targetingStep = 1;
+            // Default to pointing away from the player
+            if (getDistanceSquared(playerCenterX, playerCenterY, this.state.targetX, this.state.targetY) > 1) {
+                this.state.targetAngle = Math.atan2(this.state.targetY - playerCenterY, this.state.targetX - playerCenterX);
+            }
+            showMessage(`${ability.name}: Aim the line, then click or tap to cast`);
+            return;
+        }
+
+        // Mana may have changed while aiming
+        const check = this.canCast(abilityId, playerObj);
+        if (!check.canCast) {
+            showMessage(check.reason);
+            this.cancelTargeting();
+            return;
+        }
+
+        let target;
+        if (this.isDirectionalMode(ability.targetingMode)) {
+            target = { angle: this.state.targetAngle };
+        } else if (ability.targetingMode === MAGIC_CONSTANTS.TARGETING_MODES.LINE_GROUND) {
+            target = { x: this.state.targetX, y: this.state.targetY, angle: this.state.targetAngle };
+        } else {
+            target = { x: this.state.targetX, y: this.state.targetY };
+        }
+        this.cancelTargeting();
+        this.executeCast(abilityId, playerObj, target);
+    },
+
+    /**
+     * Execute the spell cast
+     * @param {string} abilityId - The ability to cast
+     * @param {object} playerObj - The player object (Critical #1 fix)
+     * @param {object} target - Optional target (for targeted spells)
+     * @param {boolean} castComplete - True when called by a finished cast bar
+     */
+    executeCast(abilityId, playerObj, target = null, castComplete = false) {
+        const ability = this.getAbility(abilityId, playerObj);
+
+        // Critical #3 fix: Re-validate target BEFORE deducting resources
+        if (ability.targetingMode === MAGIC_CONSTANTS.TARGETING_MODES.ENEMY_TARGET) {
+            if (!target || target.isDead) {
+                showMessage('Target became invalid');
+                return; // Don't deduct mana or trigger cooldowns
+            }
+
+            // Re-check range (enemy could have moved)
+            const enemyCenterX = target.x + target.width / 2;
+            const enemyCenterY = target.y + target.height / 2;
+            const playerCenterX = playerObj.x + playerObj.width / 2;
+            const playerCenterY = playerObj.y + playerObj.height / 2;
+
+            const distance = Math.sqrt(
+                Math.pow(enemyCenterX - playerCenterX, 2) +
+                Math.pow(enemyCenterY - playerCenterY, 2)
+            );
+
+            if (distance > ability.range) {
+                showMessage('Target moved out of range');
+                return; // Don't deduct mana or trigger cooldowns
+            }
+
+            if (!hasEntityLineOfSight(playerObj, target)) {
+                showMessage('No line of sight');
+                return; // Don't deduct mana or trigger cooldowns
+            }
+        }
+
+        // Ground-targeted spells need a world position within range
+        if (ability.targetingMode === MAGIC_CONSTANTS.TARGETING_MODES.CIRCLE_AOE ||
+            ability.targetingMode === MAGIC_CONSTANTS.TARGETING_MODES.LINE_GROUND) {
+            if (!target || typeof target.x !== 'number' || typeof target.y !== 'number') {
+                showMessage('Invalid target location');
+                return; // Don't deduct mana or trigger cooldowns
+            }
+
+            const playerCenterX = playerObj.x + playerObj.width / 2;
+            const playerCenterY = playerObj.y + playerObj.height / 2;
+            const distance = Math.sqrt(getDistanceSquared(playerCenterX, playerCenterY, target.x, target.y));
+
+            if (distance > ability.range) {
+                showMessage('Target location out of range');
+                return; // Don't deduct mana or trigger cooldowns
+            }
+
+            if (!hasLineOfSight(playerCenterX, playerCenterY, target.x, target.y)) {
+                showMessage('No line of sight');
+                return; // Don't deduct mana or trigger cooldowns
+            }
+        }
+
+        // Aimed spells need a direction
+        if (this.isDirectionalMode(ability.targetingMode) ||
+            ability.targetingMode === MAGIC_CONSTANTS.TARGETING_MODES.LINE_GROUND) {
+            if (!target || typeof target.angle !== 'number' || !isFinite(target.angle)) {
+                showMessage('Invalid aim direction');
+                return; // Don't deduct mana or trigger cooldowns
+            }
+        }
+
+        // Spells with a cast time start the cast bar instead; updateCasting
+        // calls back in here once it fills, so the target is re-validated then
+        if (ability.castTime > 0 && !castComplete) {
+            this.startCasting(abilityId, playerObj, target, 'cast', ability.castTime);
+            return;
+        }
+
+        // Mana may have changed during the cast
+        if (castComplete && playerObj.mana < ability.manaCost) {
+            showMessage(`${ability.name} fizzled: not enough mana`);
+            return;
+        }
+
+        // Critical #2 fix: Only NOW deduct mana and apply cooldowns (after validation)
+        playerObj.mana -= ability.manaCost;
+
+        // Apply cooldowns (Medium #1 fix: clamp to max)
+        this.state.globalCooldown = MAGIC_CONSTANTS.GLOBAL_COOLDOWN;
+        this.state.spellCooldowns[abilityId] = Math.min(ability.cooldown, 600000); // Max 10 minutes
+
+        // Channelled spells repeat their effect on ticks instead of firing once
+        if (ability.channelDuration > 0) {
+            this.startCasting(abilityId, playerObj, target, 'channel', ability.channelDuration);
+        } else {
+            this.applySpellEffect(ability, playerObj, target);
+        }
+
+        // Buffs the spell grants its caster
+        if (ability.selfStatusEffects) {
+            playerObj.statusEffects.applyAll(ability.selfStatusEffects);
+        }
+
+        // Update UI (High #2 fix: consistent updateUI call)
+        updateUI();
+    },
+
+    /**
+     * Run a spell's effect once (a whole cast, or one channel tick)
+     * @param {object} ability - The ability definition
+     * @param {object} playerObj - The caster
+     * @param {object} target - Validated target (enemy, {x, y}, {angle}, or null)
+     */
+    applySpellEffect(ability, playerObj, target) {
+        if (ability.targetingMode === MAGIC_CONSTANTS.TARGETING_MODES.INSTANT_SELF) {
+            this.executeInstantSelf(ability, playerObj);
+        } else if (ability.targetingMode === MAGIC_CONSTANTS.TARGETING_MODES.ENEMY_TARGET) {
+            this.executeEnemyTarget(ability, playerObj, target);
+        } else if (ability.targetingMode === MAGIC_CONSTANTS.TARGETING_MODES.CIRCLE_AOE) {
+            this.executeCircleAOE(ability, playerObj, target.x, target.y);
+        } else if (ability.targetingMode === MAGIC_CONSTANTS.TARGETING_MODES.CONE) {
+            this.executeCone(ability, playerObj, target.angle);
+        } else if (ability.targetingMode === MAGIC_CONSTANTS.TARGETING_MODES.LINE) {
+            this.executeLine(ability, playerObj, target.angle);
+        } else if (ability.targetingMode === MAGIC_CONSTANTS.TARGETING_MODES.LINE_GROUND) {
+            this.executeLineGround(ability, playerObj, target.x, target.y, target.angle);
+        }
+    },
+
+    /**
+     * Start a cast bar or channel
+     * @param {string} abilityId - The ability being cast
+     * @param {object} playerObj - The caster
+     * @param {object} target - Validated target, kept for completion/ticks
+     * @param {string} phase - 'cast' (fires once at the end) or 'channel' (fires every tick)
+     * @param {number} duration - Phase length in milliseconds
+     */
+    startCasting(abilityId, playerObj, target, phase, duration) {
+        const ability = ABILITIES[abilityId];
+        this.state.casting = {
+            abilityId: abilityId,
+            caster: playerObj,
+            target: target,
+            phase: phase,
+            elapsed: 0,
+            duration: duration,
+            tickInterval: ability.channelTickInterval || MAGIC_CONSTANTS.DEFAULT_CHANNEL_TICK,
+            tickTimer: 0,
+            startX: playerObj.x,
+            startY: playerObj.y
+        };
+
+        if (phase === 'cast') {
+            showMessage(`Casting ${ability.name}...`);
+        }
+    },
+
+    /**
+     * Advance the active cast or channel
+     * Uses real time like cooldowns, so targeting slow-motion doesn't stretch casts
+     * @param {object} playerObj - The caster
+     * @param {number} deltaTime - Time since last frame in milliseconds
+     */
+    updateCasting(playerObj, deltaTime) {
+        const cast = this.state.casting;
+        if (!cast) return;
+
+        const ability = this.getAbility(cast.abilityId, playerObj);
+
+        // Stuns always interrupt; movement only if the spell allows it to
+        if (playerObj.statusEffects && !playerObj.statusEffects.canAct()) {
+            this.interruptCasting('stunned');
+            return;
+        }
+        const moved = Math.abs(playerObj.x - cast.startX) > MAGIC_CONSTANTS.CAST_MOVE_TOLERANCE ||
+                      Math.abs(playerObj.y - cast.startY) > MAGIC_CONSTANTS.CAST_MOVE_TOLERANCE;
+        if (moved && ability.interruptOnMove !== false) {
+            this.interruptCasting('moved');
+            return;
+        }
+
+        cast.elapsed += deltaTime;
+
+        if (cast.phase === 'cast') {
+            if (cast.elapsed >= cast.duration) {
+                this.state.casting = null;
+                this.executeCast(cast.abilityId, playerObj, cast.target, true);
+            }
+            return;
+        }
+
+        // Channel: fire on each tick boundary until the duration runs out
+        cast.tickTimer += deltaTime;
+        while (cast.tickTimer >= cast.tickInterval) {
+            cast.tickTimer -= cast.tickInterval;
+
+            if (!this.isChannelTargetValid(ability, playerObj, cast.target)) {
+                this.interruptCasting('target lost');
+                return;
+            }
+            this.applySpellEffect(ability, playerObj, cast.target);
+            updateUI();
+
+            // The tick itself may have ended the channel (e.g. caster died)
+            if (this.state.casting !== cast) return;
+        }
+
+        if (cast.elapsed >= cast.duration) {
+            this.state.casting = null;
+        }
+    },
+
+    /**
+     * Check that a channelled spell's enemy target is still alive, in range and in sight
+     * @returns {boolean}
+     */
+    isChannelTargetValid(ability, playerObj, target) {
+        if (ability.targetingMode !== MAGIC_CONSTANTS.TARGETING_MODES.ENEMY_TARGET) return true;
+        if (!target || target.isDead) return false;
+
+        const distance = Math.sqrt(getDistanceSquared(
+            playerObj.x + playerObj.width / 2, playerObj.y + playerObj.height / 2,
+            target.x + target.width / 2, target.y + target.height / 2
+        ));
+        return distance <= ability.range && hasEntityLineOfSight(playerObj, target);
+    },
+
+    /**
+     * Stop the active cast/channel with feedback (nothing is spent for casts)
+     * @param {string} reason - Short reason shown to the player
+     */
+    interruptCasting(reason) {
+        const cast = this.state.casting;
+        if (!cast) return;
+
+        this.state.casting = null;
+        const ability = ABILITIES[cast.abilityId];
+        showMessage(`${ability.name} interrupted${reason ? ` (${reason})` : ''}`);
+        createParticles(cast.caster.x + cast.caster.width / 2, cast.caster.y + cast.caster.height / 2, '#888888', 6);
+    },
+
+    /**
+     * Silently drop the active cast/channel (death, room change, reset)
+     */
+    cancelCasting() {
+        this.state.casting = null;
+    },
+
+    /**
+     * Cast bar progress for UI display
+     * @returns {object|null} { ability, phase, progress (0-1), remaining (ms) } or null when idle
+     */
+    getCastProgress() {
+        const cast = this.state.casting;
+        if (!cast) return null;
+
+        const progress = Math.min(1, cast.elapsed / cast.duration);
+        return {
+            ability: ABILITIES[cast.abilityId],
+            // Channels drain the bar, casts fill it
+            phase: cast.phase,
+            progress: cast.phase === 'channel' ? 1 - progress : progress,
+            remaining: Math.max(0, cast.duration - cast.elapsed)
+        };
+    },
+
+    /**
+     * Spell damage before the target's mitigation (Medium #1 fix: min 1 damage)
+     * @param {object} ability - The ability definition
+     * @param {object} playerObj - The caster
+     * @returns {number}
+     */
+    getSpellDamage(ability, playerObj) {
+        return Math.max(1, (ability.damage || 0) + playerObj.spellPower);
+    },
+
+    /**
+     * Resolve one spell hit through the damage pipeline, then apply its status effects
+     * @param {object} ability - The ability definition
+     * @param {object} playerObj - The caster
+     * @param {object} enemy - The enemy that was hit
+     * @param {object} options - { amount: locked-in damage, quiet: skip per-hit message (AoE summaries) }
+     * @returns {object} Damage result from DamageSystem.resolve
+     */
+    hitWithSpell(ability, playerObj, enemy, options = {}) {
+        const result = DamageSystem.resolve({
+            source: playerObj,
+            target: enemy,
+            type: ability.damageType || DAMAGE_TYPES.MAGICAL,
+            amount: options.amount !== undefined ? options.amount : this.getSpellDamage(ability, playerObj),
+            label: ability.name,
+            quiet: options.quiet
+        });
+        if (!result.dodged && !result.blocked) {
+            this.applyStatusEffects(ability, enemy, playerObj);
+        }
+        return result;
+    },
+
+    /**
+     * Apply an ability's declared status effects to an enemy it hit
+     * @param {object} ability - The ability definition
+     * @param {object} enemy - The enemy that was hit (skipped if the hit killed it)
+     * @param {object} playerObj - The caster
+     */
+    applyStatusEffects(ability, enemy, playerObj) {
+        if (!ability.statusEffects || enemy.isDead) return;
+        enemy.statusEffects.applyAll(ability.statusEffects, playerObj);
+    },
+
+    /**
+     * Execute instant self-cast spell
+     * @param {object} ability - The ability definition
+     * @param {object} playerObj - The player object (Critical #1 fix)
+     */
+    executeInstantSelf(ability, playerObj) {
+        const playerCenterX = playerObj.x + playerObj.width / 2;
+        const playerCenterY = playerObj.y + playerObj.height / 2;
+
+        // Healing spell
+        if (ability.healing) {
+            const healAmount = ability.healing;
+            const actualHeal = Math.min(ability.healing, playerObj.maxHealth - playerObj.health);
+            playerObj.health = Math.min(playerObj.maxHealth, playerObj.health + healAmount);
+            createParticles(playerCenterX, playerCenterY, ability.color, 15);
+
+            if (actualHeal > 0) {
+                showMessage(`${ability.name}: +${actualHeal} HP`);
+            } else {
+                showMessage(`${ability.name}: Already full health`);
+            }
+            return;
+        }
+
+        // AOE spell (Frost Nova)
+        if (ability.radius) {
+            let hitCount = 0;
+
+            // Iterate over a copy - enemies remove themselves from the array on death
+            gameState.enemies.slice().forEach(enemy => {
+                if (enemy.isDead) return;
+
+                const enemyCenterX = enemy.x + enemy.width / 2;
+                const enemyCenterY = enemy.y + enemy.height / 2;
+                const dist = Math.sqrt(
+                    Math.pow(enemyCenterX - playerCenterX, 2) +
+                    Math.pow(enemyCenterY - playerCenterY, 2)
+                );
+
+                if (dist <= ability.radius) {
+                    const result = this.hitWithSpell(ability, playerObj, enemy, { quiet: true });
+                    if (!result.dodged) {
+                        createParticles(enemyCenterX, enemyCenterY, ability.color, 10);
+                        hitCount++;
+                    }
+                }
+            });
+
+            createParticles(playerCenterX, playerCenterY, ability.color, 30);
+            if (hitCount > 0) {
+                showMessage(`${ability.name}: Hit ${hitCount} ${hitCount === 1 ? 'enemy' : 'enemies'}!`);
+            } else {
+                showMessage(`${ability.name}: No targets in range`);
+            }
+        }
+    },
+
+    /**
+     * Execute enemy-targeted spell
+     * @param {object} ability - The ability definition
+     * @param {object} playerObj - The player object (Critical #1 fix)
+     * @param {object} target - The target enemy
+     */
+    executeEnemyTarget(ability, playerObj, target) {
+        // Critical #3: This should never happen now (validated in executeCast)
+        // but keeping as safety check
+        if (!target || target.isDead) {
+            console.warn('[MagicManager] executeEnemyTarget: Invalid target (should have been caught earlier)');
+            showMessage('Target invalid');
+            return;
+        }
+
+        const enemyCenterX = target.x + target.width / 2;
+        const enemyCenterY = target.y + target.height / 2;
+
+        // Lock in damage at cast time (Medium #1 fix: min 1 damage)
+        const totalDamage = this.getSpellDamage(ability, playerObj);
+
+        // Travelling spells: damage is applied when the projectile lands
+        if (ability.projectileSpeed) {
+            const playerCenterX = playerObj.x + playerObj.width / 2;
+            const playerCenterY = playerObj.y + playerObj.height / 2;
+
+            ProjectileManager.spawn({
+                x: playerCenterX,
+                y: playerCenterY,
+                angle: Math.atan2(enemyCenterY - playerCenterY, enemyCenterX - playerCenterX),
+                speed: ability.projectileSpeed,
+                radius: ability.projectileRadius,
+                color: ability.color,
+                team: 'player',
+                target: ability.projectileHoming ? target : null,
+                lifetime: (ability.range / ability.projectileSpeed) * 1000 * PROJECTILE_CONSTANTS.LIFETIME_RANGE_FACTOR,
+                onHit: (enemy) => {
+                    const result = this.hitWithSpell(ability, playerObj, enemy, { amount: totalDamage });
+                    if (!result.dodged) {
+                        createParticles(enemy.x + enemy.width / 2, enemy.y + enemy.height / 2, ability.color, 15);
+                    }
+                }
+            });
+            return;
+        }
+
+        const result = this.hitWithSpell(ability, playerObj, target, { amount: totalDamage });
+        if (!result.dodged) {
+            createParticles(enemyCenterX, enemyCenterY, ability.color, 15);
+        }
+    },
+
+    /**
+     * Execute ground-targeted circle AOE spell (Fireball)
+     * @param {object} ability - The ability definition
+     * @param {object} playerObj - The player object
+     * @param {number} centerX - Impact X (world space)
+     * @param {number} centerY - Impact Y (world space)
+     */
+    executeCircleAOE(ability, playerObj, centerX, centerY) {
+        let hitCount = 0;
+
+        // Iterate over a copy - enemies remove themselves from the array on death
+        gameState.enemies.slice().forEach(enemy => {
+            if (enemy.isDead) return;
+
+            const enemyCenterX = enemy.x + enemy.width / 2;
+            const enemyCenterY = enemy.y + enemy.height / 2;
+            const dist = Math.sqrt(getDistanceSquared(centerX, centerY, enemyCenterX, enemyCenterY));
+
+            if (dist <= ability.radius) {
+                const result = this.hitWithSpell(ability, playerObj, enemy, { quiet: true });
+                if (!result.dodged) {
+                    createParticles(enemyCenterX, enemyCenterY, ability.color, 10);
+                    hitCount++;
+                }
+            }
+        });
+
+        createParticles(centerX, centerY, ability.color, 30);
+        if (hitCount > 0) {
+            showMessage(`${ability.name}: Hit ${hitCount} ${hitCount === 1 ? 'enemy' : 'enemies'}!`);
+        } else {
+            showMessage(`${ability.name}: No targets hit`);
+        }
+    },
+
+    /**
+     * Execute cone spell from the player (Flame Breath)
+     * @param {object} ability - The ability definition
+     * @param {object} playerObj - The player object
+     * @param {number} angle - Cone direction in radians
+     */
+    executeCone(ability, playerObj, angle) {
+        const playerCenterX = playerObj.x + playerObj.width / 2;
+        const playerCenterY = playerObj.y + playerObj.height / 2;
+        const halfAngle = (ability.angle / 2) * Math.PI / 180;
+        let hitCount = 0;
+
+        // Iterate over a copy - enemies remove themselves from the array on death
+        gameState.enemies.slice().forEach(enemy => {
+            if (enemy.isDead) return;
+
+            const enemyCenterX = enemy.x + enemy.width / 2;
+            const enemyCenterY = enemy.y + enemy.height / 2;
+
+            if (isPointInCone(enemyCenterX, enemyCenterY, playerCenterX, playerCenterY, angle, halfAngle, ability.range)) {
+                const result = this.hitWithSpell(ability, playerObj, enemy, { quiet: true });
+                if (!result.dodged) {
+                    createParticles(enemyCenterX, enemyCenterY, ability.color, 10);
+                    hitCount++;
+                }
+            }
+        });
+
+        // Spray particles across the arc
+        const steps = 5;
+        for (let i = 0; i < steps; i++) {
+            const stepAngle = angle - halfAngle + (halfAngle * 2) * (i / (steps - 1));
+            for (let d = 0.3; d <= 1; d += 0.35) {
+                createParticles(
+                    playerCenterX + Math.cos(stepAngle) * ability.range * d,
+                    playerCenterY + Math.sin(stepAngle) * ability.range * d,
+                    ability.color, 3
+                );
+            }
+        }
+
+        if (hitCount > 0) {
+            showMessage(`${ability.name}: Hit ${hitCount} ${hitCount === 1 ? 'enemy' : 'enemies'}!`);
+        } else {
+            showMessage(`${ability.name}: No targets hit`);
+        }
+    },
+
+    /**
+     * Execute line spell from the player (Lightning Bolt)
+     * Walls stop the beam; every enemy whose box crosses it is hit
+     * @param {object} ability - The ability definition
+     * @param {object} playerObj - The player object
+     * @param {number} angle - Line direction in radians
+     */
+    executeLine(ability, playerObj, angle) {
+        const line = this.getLineSegment(ability, playerObj, angle);
+        const halfWidth = ability.width / 2;
+        let hitCount = 0;
+
+        // Iterate over a copy - enemies remove themselves from the array on death
+        gameState.enemies.slice().forEach(enemy => {
+            if (enemy.isDead) return;
+
+            // Expand the enemy box by half the beam width and test against the beam's center line
+            if (segmentIntersectsRect(
+                line.startX, line.startY, line.endX, line.endY,
+                enemy.x - halfWidth, enemy.y - halfWidth,
+                enemy.width + ability.width, enemy.height + ability.width
+            )) {
+                const result = this.hitWithSpell(ability, playerObj, enemy, { quiet: true });
+                if (!result.dodged) {
+                    createParticles(enemy.x + enemy.width / 2, enemy.y + enemy.height / 2, ability.color, 10);
+                    hitCount++;
+                }
+            }
+        });
+
+        gameState.spellEffects.push(new SpellEffect('beam', 250, {
+            startX: line.startX,
+            startY: line.startY,
+            endX: line.endX,
+            endY: line.endY,
+            width: ability.width,
+            color: ability.color
+        }));
+        createParticles(line.endX, line.endY, ability.color, 12);
+
+        if (hitCount > 0) {
+            showMessage(`${ability.name}: Hit ${hitCount} ${hitCount === 1 ? 'enemy' : 'enemies'}!`);
+        } else {
+            showMessage(`${ability.name}: No targets hit`);
+        }
+    },
+
+    /**
+     * Execute free-placed line spell (Flame Strike)
+     * Marks the ground immediately; damage lands when the eruption delay ends
+     * @param {object} ability - The ability definition
+     * @param {object} playerObj - The player object
+     * @param {number} startX - Line start X (world space)
+     * @param {number} startY - Line start Y (world space)
+     * @param {number} angle - Line direction in radians
+     */
+    executeLineGround(ability, playerObj, startX, startY, angle) {
+        const endX = startX + Math.cos(angle) * ability.length;
+        const endY = startY + Math.sin(angle) * ability.length;
+
+        // Lock in damage at cast time (Medium #1 fix: min 1 damage)
+        const totalDamage = this.getSpellDamage(ability, playerObj);
+        const lineData = { startX, startY, endX, endY, angle, length: ability.length, width: ability.width, color: ability.color };
+
+        const erupt = () => {
+            const halfWidth = ability.width / 2;
+            let hitCount = 0;
+
+            // Iterate over a copy - enemies remove themselves from the array on death
+            gameState.enemies.slice().forEach(enemy => {
+                if (enemy.isDead) return;
+
+                if (segmentIntersectsRect(
+                    startX, startY, endX, endY,
+                    enemy.x - halfWidth, enemy.y - halfWidth,
+                    enemy.width + ability.width, enemy.height + ability.width
+                )) {
+                    const result = this.hitWithSpell(ability, playerObj, enemy, { amount: totalDamage, quiet: true });
+                    if (!result.dodged) {
+                        createParticles(enemy.x + enemy.width / 2, enemy.y + enemy.height / 2, ability.color, 10);
+                        hitCount++;
+                    }
+                }
+            });
+
+            // Flames along the line
+            const bursts = Math.max(2, Math.ceil(ability.length / 40));
+            for (let i = 0; i <= bursts; i++) {
+                const t = i / bursts;
+                createParticles(startX + (endX - startX) * t, startY + (endY - startY) * t, ability.color, 4);
+            }
+            gameState.spellEffects.push(new SpellEffect('line_burst', 300, lineData));
+
+            if (hitCount > 0) {
+                showMessage(`${ability.name}: Hit ${hitCount} ${hitCount === 1 ? 'enemy' : 'enemies'}!`);
+            }
+        };
+
+        gameState.spellEffects.push(new SpellEffect('line_telegraph', ability.eruptionDelay || 0, lineData, erupt));
+        showMessage(`${ability.name}: Flames rising...`);
+    },
+
+    /**
+     * Cancel active targeting
+     */
+    cancelTargeting() {
+        this.state.targetingActive = false;
+        this.state.activeAbility = null;
+        this.state.targetingMode = null;
+        this.state.targetingStep = 0;
+        this.state.aimInputX = 0;
+        this.state.aimInputY = 0;
+        gameState.timeScale = 1.0;
+    },
+
+    /**
+     * Get cooldown percentage for UI display
+     * @param {string} abilityId - The ability to check
+     * @returns {number} Percentage from 0-100
+     */
+    getCooldownPercent(abilityId) {
+        const ability = ABILITIES[abilityId];
+        if (!ability) {
+            // Medium #4 fix: Log warning for invalid ability
+            console.warn(`[MagicManager] getCooldownPercent: Unknown ability '${abilityId}'`);
+            return 0;
+        }
+
+        const remaining = this.state.spellCooldowns[abilityId] || 0;
+        if (remaining <= 0) return 0;
+
+        return (remaining / ability.cooldown) * 100;
+    },
+
+    /**
+     * Get global cooldown percentage for UI display
+     * @returns {number} Percentage from 0-100
+     */
+    getGlobalCooldownPercent() {
+        if (this.state.globalCooldown <= 0) return 0;
+        return (this.state.globalCooldown / MAGIC_CONSTANTS.GLOBAL_COOLDOWN) * 100;
+    },
+
+    /**
+     * Reset magic system state (High #3 fix: called on player death/reset)
+     */
+    reset() {
+        // Reset global cooldown
+        this.state.globalCooldown = 0;
+
+        // Reset all spell cooldowns
+        if (this.abilityIds) {
+            this.abilityIds.forEach(abilityId => {
+                this.state.spellCooldowns[abilityId] = 0;
+            });
+        }
+
+        // Cancel any active targeting or cast
+        this.cancelTargeting();
+        this.cancelCasting();
+    }
+};
+
+/**
+ * TargetingSystem - Draws spell placement previews while targeting is active
+ * Phase 4: Targeting UI
+ */
+const TargetingSystem = {
+    // Screen-space cancel button (for touch devices without an ESC key)
+    CANCEL_BUTTON: { x: CANVAS_WIDTH / 2 - 50, y: 30, width: 100, height: 40 },
+
+    /**
+     * Draw the targeting preview and UI
+     * Must be called while the viewport transform is applied
+     * @param {CanvasRenderingContext2D} ctx - The canvas context
+     * @param {object} playerObj - The player object
+     */
+    draw(ctx, playerObj) {
+        if (!MagicManager.state.targetingActive) return;
+
+        const ability = MagicManager.getAbility(MagicManager.state.activeAbility, playerObj);
+        if (!ability) return;
+
+        // Draw world-space elements (uses current viewport transform)
+        ctx.save();
+        switch (MagicManager.state.targetingMode) {
+            case MAGIC_CONSTANTS.TARGETING_MODES.CIRCLE_AOE:
+                this.drawCircle(ctx, ability, playerObj);
+                break;
+            case MAGIC_CONSTANTS.TARGETING_MODES.CONE:
+                this.drawCone(ctx, ability, playerObj);
+                break;
+            case MAGIC_CONSTANTS.TARGETING_MODES.LINE:
+                this.drawLine(ctx, ability, playerObj);
+                break;
+            case MAGIC_CONSTANTS.TARGETING_MODES.LINE_GROUND:
+                this.drawLineGround(ctx, ability, playerObj);
+                break;
+        }
+        ctx.restore(); // End world-space drawing
+
+        // Draw UI elements in screen space
+        ctx.save();
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        this.drawCancelButton(ctx);
+        this.drawInstructions(ctx, ability, this.getInstructionText(ability));
+        ctx.restore(); // Back to world space
+    },
+
+    /**
+     * Draw the dashed range limit around the player
+     * @param {CanvasRenderingContext2D} ctx - The canvas context
+     * @param {object} ability - The ability definition
+     * @param {object} playerObj - The player object
+     */
+    drawRangeRing(ctx, ability, playerObj) {
+        const playerCenterX = playerObj.x + playerObj.width / 2;
+        const playerCenterY = playerObj.y + playerObj.height / 2;
+
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
+        ctx.lineWidth = 2;
+        ctx.setLineDash([5, 5]);
+        ctx.beginPath();
+        ctx.arc(playerCenterX, playerCenterY, ability.range, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.setLineDash([]);
+    },
+
+    /**
+     * Draw circle AOE preview (Fireball)
+     * @param {CanvasRenderingContext2D} ctx - The canvas context
+     * @param {object} ability - The ability definition
+     * @param {object} playerObj - The player object
+     */
+    drawCircle(ctx, ability, playerObj) {
+        const x = MagicManager.state.targetX;
+        const y = MagicManager.state.targetY;
+        const inRange = MagicManager.validateTargetPosition(ability, playerObj).valid;
+        const color = inRange ? ability.color : '#ff0000';
+
+        this.drawRangeRing(ctx, ability, playerObj);
+
+        // AOE circle (pulses slightly so it reads as "live")
+        const pulse = 1 + Math.sin(gameState.elapsedTime / 150) * 0.03;
+        ctx.globalAlpha = 0.3;
+        ctx.fillStyle = color;
+        ctx.beginPath();
+        ctx.arc(x, y, ability.radius * pulse, 0, Math.PI * 2);
+        ctx.fill();
+
+        ctx.globalAlpha = 0.9;
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 3;
+        ctx.stroke();
+
+        // Crosshair
+        ctx.strokeStyle = '#fff';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(x - 15, y);
+        ctx.lineTo(x + 15, y);
+        ctx.moveTo(x, y - 15);
+        ctx.lineTo(x, y + 15);
+        ctx.stroke();
+    },
+
+    /**
+     * Draw cone preview from the player (Flame Breath)
+     * @param {CanvasRenderingContext2D} ctx - The canvas context
+     * @param {object} ability - The ability definition
+     * @param {object} playerObj - The player object
+     */
+    drawCone(ctx, ability, playerObj) {
+        const playerCenterX = playerObj.x + playerObj.width / 2;
+        const playerCenterY = playerObj.y + playerObj.height / 2;
+        const angle = MagicManager.state.targetAngle;
+        const halfAngle = (ability.angle / 2) * Math.PI / 180;
+
+        // Translucent wedge
+        ctx.globalAlpha = 0.3;
+        ctx.fillStyle = ability.color;
+        ctx.beginPath();
+        ctx.moveTo(playerCenterX, playerCenterY);
+        ctx.arc(playerCenterX, playerCenterY, ability.range, angle - halfAngle, angle + halfAngle);
+        ctx.closePath();
+        ctx.fill();
+
+        ctx.globalAlpha = 0.9;
+        ctx.strokeStyle = ability.color;
+        ctx.lineWidth = 2;
+        ctx.stroke();
+
+        // Highlight enemies that would be hit
+        ctx.strokeStyle = '#fff';
+        for (let enemy of gameState.enemies) {
+            if (enemy.isDead) continue;
+            const enemyCenterX = enemy.x + enemy.width / 2;
+            const enemyCenterY = enemy.y + enemy.height / 2;
+            if (isPointInCone(enemyCenterX, enemyCenterY, playerCenterX, playerCenterY, angle, halfAngle, ability.range)) {
+                ctx.strokeRect(enemy.x - 3, enemy.y - 3, enemy.width + 6, enemy.height + 6);
+            }
+        }
+    },
+
+    /**
+     * Draw line preview from the player (Lightning Bolt)
+     * @param {CanvasRenderingContext2D} ctx - The canvas context
+     * @param {object} ability - The ability definition
+     * @param {object} playerObj - The player object
+     */
+    drawLine(ctx, ability, playerObj) {
+        const angle = MagicManager.state.targetAngle;
+        const line = MagicManager.getLineSegment(ability, playerObj, angle);
+
+        // Rotated rectangle along the aim direction
+        ctx.translate(line.startX, line.startY);
+        ctx.rotate(angle);
+
+        ctx.globalAlpha = 0.3;
+        ctx.fillStyle = ability.color;
+        ctx.fillRect(0, -ability.width / 2, line.length, ability.width);
+
+        ctx.globalAlpha = 0.9;
+        ctx.strokeStyle = ability.color;
+        ctx.lineWidth = 2;
+        ctx.strokeRect(0, -ability.width / 2, line.length, ability.width);
+
+        // Show the unobstructed range when a wall cuts the line short
+        if (line.length < ability.range) {
+            ctx.globalAlpha = 0.4;
+            ctx.setLineDash([5, 5]);
+            ctx.strokeStyle = '#ff0000';
+            ctx.strokeRect(line.length, -ability.width / 2, ability.range - line.length, ability.width);
+            ctx.setLineDash([]);
+        }
+    },
+
+    /**
+     * Draw free-placed line preview (Flame Strike)
+     * Step 0 shows the start marker with a faint line; step 1 shows the locked line
+     * @param {CanvasRenderingContext2D} ctx - The canvas context
+     * @param {object} ability - The ability definition
+     * @param {object} playerObj - The player object
+     */
+    drawLineGround(ctx, ability, playerObj) {
+        const x = MagicManager.state.targetX;
+        const y = MagicManager.state.targetY;
+        const isPlacingStart = MagicManager.state.targetingStep === 0;
+        const inRange = MagicManager.validateTargetPosition(ability, playerObj).valid;
+        const color = inRange ? ability.color : '#ff0000';
+
+        if (isPlacingStart) {
+            this.drawRangeRing(ctx, ability, playerObj);
+        }
+
+        // Line body
+        ctx.save();
+        ctx.translate(x, y);
+        ctx.rotate(MagicManager.state.targetAngle);
+        ctx.globalAlpha = isPlacingStart ? 0.15 : 0.35;
+        ctx.fillStyle = color;
+        ctx.fillRect(0, -ability.width / 2, ability.length, ability.width);
+        ctx.globalAlpha = isPlacingStart ? 0.4 : 0.9;
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 2;
+        if (isPlacingStart) ctx.setLineDash([5, 5]);
+        ctx.strokeRect(0, -ability.width / 2, ability.length, ability.width);
+        ctx.setLineDash([]);
+        ctx.restore();
+
+        // Start point marker
+        ctx.globalAlpha = 0.9;
+        ctx.fillStyle = color;
+        ctx.strokeStyle = '#fff';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(x, y, 8, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.stroke();
+    },
+
+    /**
+     * Draw the cancel button (screen space)
+     * @param {CanvasRenderingContext2D} ctx - The canvas context
+     */
+    drawCancelButton(ctx) {
+        const btn = this.CANCEL_BUTTON;
+
+        ctx.fillStyle = 'rgba(244, 67, 54, 0.9)';
+        ctx.strokeStyle = '#fff';
+        ctx.lineWidth = 2;
+        ctx.fillRect(btn.x, btn.y, btn.width, btn.height);
+        ctx.strokeRect(btn.x, btn.y, btn.width, btn.height);
+
+        ctx.fillStyle = '#fff';
+        ctx.font = 'bold 14px Arial';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText('CANCEL (ESC)', btn.x + btn.width / 2, btn.y + btn.height / 2);
+    },
+
+    /**
+     * Draw the instruction banner (screen space)
+     * @param {CanvasRenderingContext2D} ctx - The canvas context
+     * @param {object} ability - The ability definition
+     * @param {string} text - Instruction text
+     */
+    drawInstructions(ctx, ability, text) {
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+        ctx.fillRect(0, CANVAS_HEIGHT - 50, CANVAS_WIDTH, 50);
+
+        ctx.fillStyle = '#fff';
+        ctx.font = '14px Arial';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(text, CANVAS_WIDTH / 2, CANVAS_HEIGHT - 25);
+    },
+
+    /**
+     * Get the instruction banner text for the current targeting step
+     * @param {object} ability - The ability definition
+     * @returns {string} Instruction text
+     */
+    getInstructionText(ability) {
+        if (MagicManager.state.targetingMode === MAGIC_CONSTANTS.TARGETING_MODES.LINE_GROUND) {
+            return MagicManager.state.targetingStep === 0
+                ? `${ability.name} - Click/tap to place the start point, ESC to cancel`
+                : `${ability.name} - Drag or aim to rotate, click/tap to cast, ESC to cancel`;
+        }
+        return `${ability.name} - Click/tap or press its key again to cast, ESC to cancel`;
+    },
+
+    /**
+     * Check if a screen position hits the cancel button
+     * @param {number} clientX - Screen X coordinate
+     * @param {number} clientY - Screen Y coordinate
+     * @returns {boolean} True if the point is on the cancel button
+     */
+    isCancelButtonHit(clientX, clientY) {
+        const rect = canvas.getBoundingClientRect();
+        const canvasX = clientX - rect.left;
+        const canvasY = clientY - rect.top;
+        const btn = this.CANCEL_BUTTON;
+
+        return canvasX >= btn.x && canvasX <= btn.x + btn.width &&
+               canvasY >= btn.y && canvasY <= btn.y + btn.height;
+    }
+};
+
+// ============================================================================
+// SECTION 5: ENTITY CLASSES
+// ============================================================================
+
+// Status Effects - per-entity container shared by Player and Enemy
+// Durations and ticks run on scaled game time, so slow-motion slows them too
+class StatusEffects {
+    /**
+     * @param {object} owner - Entity the effects belong to (needs health, maxHealth, takeDamage)
+     */
+    constructor(owner) {
+        this.owner = owner;
+        this.active = {}; // effectId -> { id, remaining, duration, magnitude, stacks, tickTimer, source }
+    }
+
+    /**
+     * Apply (or reapply) an effect, following its stacking rule
+     * @param {string} effectId - Key in STATUS_EFFECTS
+     * @param {number} duration - Duration in milliseconds
+     * @param {number} magnitude - Effect strength (see STATUS_EFFECTS)
+     * @param {object} [source] - Entity that applied it (credited for tick damage)
+     * @returns {boolean} True if the effect was applied
+     */
+    apply(effectId, duration, magnitude = 0, source = null) {
+        const def = STATUS_EFFECTS[effectId];
+        if (!def) {
+            console.warn(`[StatusEffects] Unknown effect: ${effectId}`);
+            return false;
+        }
+        if (!(duration > 0)) return false;
+
+        const existing = this.active[effectId];
+        if (!existing) {
+            this.active[effectId] = {
+                id: effectId,
+                remaining: duration,
+                duration: duration,
+                magnitude: magnitude,
+                stacks: 1,
+                tickTimer: 0,
+                source: source
+            };
+            return true;
+        }
+
+        if (source) {
+            existing.source = source;
+        }
+
+        switch (def.stacking) {
+            case 'stack':
+                existing.stacks = Math.min(def.maxStacks || 1, existing.stacks + 1);
+                existing.magnitude = Math.max(existing.magnitude, magnitude);
+                existing.remaining = duration;
+                existing.duration = duration;
+                break;
+            case 'extend':
+                existing.remaining += duration;
+                existing.duration = existing.remaining;
+                break;
+            case 'refresh':
+            default:
+                existing.magnitude = magnitude;
+                existing.remaining = duration;
+                existing.duration = duration;
+                break;
+        }
+        return true;
+    }
+
+    /**
+     * Apply a list of { id, duration, magnitude } entries (ability definitions)
+     * @param {Array} effects - Effect entries, may be undefined
+     * @param {object} [source] - Entity applying them
+     */
+    applyAll(effects, source = null) {
+        if (!Array.isArray(effects)) return;
+        effects.forEach(effect => this.apply(effect.id, effect.duration, effect.magnitude, source));
+    }
+
+    has(effectId) {
+        return !!this.active[effectId];
+    }
+
+    remove(effectId) {
+        delete this.active[effectId];
+    }
+
+    clear() {
+        this.active = {};
+    }
+
+    /**
+     * Advance durations and periodic ticks
+     * @param {number} deltaTime - Scaled game time in milliseconds
+     */
+    update(deltaTime) {
+        for (const id of Object.keys(this.active)) {
+            const effect = this.active[id];
+            const def = STATUS_EFFECTS[id];
+
+            // Only count time the effect was actually alive this frame
+            const elapsed = Math.min(deltaTime, effect.remaining);
+            effect.remaining -= deltaTime;
+
+            if (def.tickInterval) {
+                effect.tickTimer += elapsed;
+                while (effect.tickTimer >= def.tickInterval) {
+                    effect.tickTimer -= def.tickInterval;
+                    this.tick(def, effect);
+                }
+            }
+
+            if (effect.remaining <= 0) {
+                delete this.active[id];
+            }
+        }
+    }
+
+    /**
+     * Resolve one periodic tick
+     * @param {object} def - Effect definition
+     * @param {object} effect - Active effect instance
+     */
+    tick(def, effect) {
+        const owner = this.owner;
+        if (owner.isDead || owner.health <= 0) return;
+
+        const amount = effect.magnitude * effect.stacks;
+        if (amount <= 0) return;
+
+        const centerX = owner.x + owner.width / 2;
+        const centerY = owner.y + owner.height / 2;
+
+        if (def.tick === 'damage') {
+            DamageSystem.resolve({
+                source: effect.source,
+                target: owner,
+                type: def.damageType || DAMAGE_TYPES.MAGICAL,
+                amount: amount,
+                periodic: true
+            });
+            createParticles(centerX, centerY, def.color, 3);
+        } else if (def.tick === 'heal') {
+            owner.health = Math.min(owner.maxHealth, owner.health + amount);
+            createParticles(centerX, centerY, def.color, 3);
+            if (owner === player) updateUI();
+        }
+    }
+
+    /**
+     * Combined movement speed multiplier (0 when movement is blocked)
+     * @returns {number}
+     */
+    getSpeedMultiplier() {
+        let multiplier = 1;
+        for (const id in this.active) {
+            const def = STATUS_EFFECTS[id];
+            if (def.blocksMovement) return 0;
+            if (def.modifiesSpeed) multiplier *= this.active[id].magnitude;
+        }
+        return Math.max(0, multiplier);
+    }
+
+    canMove() {
+        return !Object.keys(this.active).some(id => STATUS_EFFECTS[id].blocksMovement);
+    }
+
+    canAct() {
+        return !Object.keys(this.active).some(id => STATUS_EFFECTS[id].blocksActions);
+    }
+
+    /**
+     * Active effects with their definitions, for HUD/icon drawing
+     * @returns {Array<{def: object, effect: object}>}
+     */
+    getList() {
+        return Object.keys(this.active).map(id => ({ def: STATUS_EFFECTS[id], effect: this.active[id] }));
+    }
+
+    /**
+     * Draw a row of effect icons centered on a point (world space)
+     * @param {number} centerX - Row center X
+     * @param {number} y - Row baseline Y
+     */
+    drawIcons(centerX, y) {
+        const list = this.getList();
+        if (list.length === 0) return;
+
+        const spacing = 12;
+        let x = centerX - ((list.length - 1) * spacing) / 2;
+
+        ctx.font = '10px Arial';
+        ctx.textAlign = 'center';
+        list.forEach(({ def, effect }) => {
+            // Blink during the last second so expiry is readable
+            if (effect.remaining < 1000 && Math.floor(gameState.elapsedTime / 150) % 2 === 0) {
+                ctx.globalAlpha = 0.4;
+            }
+            ctx.fillText(def.icon, x, y);
+            if (effect.stacks > 1) {
+                ctx.fillStyle = '#fff';
+                ctx.font = 'bold 7px Arial';
+                ctx.fillText(effect.stacks, x + 5, y + 2);
+                ctx.font = '10px Arial';
+            }
+            ctx.globalAlpha = 1;
+            x += spacing;
+        });
+    }
+}
+
+class Player {
+    constructor(x, y) {
+        this.x = x;
+        this.y = y;
+        this.width = 30;
+        this.height = 30;
+        this.speed = 3;
+        this.direction = 0; // 0=down, 1=right, 2=up, 3=left
+
+        // RPG Stats
+        this.level = 1;
+        this.xp = 0;
+        this.xpNeeded = 100;
+
+        // Base stats (used as foundation for computed stats)
+        this.baseMaxHealth = 100;
+        this.baseAttack = 10;
+        this.baseDefense = 5;
+
+        // Primary Attributes (6 core stats)
+        this.attributes = {
+            strength: 5,      // Affects attack damage
+            vitality: 5,      // Affects max health and defense
+            dexterity: 5,     // Affects crit chance, dodge chance, attack speed
+            intelligence: 5,  // Affects magic damage (future)
+            wisdom: 5,        // Affects magic defense (future)
+            luck: 5           // Affects crit chance and loot quality (future)
+        };
+
+        // Attribute points for allocation
+        this.attributePoints = 0;
+
+        // Mana System (Phase 1)
+        this.baseMana = MAGIC_CONSTANTS.BASE_MANA; // 150
+        this.mana = 0; // Will be set after updateComputedStats()
+        this.manaRegen = 0; // Per second, calculated from Wisdom
+        this.spellPower = 0; // Spell damage bonus, from Intelligence
+        this.magicDefense = 0; // Magic damage reduction, from Wisdom
+
+        // Spell System (Phase 1)
+        this.unlockedSpells = ['magic_missile']; // Start with one basic spell
+        this.hotbar = [
+            'magic_missile', // Slot 1
+            null, null, null, null, null, null, null // Slots 2-8 empty
+        ];
+
+        // Spell ranks (Phase 5) - bought with spell points earned on level up
+        this.spellRanks = {};  // abilityId -> rank (unlocked spells default to rank 1)
+        this.spellPoints = 0;
+
+        // Computed stats (calculated from base + attributes)
+        this.updateComputedStats();
+        this.health = this.maxHealth;
+        this.mana = this.maxMana; // Set mana to full after stats calculated
+
+        // Combat
+        this.isAttacking = false;
+        this.attackCooldown = 0;        // Milliseconds remaining (time-based)
+        this.attackRange = 45;
+        this.invulnerable = false;
+        this.invulnerabilityTime = 0;   // Milliseconds remaining (time-based, replaces invulnerableTimer)
+
+        // Damage taken is reduced by resistances after (magic) defense (see DamageSystem)
+        this.resistances = { physical: 0, magical: 0 };
+
+        // Status effects (burn, stun, haste, ...)
+        this.statusEffects = new StatusEffects(this);
+
+        // Movement
+        this.moving = false;
+        this.targetX = x;
+        this.targetY = y;
+    }
+
+    /**
+     * Recalculate all computed stats based on base values, level, and attributes
+     */
+    updateComputedStats() {
+        // Calculate derived stats from attributes
+        const strBonus = this.attributes.strength * 2;  // +2 attack per STR
+        const vitBonus = this.attributes.vitality * 5;  // +5 max HP per VIT
+        const vitDefBonus = Math.floor(this.attributes.vitality * 0.3);  // +0.3 defense per VIT
+
+        // Update computed stats
+        this.attack = this.baseAttack + strBonus + this.level;
+        this.maxHealth = this.baseMaxHealth + vitBonus + (this.level * 5);
+        this.defense = this.baseDefense + vitDefBonus + this.level;
+
+        // Secondary attributes (computed getters would be cleaner, but this is simpler)
+        this.critChance = Math.min(0.5, 0.05 +
+            (this.attributes.dexterity * 0.01) +
+            (this.attributes.luck * 0.01)
+        ); // 5% base, +1% per DEX, +1% per LCK, cap at 50%
+
+        this.dodgeChance = Math.min(0.3, this.attributes.dexterity * 0.01); // +1% dodge per DEX, cap at 30%
+
+        this.attackSpeedMultiplier = 1.0 + (this.attributes.dexterity * 0.02); // +2% attack speed per DEX
+
+        // Magic stats (Phase 1)
+        const intBonus = this.attributes.intelligence - 5; // 0 at base 5 INT
+        const wisBonus = this.attributes.wisdom - 5; // 0 at base 5 WIS
+
+        this.maxMana = this.baseMana + (intBonus * 10) + (this.level * 5);
+        // Base 150 + (0 * 10) + (1 * 5) = 155 at level 1
+        // At 10 INT: 150 + (5 * 10) + 5 = 205
+
+        this.manaRegen = MAGIC_CONSTANTS.BASE_MANA_REGEN + (wisBonus * 0.2);
+        // Base 3.0/sec + (0 * 0.2) = 3.0/sec at level 1
+        // At 10 WIS: 3.0 + (5 * 0.2) = 4.0/sec
+
+        this.spellPower = intBonus * 3;
+        // 0 at base 5 INT
+        // 15 at 10 INT
+
+        this.magicDefense = this.baseDefense + (wisBonus * 0.8);
+        // Physical defense + magic defense bonus
+    }
+
+    /**
+     * Get the angle the player is facing (for aiming without a pointer)
+     * @returns {number} Angle in radians (0 = right, PI/2 = down)
+     */
+    getFacingAngle() {
+        switch (this.direction) {
+            case 1: return 0;              // right
+            case 2: return -Math.PI / 2;   // up
+            case 3: return Math.PI;        // left
+            default: return Math.PI / 2;   // down
+        }
+    }
+
+    /**
+     * Allocate attribute points
+     * @param {string} attributeName - Name of the attribute (strength, vitality, etc.)
+     * @param {number} points - Number of points to allocate (default 1)
+     * @returns {object} Result with success flag and optional error message
+     */
+    allocateAttribute(attributeName, points = 1) {
+        // Validation: Check if player has enough points
+        if (this.attributePoints < points) {
+            return { success: false, error: 'Not enough attribute points' };
+        }
+
+        // Validation: Check if attribute name is valid
+        const validAttributes = ['strength', 'vitality', 'dexterity', 'intelligence', 'wisdom', 'luck'];
+        if (!validAttributes.includes(attributeName)) {
+            return { success: false, error: 'Invalid attribute name' };
+        }
+
+        // Validation: Check if allocation would exceed cap
+        if (this.attributes[attributeName] + points > ATTRIBUTE_CAP) {
+            return { success: false, error: `Attribute would exceed maximum (${ATTRIBUTE_CAP})` };
+        }
+
+        // Allocate the points
+        this.attributes[attributeName] += points;
+        this.attributePoints -= points;
+
+        // Recalculate all computed stats
+        this.updateComputedStats();
+
+        return { success: true };
+    }
+
+    /**
+     * Get the current rank of a spell
+     * @param {string} abilityId - The ability to check
+     * @returns {number} 0 if locked, otherwise 1..maxRank
+     */
+    getSpellRank(abilityId) {
+        if (!this.unlockedSpells.includes(abilityId)) return 0;
+        return this.spellRanks[abilityId] || 1;
+    }
+
+    /**
+     * Spend a spell point to raise a spell's rank
+     * @param {string} abilityId - The ability to upgrade
+     * @returns {object} Result with success flag and optional error message
+     */
+    upgradeSpell(abilityId) {
+        const ability = ABILITIES[abilityId];
+        if (!ability) {
+            return { success: false, error: 'Unknown spell' };
+        }
+
+        if (!this.unlockedSpells.includes(abilityId)) {
+            return { success: false, error: 'Spell locked' };
+        }
+
+        if (this.spellPoints < 1) {
+            return { success: false, error: 'Not enough spell points' };
+        }
+
+        const rank = this.getSpellRank(abilityId);
+        if (rank >= (ability.maxRank || 1)) {
+            return { success: false, error: `${ability.name} is already max rank` };
+        }
+
+        this.spellRanks[abilityId] = rank + 1;
+        this.spellPoints--;
+
+        return { success: true, rank: rank + 1 };
+    }
+
+    update() {
+        // Apply time scale for slow-motion effects (Phase 0)
+        const scaledDelta = gameState.deltaTime * gameState.timeScale;
+
+        // Status effects tick on game time
+        this.statusEffects.update(scaledDelta);
+
+        // Movement speed: this.speed is in pixels per frame @ 60 FPS baseline
+        // Formula: this.speed * (deltaTime / BASELINE_FRAME_TIME) = pixels to move this frame
+        // At 60 FPS: 3 * (16.67 / 16.67) = 3 pixels
+        // At 30 FPS: 3 * (33.33 / 16.67) = 6 pixels (but takes 2x as long in real time)
+        // Slow/haste scale it; stun/root bring it to zero
+        const moveSpeed = this.speed * (scaledDelta / BASELINE_FRAME_TIME) * this.statusEffects.getSpeedMultiplier();
+
+        // Handle movement from keyboard
+        let dx = 0;
+        let dy = 0;
+
+        if (gameState.keys['ArrowUp'] || gameState.keys['w'] || gameState.keys['W']) {
+            dy = -moveSpeed;
+            this.direction = 2;
+            this.moving = true;
+        }
+        if (gameState.keys['ArrowDown'] || gameState.keys['s'] || gameState.keys['S']) {
+            dy = moveSpeed;
+            this.direction = 0;
+            this.moving = true;
+        }
+        if (gameState.keys['ArrowLeft'] || gameState.keys['a'] || gameState.keys['A']) {
+            dx = -moveSpeed;
+            this.direction = 3;
+            this.moving = true;
+        }
+        if (gameState.keys['ArrowRight'] || gameState.keys['d'] || gameState.keys['D']) {
+            dx = moveSpeed;
+            this.direction = 1;
+            this.moving = true;
+        }
+
+        if (dx === 0 && dy === 0) {
+            this.moving = false;
+        }
+
+        // Normalize diagonal movement
+        if (dx !== 0 && dy !== 0) {
+            dx *= 0.707;
+            dy *= 0.707;
+        }
+
+        // Calculate new position
+        const newX = this.x + dx;
+        const newY = this.y + dy;
+
+        // Check collision with walls and enemy bodies
+        if (!this.checkWallCollision(newX, this.y) && !EntityCollision.isBlocked(this, newX, this.y)) {
+            this.x = newX;
+        }
+        if (!this.checkWallCollision(this.x, newY) && !EntityCollision.isBlocked(this, this.x, newY)) {
+            this.y = newY;
+        }
+
+        // Keep player in bounds
+        this.x = Math.max(TILE_SIZE, Math.min(this.x, (gameState.roomWidth - 1) * TILE_SIZE - this.width));
+        this.y = Math.max(TILE_SIZE, Math.min(this.y, (gameState.roomHeight - 1) * TILE_SIZE - this.height));
+
+        // Check door collision
+        this.checkDoorCollision();
+
+        // Check chest collision
+        this.checkChestCollision();
+
+        // Walk over drops to pick them up
+        LootManager.pickUpAt(this);
+
+        // Handle attack (not while stunned)
+        if ((gameState.keys[' '] || gameState.keys['Enter']) && this.statusEffects.canAct()) {
+            this.tryAttack();
+        }
+
+        // Update timers (time-based, not affected by timeScale)
+        if (this.attackCooldown > 0) {
+            this.attackCooldown = Math.max(0, this.attackCooldown - gameState.deltaTime);
+        }
+        if (this.invulnerabilityTime > 0) {
+            this.invulnerabilityTime = Math.max(0, this.invulnerabilityTime - gameState.deltaTime);
+            if (this.invulnerabilityTime === 0) {
+                this.invulnerable = false;
+            }
+        }
+
+        // Mana regeneration (Phase 1 - time-based, not affected by timeScale)
+        const manaRegenPerMs = this.manaRegen / 1000; // Per second → per millisecond
+        const manaGain = manaRegenPerMs * gameState.deltaTime;
+        this.mana = Math.min(this.maxMana, this.mana + manaGain);
+    }
+
+    checkWallCollision(x, y) {
+        const gridX = Math.floor(x / TILE_SIZE);
+        const gridY = Math.floor(y / TILE_SIZE);
+        const gridX2 = Math.floor((x + this.width) / TILE_SIZE);
+        const gridY2 = Math.floor((y + this.height) / TILE_SIZE);
+
+        for (let wall of gameState.walls) {
+            if ((wall.x === gridX && wall.y === gridY) ||
+                (wall.x === gridX2 && wall.y === gridY) ||
+                (wall.x === gridX && wall.y === gridY2) ||
+                (wall.x === gridX2 && wall.y === gridY2)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    checkDoorCollision() {
+        const gridX = Math.floor((this.x + this.width / 2) / TILE_SIZE);
+        const gridY = Math.floor((this.y + this.height / 2) / TILE_SIZE);
+
+        let onLockedDoor = null;
+        for (let door of gameState.doors) {
+            if (door.x === gridX && door.y === gridY) {
+                if (door.locked) {
+                    onLockedDoor = door;
+                    continue;
+                }
+                loadRoom(door.toRoom, false, gameState.currentRoom);
+                return;
+            }
+        }
+
+        // Explain a locked door once per visit rather than every frame
+        if (onLockedDoor && this.lastLockedDoor !== onLockedDoor) {
+            showMessage('The door is sealed - defeat every enemy in the room to open it');
+        }
+        this.lastLockedDoor = onLockedDoor;
+    }
+
+    checkChestCollision() {
+        const gridX = Math.floor((this.x + this.width / 2) / TILE_SIZE);
+        const gridY = Math.floor((this.y + this.height / 2) / TILE_SIZE);
+
+        let onSealedChest = null;
+        for (let chest of gameState.chests) {
+            if (!chest.opened && chest.x === gridX && chest.y === gridY) {
+                if (chest.locked) {
+                    onSealedChest = chest;
+                } else {
+                    this.openChest(chest);
+                }
+            }
+        }
+
+        // Explain a sealed boss chest once per visit rather than every frame
+        if (onSealedChest && this.lastSealedChest !== onSealedChest) {
+            showMessage('The chest is sealed - defeat the boss to open it');
+        }
+        this.lastSealedChest = onSealedChest;
+    }
+
+    openChest(chest) {
+        chest.opened = true;
+        gameState.chestsOpened++;
+        RoomStateManager.recordChest(chest);
+
+        // Boss reward: full restore and a large XP bonus
+        if (chest.bossReward) {
+            this.health = this.maxHealth;
+            this.mana = this.maxMana;
+            this.gainXP(BOSS_CONSTANTS.REWARD_XP);
+            showMessage(`Boss treasure! Fully restored and +${BOSS_CONSTANTS.REWARD_XP} XP`);
+            createParticles(chest.x * TILE_SIZE + TILE_SIZE / 2, chest.y * TILE_SIZE + TILE_SIZE / 2, '#b388ff', 30);
+            updateUI();
+            return;
+        }
+
+        // Random reward
+        const reward = Math.random();
+        if (reward < 0.3) {
+            // Health
+            const healAmount = 30;
+            this.health = Math.min(this.maxHealth, this.health + healAmount);
+            showMessage(`Found health potion! +${healAmount} HP`);
+        } else if (reward < 0.6) {
+            // XP
+            const xpAmount = 50;
+            this.gainXP(xpAmount);
+        } else {
+            // Gold (just XP for now)
+            const goldAmount = Math.floor(Math.random() * 50) + 25;
+            this.gainXP(goldAmount);
+            showMessage(`Found ${goldAmount} gold!`);
+        }
+
+        createParticles(chest.x * TILE_SIZE + TILE_SIZE / 2, chest.y * TILE_SIZE + TILE_SIZE / 2, '#ffd700', 15);
+        updateUI();
+    }
+
+    tryAttack() {
+        if (this.attackCooldown === 0 && !this.isAttacking) {
+            this.isAttacking = true;
+            // Attack speed affects cooldown (higher multiplier = faster attacks)
+            // Base: 500ms (was 30 frames @ 60 FPS)
+            const baseCooldown = 500;
+            this.attackCooldown = Math.max(167, baseCooldown / this.attackSpeedMultiplier);
+
+            // Attack selected target only (tab targeting)
+            if (gameState.selectedEnemy && !gameState.selectedEnemy.isDead) {
+                // Attack selected enemy if in range
+                if (this.checkAttackHit(gameState.selectedEnemy)) {
+                    this.dealDamage(gameState.selectedEnemy);
+                }
+            } else {
+                // If no target selected, auto-select nearest enemy and attack
+                selectNearestEnemy();
+                if (gameState.selectedEnemy && this.checkAttackHit(gameState.selectedEnemy)) {
+                    this.dealDamage(gameState.selectedEnemy);
+                }
+            }
+
+            setTimeout(() => {
+                this.isAttacking = false;
+            }, 200);
+        }
+    }
+
+    checkAttackHit(enemy) {
+        const distance = Math.sqrt(
+            Math.pow((this.x + this.width / 2) - (enemy.x + enemy.width / 2), 2) +
+            Math.pow((this.y + this.height / 2) - (enemy.y + enemy.height / 2), 2)
+        );
+        // No hitting through walls (e.g. around a corner or across a thin wall)
+        return distance < this.attackRange + enemy.width / 2 && hasEntityLineOfSight(this, enemy);
+    }
+
+    dealDamage(enemy) {
+        const result = DamageSystem.resolve({
+            source: this,
+            target: enemy,
+            type: DAMAGE_TYPES.PHYSICAL,
+            amount: this.attack
+        });
+
+        if (!result.dodged && !result.crit) {
+            createParticles(enemy.x + enemy.width / 2, enemy.y + enemy.height / 2, '#ff6600', 5);
+        }
+    }
+
+    /**
+     * Apply already-mitigated damage (see DamageSystem.resolve)
+     * @param {number} damage - Final damage amount
+     * @param {object} options - { periodic: true } for damage-over-time ticks,
+     *                           which don't trigger invulnerability frames
+     */
+    takeDamage(damage, options = {}) {
+        if (this.health <= 0) return;
+        if (this.invulnerable && !options.periodic) return;
+
+        this.health -= damage;
+        if (!options.periodic) {
+            this.invulnerable = true;
+            this.invulnerabilityTime = 1000; // 1 second in milliseconds (was 60 frames)
+        }
+
+        if (this.health <= 0) {
+            this.health = 0;
+            this.die();
+        }
+
+        updateUI();
+    }
+
+    gainXP(amount) {
+        this.xp += amount;
+        showMessage(`+${amount} XP!`);
+
+        while (this.xp >= this.xpNeeded) {
+            this.levelUp();
+        }
+
+        updateUI();
+    }
+
+    levelUp() {
+        this.level++;
+        this.xp -= this.xpNeeded;
+        this.xpNeeded = Math.floor(this.xpNeeded * 1.5);
+
+        // Grant attribute points for player allocation
+        this.attributePoints += ATTRIBUTE_POINTS_PER_LEVEL;
+        this.spellPoints += SPELL_POINTS_PER_LEVEL;
+
+        // Small automatic base stat increases (reduced from before)
+        this.baseMaxHealth += 5;  // Reduced from +20 (attributes provide more)
+        this.baseAttack += 1;     // Reduced from +5 (attributes provide more)
+        this.baseDefense += 1;    // Reduced from +2 (attributes provide more)
+
+        // Recalculate all computed stats
+        this.updateComputedStats();
+
+        // Full heal on level up
+        this.health = this.maxHealth;
+        this.mana = this.maxMana;  // Full mana restoration (Phase 1)
+
+        // Unlock new spells at this level (Phase 2)
+        const newSpells = [];
+        Object.values(ABILITIES).forEach(ability => {
+            if (ability.unlockLevel === this.level && !this.unlockedSpells.includes(ability.id)) {
+                this.unlockedSpells.push(ability.id);
+                newSpells.push(ability.name);
+            }
+        });
+
+        // Show level up message with new spells
+        let levelUpMsg = `LEVEL UP! Lv.${this.level} (+${ATTRIBUTE_POINTS_PER_LEVEL} Pts, +${SPELL_POINTS_PER_LEVEL} SP)`;
+        if (newSpells.length > 0) {
+            levelUpMsg += ` - New Spell: ${newSpells.join(', ')}!`;
+        }
+        showMessage(levelUpMsg);
+        createParticles(this.x + this.width / 2, this.y + this.height / 2, '#ffd700', 20);
+        updateUI();
+
+        // Auto-save on level up
+        SaveManager.save(this, gameState);
+    }
+
+    die() {
+        // Leave targeting mode so timeScale doesn't stay slowed
+        MagicManager.cancelTargeting();
+        MagicManager.cancelCasting();
+
+        showMessage('Game Over! Restarting...');
+        setTimeout(() => {
+            this.reset();
+        }, 2000);
+    }
+
+    reset() {
+        this.x = 3 * TILE_SIZE;
+        this.y = 3 * TILE_SIZE;
+        this.level = 1;
+        this.xp = 0;
+        this.xpNeeded = 100;
+
+        // Reset base stats
+        this.baseMaxHealth = 100;
+        this.baseAttack = 10;
+        this.baseDefense = 5;
+
+        // Reset attributes to starting values
+        this.attributes = {
+            strength: 5,
+            vitality: 5,
+            dexterity: 5,
+            intelligence: 5,
+            wisdom: 5,
+            luck: 5
+        };
+
+        // Reset attribute points
+        this.attributePoints = 0;
+
+        // Reset spell system (Phase 2)
+        this.unlockedSpells = ['magic_missile'];
+        this.hotbar = ['magic_missile', null, null, null, null, null, null, null];
+        this.spellRanks = {};
+        this.spellPoints = 0;
+
+        // High #3 fix: Reset MagicManager cooldowns
+        MagicManager.reset();
+        this.statusEffects.clear();
+
+        // Recalculate computed stats
+        this.updateComputedStats();
+
+        // Full heal
+        this.health = this.maxHealth;
+        this.mana = this.maxMana;  // Full mana restoration (Phase 1)
+
+        gameState.enemiesDefeated = 0;
+        gameState.chestsOpened = 0;
+        gameState.bossStates = {};
+        gameState.roomItems = {};
+        gameState.roomStates = {};
+        gameState.enemies = []; // Don't let loadRoom record the old room's bosses
+        loadRoom(0, true); // Skip save on death/reset
+
+        // Delete save on death (start fresh)
+        SaveManager.deleteSave();
+
+        updateUI();
+    }
+
+    draw() {
+        // Flash when invulnerable
+        if (this.invulnerable && Math.floor(gameState.gameTime / 5) % 2 === 0) {
+            ctx.globalAlpha = 0.5;
+        }
+
+        // Body
+        ctx.fillStyle = '#4CAF50';
+        ctx.fillRect(this.x, this.y, this.width, this.height);
+
+        // Face direction indicator
+        ctx.fillStyle = '#FFD700';
+        const centerX = this.x + this.width / 2;
+        const centerY = this.y + this.height / 2;
+        const indicatorSize = 6;
+
+        switch(this.direction) {
+            case 0: // down
+                ctx.fillRect(centerX - 3, this.y + this.height - 8, 6, 4);
+                break;
+            case 1: // right
+                ctx.fillRect(this.x + this.width - 8, centerY - 3, 4, 6);
+                break;
+            case 2: // up
+                ctx.fillRect(centerX - 3, this.y + 4, 6, 4);
+                break;
+            case 3: // left
+                ctx.fillRect(this.x + 4, centerY - 3, 4, 6);
+                break;
+        }
+
+        // Attack indicator
+        if (this.isAttacking) {
+            ctx.strokeStyle = '#ff0000';
+            ctx.lineWidth = 3;
+            ctx.beginPath();
+            ctx.arc(centerX, centerY, this.attackRange, 0, Math.PI * 2);
+            ctx.stroke();
+        }
+
+        ctx.globalAlpha = 1;
+
+        // Status effect icons above the player
+        this.statusEffects.drawIcons(centerX, this.y - 4);
+
+        // Cast/channel bar below the player
+        const cast = MagicManager.getCastProgress();
+        if (cast) {
+            const barWidth = 40;
+            const barX = centerX - barWidth / 2;
+            const barY = this.y + this.height + 4;
+
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+            ctx.fillRect(barX - 1, barY - 1, barWidth + 2, 6);
+            ctx.fillStyle = cast.ability.color;
+            ctx.fillRect(barX, barY, barWidth * cast.progress, 4);
+        }
+    }
+}
+
+// Enemy Class
+class Enemy {
+    /**
+     * @param {number} x - Spawn X (world space)
+     * @param {number} y - Spawn Y (world space)
+     * @param {string} type - Archetype id (see ENEMY_ARCHETYPES)
+     * @param {object} [options] - { level, affixes } (see getEnemyLevel, rollEliteAffixes)
+     */
+    constructor(x, y, type = 'basic', options = {}) {
+        let archetype = ENEMY_ARCHETYPES[type];
+        if (!archetype) {
+            console.warn(`[Enemy] Unknown enemy type "${type}", using basic`);
+            archetype = ENEMY_ARCHETYPES.basic;
+            type = 'basic';
+        }
+
+        this.x = x;
+        this.y = y;
+        this.type = type;
+        this.archetype = archetype;
+        this.behavior = EnemyBehaviors[archetype.behavior] || EnemyBehaviors.melee;
+        this.width = archetype.size;
+        this.height = archetype.size;
+        this.color = archetype.color;
+        this.damageType = archetype.damageType || ENEMY_DEFAULTS.damageType;
+
+        this.resistances = { physical: 0, magical: 0 };
+        this.aggroRange = archetype.aggroRange || ENEMY_DEFAULTS.aggroRange;
+        this.attackRange = archetype.attackRange || ENEMY_DEFAULTS.attackRange;
+        this.attackCooldown = 0;        // Milliseconds remaining (time-based)
+
+        // Level and elite affixes set every combat stat (see applyScaling)
+        this.level = Math.max(1, Math.min(ENEMY_SCALING.MAX_LEVEL, Math.floor(options.level) || 1));
+        this.affixes = (options.affixes || []).filter(id => ELITE_AFFIXES[id]);
+        this.isElite = this.affixes.length > 0;
+        this.shield = 0;
+        this.maxShield = 0;
+        this.shieldRegenTimer = 0;
+        this.applyScaling();
+        this.isDead = false;
+        this.moveTimer = 0;
+
+        // Per-behaviour scratch state (charge phase, heal cooldown, ...)
+        this.ai = {};
+
+        // Aggro: 'idle' | 'patrol' | 'combat' | 'returning' (leashed, walking home)
+        this.aiState = 'idle';
+        this.threat = new Map();        // Attacker -> accumulated threat
+        this.spawnX = x;
+        this.spawnY = y;
+        this.leashX = x;                // Where the current fight started (return point)
+        this.leashY = y;
+        this.leashRange = archetype.leashRange || AGGRO_CONSTANTS.LEASH_RANGE;
+        this.returnTimer = 0;
+        this.invulnerable = false;      // Set while returning (evading)
+        this.patrolRoute = [];          // Tile waypoints (see setPatrolRoute)
+        this.patrolIndex = 0;
+        this.patrolWait = 0;
+
+        // Status effects (slow, burn, stun, ...)
+        this.statusEffects = new StatusEffects(this);
+
+        // Last finished flow field used for chasing (see Pathfinding)
+        this.flowField = null;
+    }
+
+    /**
+     * Derive stats from the archetype, level and affixes (resets health and shield)
+     * baseAttack / baseSpeed keep the result so bosses can apply phase multipliers on top
+     */
+    applyScaling() {
+        const archetype = this.archetype;
+        const levels = this.level - 1;
+
+        let maxHealth = archetype.maxHealth * (1 + levels * ENEMY_SCALING.HEALTH_PER_LEVEL);
+        let xpReward = archetype.xpReward * (1 + levels * ENEMY_SCALING.XP_PER_LEVEL);
+        let speed = archetype.speed;
+        let attackCooldown = archetype.attackCooldown || ENEMY_DEFAULTS.attackCooldown;
+
+        this.attack = Math.round(archetype.attack * (1 + levels * ENEMY_SCALING.ATTACK_PER_LEVEL));
+        this.defense = Math.round(archetype.defense * (1 + levels * ENEMY_SCALING.DEFENSE_PER_LEVEL));
+        this.magicDefense = Math.round(archetype.magicDefense * (1 + levels * ENEMY_SCALING.DEFENSE_PER_LEVEL));
+        this.dodgeChance = Math.min(ENEMY_SCALING.DODGE_CAP,
+            (archetype.dodgeChance !== undefined ? archetype.dodgeChance : ENEMY_SCALING.DODGE_BASE) +
+            levels * ENEMY_SCALING.DODGE_PER_LEVEL);
+
+        if (this.isElite) {
+            maxHealth *= ELITE_CONSTANTS.HEALTH_MULTIPLIER;
+            xpReward *= ELITE_CONSTANTS.XP_MULTIPLIER;
+        }
+
+        this.lifeSteal = 0;
+        let shieldFraction = 0;
+        this.affixes.forEach(id => {
+            const affix = ELITE_AFFIXES[id];
+            speed *= affix.speedMultiplier || 1;
+            attackCooldown *= affix.attackCooldownMultiplier || 1;
+            this.lifeSteal += affix.lifeSteal || 0;
+            shieldFraction += affix.shieldFraction || 0;
+        });
+
+        this.maxHealth = Math.round(maxHealth);
+        this.health = this.maxHealth;
+        this.xpReward = Math.round(xpReward);
+        this.speed = speed;
+        this.baseSpeed = speed;
+        this.baseAttack = this.attack;
+        this.attackCooldownTime = attackCooldown;
+        this.maxShield = Math.round(this.maxHealth * shieldFraction);
+        this.shield = this.maxShield;
+
+        this.name = this.isElite ? `Elite ${archetype.name}` : archetype.name;
+    }
+
+    /**
+     * Name with level, for targeting messages
+     */
+    get label() {
+        return `${this.name} (Lv ${this.level})`;
+    }
+
+    hasAffix(affixId) {
+        return this.affixes.includes(affixId);
+    }
+
+    /**
+     * Called by DamageSystem after this enemy's attack lands (Vampiric healing)
+     * @param {object} result - Damage result
+     */
+    onDamageDealt(result) {
+        if (this.lifeSteal > 0 && result.amount > 0) {
+            const healed = this.heal(result.amount * this.lifeSteal);
+            if (healed > 0) {
+                createParticles(this.x + this.width / 2, this.y + this.height / 2, ELITE_AFFIXES.vampiric.color, 5);
+            }
+        }
+    }
+
+    update(player) {
+        if (this.isDead) return;
+
+        // Apply time scale AND status effects
+        const scaledDelta = gameState.deltaTime * gameState.timeScale;
+        this.statusEffects.update(scaledDelta);
+        if (this.isDead) return; // Killed by a damage-over-time tick
+
+        // this.speed is in pixels per frame @ 60 FPS baseline
+        const baseSpeed = this.speed * (scaledDelta / BASELINE_FRAME_TIME);
+        const moveSpeed = baseSpeed * this.statusEffects.getSpeedMultiplier();
+
+        if (this.aiState === 'returning') {
+            this.updateReturning(moveSpeed, scaledDelta);
+        } else if (this.aiState === 'combat') {
+            const target = this.getThreatTarget();
+            if (!target || this.isBeyondLeash()) {
+                this.startReturning();
+            } else {
+                // Archetype AI decides how to move and attack (see EnemyBehaviors),
+                // unless a telegraphed special attack is in progress
+                const targetX = target.x + target.width / 2;
+                const targetY = target.y + target.height / 2;
+                const sense = {
+                    targetX: targetX,
+                    targetY: targetY,
+                    distance: Math.hypot(targetX - (this.x + this.width / 2), targetY - (this.y + this.height / 2)),
+                    moveSpeed: moveSpeed,
+                    scaledDelta: scaledDelta
+                };
+                if (!this.updateSpecial(target, sense)) {
+                    this.behavior.update(this, target, sense);
+                }
+            }
+        } else {
+            // Idle or patrolling: notice the player inside aggro range, if not behind a wall
+            const distance = getEntityDistance(this, player);
+            if (distance < this.aggroRange && player.health > 0 && hasEntityLineOfSight(this, player)) {
+                this.addThreat(player, AGGRO_CONSTANTS.PROXIMITY_THREAT);
+            } else if (this.aiState === 'patrol') {
+                this.updatePatrol(moveSpeed, scaledDelta);
+            }
+        }
+
+        // Spread out from overlapping allies
+        EntityCollision.separate(this, scaledDelta);
+
+        // Shielded elites recharge after a while without taking damage
+        if (this.shield < this.maxShield) {
+            this.shieldRegenTimer -= gameState.deltaTime;
+            if (this.shieldRegenTimer <= 0) {
+                this.shield = this.maxShield;
+            }
+        }
+
+        // Update cooldown (time-based, not affected by timeScale)
+        if (this.attackCooldown > 0) {
+            this.attackCooldown = Math.max(0, this.attackCooldown - gameState.deltaTime);
+        }
+    }
+
+    /**
+     * Add threat from an attacker; the first threat pulls the enemy (and nearby allies) into combat
+     * @param {object} source - Attacker (the player)
+     * @param {number} amount - Threat to add
+     */
+    addThreat(source, amount) {
+        if (this.isDead || !source || source === this || this.aiState === 'returning') return;
+
+        this.threat.set(source, (this.threat.get(source) || 0) + amount);
+        if (this.aiState !== 'combat') {
+            this.enterCombat();
+        }
+    }
+
+    /**
+     * Living attacker with the most threat
+     * @returns {object|null} Current target
+     */
+    getThreatTarget() {
+        let best = null;
+        let bestThreat = -Infinity;
+        this.threat.forEach((threat, source) => {
+            if (source.isDead || source.health <= 0) return;
+            if (threat > bestThreat) {
+                bestThreat = threat;
+                best = source;
+            }
+        });
+        return best;
+    }
+
+    enterCombat() {
+        // Patrols leash back to where they were pulled from; everyone else to their spawn
+        if (this.patrolRoute.length > 0) {
+            this.leashX = this.x;
+            this.leashY = this.y;
+        } else {
+            this.leashX = this.spawnX;
+            this.leashY = this.spawnY;
+        }
+        this.aiState = 'combat';
+        this.alertAllies();
+    }
+
+    /**
+     * Pull idle allies within assist range into the fight (they alert their own neighbours)
+     */
+    alertAllies() {
+        const target = this.getThreatTarget();
+        if (!target) return;
+
+        const rangeSquared = AGGRO_CONSTANTS.ASSIST_RANGE * AGGRO_CONSTANTS.ASSIST_RANGE;
+        const centerX = this.x + this.width / 2;
+        const centerY = this.y + this.height / 2;
+
+        for (let ally of gameState.enemies) {
+            if (ally === this || ally.isDead) continue;
+            if (ally.aiState !== 'idle' && ally.aiState !== 'patrol') continue;
+            if (getDistanceSquared(centerX, centerY, ally.x + ally.width / 2, ally.y + ally.height / 2) > rangeSquared) continue;
+            ally.addThreat(target, AGGRO_CONSTANTS.PROXIMITY_THREAT);
+        }
+    }
+
+    isBeyondLeash() {
+        return getDistanceSquared(this.x, this.y, this.leashX, this.leashY) > this.leashRange * this.leashRange;
+    }
+
+    /**
+     * Drop the fight and walk back to the leash point, evading damage on the way
+     */
+    startReturning() {
+        this.aiState = 'returning';
+        this.threat.clear();
+        this.ai = {};
+        this.invulnerable = true;
+        this.returnTimer = AGGRO_CONSTANTS.RETURN_TIMEOUT;
+        this.statusEffects.clear();
+
+        if (gameState.selectedEnemy === this) {
+            showMessage(`${this.name} evades and returns home`);
+        }
+    }
+
+    /**
+     * Walk home; on arrival reset to full health and resume idling or patrolling
+     * @param {number} moveSpeed - Pixels this frame
+     * @param {number} scaledDelta - Scaled milliseconds this frame
+     */
+    updateReturning(moveSpeed, scaledDelta) {
+        this.returnTimer -= scaledDelta;
+        const homeX = this.leashX + this.width / 2;
+        const homeY = this.leashY + this.height / 2;
+        const distance = Math.hypot(homeX - (this.x + this.width / 2), homeY - (this.y + this.height / 2));
+
+        if (distance > AGGRO_CONSTANTS.ARRIVE_DISTANCE && this.returnTimer > 0) {
+            const step = Math.min(distance, moveSpeed * AGGRO_CONSTANTS.RETURN_SPEED_MULTIPLIER);
+            this.moveAlong(this.getPathAngle(homeX, homeY), step);
+            return;
+        }
+
+        this.x = this.leashX;
+        this.y = this.leashY;
+        this.health = this.maxHealth;
+        this.shield = this.maxShield;
+        this.invulnerable = false;
+        this.attackCooldown = 0;
+        this.aiState = this.patrolRoute.length > 0 ? 'patrol' : 'idle';
+        this.onLeashReset();
+    }
+
+    /**
+     * Hook for subclasses to reset extra fight state after leashing
+     */
+    onLeashReset() {}
+
+    /**
+     * Set a patrol route from room data (tile coordinates); unwalkable points are skipped
+     * @param {Array} points - [{ x, y }] tile waypoints
+     */
+    setPatrolRoute(points) {
+        this.patrolRoute = [];
+        if (!Array.isArray(points)) return;
+
+        points.forEach(point => {
+            if (point && Number.isInteger(point.x) && Number.isInteger(point.y) && Pathfinding.isWalkable(point.x, point.y)) {
+                this.patrolRoute.push({ x: point.x, y: point.y });
+            } else {
+                console.warn(`[Enemy] Ignoring patrol point ${JSON.stringify(point)} for ${this.type}`);
+            }
+        });
+
+        this.patrolIndex = 0;
+        this.patrolWait = 0;
+        if (this.patrolRoute.length > 0 && this.aiState === 'idle') {
+            this.aiState = 'patrol';
+        }
+    }
+
+    /**
+     * Walk the patrol route, pausing at each waypoint
+     * @param {number} moveSpeed - Pixels this frame
+     * @param {number} scaledDelta - Scaled milliseconds this frame
+     */
+    updatePatrol(moveSpeed, scaledDelta) {
+        if (this.patrolWait > 0) {
+            this.patrolWait -= scaledDelta;
+            return;
+        }
+
+        const point = this.patrolRoute[this.patrolIndex];
+        const pointX = (point.x + 0.5) * TILE_SIZE;
+        const pointY = (point.y + 0.5) * TILE_SIZE;
+        const distance = Math.hypot(pointX - (this.x + this.width / 2), pointY - (this.y + this.height / 2));
+
+        if (distance <= AGGRO_CONSTANTS.ARRIVE_DISTANCE) {
+            this.patrolIndex = (this.patrolIndex + 1) % this.patrolRoute.length;
+            this.patrolWait = AGGRO_CONSTANTS.PATROL_WAIT;
+            return;
+        }
+
+        const step = Math.min(distance, moveSpeed * AGGRO_CONSTANTS.PATROL_SPEED_MULTIPLIER);
+        this.moveAlong(this.getPathAngle(pointX, pointY), step);
+    }
+
+    /**
+     * Move to a new spawn point (spawned adds placed after construction)
+     * @param {number} x - Spawn X (world space)
+     * @param {number} y - Spawn Y (world space)
+     */
+    setSpawnPoint(x, y) {
+        this.x = this.spawnX = this.leashX = x;
+        this.y = this.spawnY = this.leashY = y;
+    }
+
+    /**
+     * Step in a direction, sliding along walls and the player's body one axis at a time
+     * @param {number} angle - Direction in radians
+     * @param {number} distance - Pixels to move this frame
+     * @returns {boolean} True if a wall or body blocked either axis
+     */
+    moveAlong(angle, distance) {
+        const newX = this.x + Math.cos(angle) * distance;
+        const newY = this.y + Math.sin(angle) * distance;
+        let blocked = false;
+
+        if (!this.checkWallCollision(newX, this.y) && !EntityCollision.isBlocked(this, newX, this.y)) {
+            this.x = newX;
+        } else {
+            blocked = true;
+        }
+        if (!this.checkWallCollision(this.x, newY) && !EntityCollision.isBlocked(this, this.x, newY)) {
+            this.y = newY;
+        } else {
+            blocked = true;
+        }
+        return blocked;
+    }
+
+    /**
+     * Direction to walk toward a point, routed around walls by the shared flow field
+     * Falls back to a straight line in the goal tile or while no path is known
+     * @param {number} targetX - Goal X (world space)
+     * @param {number} targetY - Goal Y (world space)
+     * @returns {number} Angle in radians
+     */
+    getPathAngle(targetX, targetY) {
+        const centerX = this.x + this.width / 2;
+        const centerY = this.y + this.height / 2;
+
+        const field = Pathfinding.requestField(Math.floor(targetX / TILE_SIZE), Math.floor(targetY / TILE_SIZE));
+        if (field.complete) {
+            this.flowField = field;
+        }
+
+        // Keep following the last finished field while a new one is being computed
+        const step = this.flowField
+            ? Pathfinding.getNextStep(this.flowField, Math.floor(centerX / TILE_SIZE), Math.floor(centerY / TILE_SIZE))
+            : null;
+        if (!step) {
+            return Math.atan2(targetY - centerY, targetX - centerX);
+        }
+
+        return Math.atan2(
+            (step.y + 0.5) * TILE_SIZE - centerY,
+            (step.x + 0.5) * TILE_SIZE - centerX
+        );
+    }
+
+    checkWallCollision(x, y) {
+        const gridX = Math.floor(x / TILE_SIZE);
+        const gridY = Math.floor(y / TILE_SIZE);
+        const gridX2 = Math.floor((x + this.width) / TILE_SIZE);
+        const gridY2 = Math.floor((y + this.height) / TILE_SIZE);
+
+        for (let wall of gameState.walls) {
+            if ((wall.x === gridX && wall.y === gridY) ||
+                (wall.x === gridX2 && wall.y === gridY) ||
+                (wall.x === gridX && wall.y === gridY2) ||
+                (wall.x === gridX2 && wall.y === gridY2)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Run the archetype's telegraphed special attack (archetype.special)
+     * Starts a wind-up when the target is in triggerRange and in sight, then lands
+     * it against the locked-in warning shape
+     * @param {Player} player - Current target
+     * @param {object} sense - Per-frame AI inputs (see EnemyBehaviors)
+     * @returns {boolean} True while the special owns this frame (wind-up or recovery)
+     */
+    updateSpecial(player, sense) {
+        const def = this.archetype.special;
+        if (!def) return false;
+
+        const ai = this.ai;
+        ai.specialCooldown = Math.max(0, (ai.specialCooldown || 0) - gameState.deltaTime);
+
+        const special = ai.special;
+        if (!special) {
+            if (ai.specialCooldown > 0 || sense.distance > def.triggerRange ||
+                !this.statusEffects.canAct() || !hasEntityLineOfSight(this, player)) {
+                return false;
+            }
+            ai.special = {
+                stage: 'windup',
+                timer: def.windup,
+                shape: Telegraph.createShape(def, this, sense.targetX, sense.targetY)
+            };
+            return true;
+        }
+
+        // Stuns break a wind-up
+        if (special.stage === 'windup' && !this.statusEffects.canAct()) {
+            ai.special = null;
+            ai.specialCooldown = def.cooldown;
+            return false;
+        }
+
+        special.timer -= sense.scaledDelta;
+        if (special.timer > 0) return true;
+
+        if (special.stage === 'windup') {
+            this.resolveSpecial(player, def, special.shape);
+            special.stage = 'recovery';
+            special.timer = def.recovery || 0;
+            return true;
+        }
+
+        ai.special = null;
+        ai.specialCooldown = def.cooldown;
+        this.attackCooldown = this.attackCooldownTime;
+        return false;
+    }
+
+    /**
+     * Land a special attack on everything the warning shape covers
+     * @param {Player} player - The player
+     * @param {object} def - archetype.special
+     * @param {object} shape - Shape locked in at the start of the wind-up
+     */
+    resolveSpecial(player, def, shape) {
+        Telegraph.burst(shape, this.color);
+        if (!Telegraph.hits(shape, player)) return;
+
+        DamageSystem.resolve({
+            source: this,
+            target: player,
+            type: def.damageType || this.damageType,
+            amount: Math.round(this.attack * (def.damageMultiplier || 1)),
+            label: def.name
+        });
+    }
+
+    /**
+     * Attempt to attack the player
+     * Dodge, defense and crits are resolved by DamageSystem
+     * @param {Player} player - The player to attack
+     */
+    tryAttack(player) {
+        if (this.attackCooldown === 0) {
+            // Set cooldown before resolving so enemy's turn is consumed even if dodged
+            this.attackCooldown = this.attackCooldownTime;
+
+            DamageSystem.resolve({
+                source: this,
+                target: player,
+                type: this.damageType,
+                amount: this.attack
+            });
+        }
+    }
+
+    /**
+     * Fire a projectile at the player (ranged archetypes)
+     * @param {Player} player - The player to shoot at
+     */
+    tryRangedAttack(player) {
+        if (this.attackCooldown > 0) return;
+        this.attackCooldown = this.attackCooldownTime;
+
+        const angle = Math.atan2(
+            player.y + player.height / 2 - (this.y + this.height / 2),
+            player.x + player.width / 2 - (this.x + this.width / 2)
+        );
+        this.fireProjectile(angle, this.attack, this.attackRange);
+    }
+
+    /**
+     * Launch a straight projectile from the enemy's centre (uses archetype projectile visuals)
+     * @param {number} angle - Direction in radians
+     * @param {number} amount - Damage on hit
+     * @param {number} range - Approximate travel distance in pixels
+     */
+    fireProjectile(angle, amount, range) {
+        const archetype = this.archetype;
+
+        ProjectileManager.spawn({
+            x: this.x + this.width / 2,
+            y: this.y + this.height / 2,
+            angle: angle,
+            speed: archetype.projectileSpeed,
+            team: 'enemy',
+            color: archetype.projectileColor,
+            lifetime: (range / archetype.projectileSpeed) * 1000 * PROJECTILE_CONSTANTS.LIFETIME_RANGE_FACTOR,
+            onHit: (target) => {
+                DamageSystem.resolve({
+                    source: this,
+                    target: target,
+                    type: this.damageType,
+                    amount: amount
+                });
+            }
+        });
+    }
+
+    /**
+     * Apply already-mitigated damage (see DamageSystem.resolve)
+     * @param {number} damage - Final damage amount
+     * @param {object} options - { periodic, source }; the source gains threat
+     */
+    takeDamage(damage, options = {}) {
+        if (options.source) {
+            this.addThreat(options.source, damage * AGGRO_CONSTANTS.THREAT_PER_DAMAGE);
+        }
+
+        // Shield soaks damage first
+        if (this.maxShield > 0) {
+            const absorbed = Math.min(this.shield, damage);
+            this.shield -= absorbed;
+            damage -= absorbed;
+            this.shieldRegenTimer = ELITE_AFFIXES.shielded.shieldRegenDelay;
+        }
+
+        this.health -= damage;
+        if (this.health <= 0) {
+            this.health = 0;
+            this.die();
+        }
+    }
+
+    /**
+     * Death blast of Explosive elites: damages the player if close to the corpse
+     * @param {object} explosion - { radius, damageMultiplier }
+     */
+    explode(explosion) {
+        const centerX = this.x + this.width / 2;
+        const centerY = this.y + this.height / 2;
+        createParticles(centerX, centerY, ELITE_AFFIXES.explosive.color, 25);
+
+        const reach = explosion.radius + player.width / 2;
+        if (getDistanceSquared(centerX, centerY, player.x + player.width / 2, player.y + player.height / 2) <= reach * reach) {
+            DamageSystem.resolve({
+                source: this,
+                target: player,
+                type: DAMAGE_TYPES.PHYSICAL,
+                amount: Math.round(this.baseAttack * explosion.damageMultiplier),
+                label: `${this.name} explodes`
+            });
+        }
+    }
+
+    /**
+     * Restore health up to maxHealth
+     * @param {number} amount - Health to restore
+     * @returns {number} Health actually restored
+     */
+    heal(amount) {
+        if (this.isDead) return 0;
+        const healed = Math.min(amount, this.maxHealth - this.health);
+        this.health += healed;
+        return healed;
+    }
+
+    die() {
+        this.isDead = true;
+        gameState.enemiesDefeated++;
+        player.gainXP(this.xpReward);
+        createParticles(this.x + this.width / 2, this.y + this.height / 2, this.color, 15);
+        if (this.hasAffix('explosive')) {
+            this.explode(ELITE_AFFIXES.explosive.deathExplosion);
+        }
+        LootManager.dropLoot(this);
+        RoomStateManager.recordKill(this);
+        updateUI();
+
+        // Auto-select next enemy if killed target dies
+        if (gameState.selectedEnemy === this) {
+            const index = gameState.enemies.indexOf(this);
+            if (index > -1) {
+                gameState.enemies.splice(index, 1);
+            }
+            // Select nearest remaining enemy
+            if (gameState.enemies.length > 0) {
+                selectNearestEnemy();
+            } else {
+                gameState.selectedEnemy = null;
+            }
+        } else {
+            const index = gameState.enemies.indexOf(this);
+            if (index > -1) {
+                gameState.enemies.splice(index, 1);
+            }
+        }
+    }
+
+    draw() {
+        if (this.isDead) return;
+
+        // Ground warning of a special attack winding up
+        const special = this.ai.special;
+        if (special && special.stage === 'windup') {
+            Telegraph.draw(special.shape, 1 - Math.max(0, special.timer) / this.archetype.special.windup);
+        }
+
+        // Draw selection indicator if this enemy is targeted
+        if (gameState.selectedEnemy === this) {
+            // Check if enemy is in attack range (using squared distance for performance)
+            const playerCenterX = player.x + player.width / 2;
+            const playerCenterY = player.y + player.height / 2;
+            const enemyCenterX = this.x + this.width / 2;
+            const enemyCenterY = this.y + this.height / 2;
+            const distanceSquared = getDistanceSquared(playerCenterX, playerCenterY, enemyCenterX, enemyCenterY);
+            const attackRangeSquared = (player.attackRange + this.width / 2) * (player.attackRange + this.width / 2);
+            const inRange = distanceSquared <= attackRangeSquared;
+            const inSight = hasLineOfSight(playerCenterX, playerCenterY, enemyCenterX, enemyCenterY);
+
+            // Color-code: Gold (in range), Orange (out of range), Grey dashed (wall in the way)
+            const indicatorColor = !inSight ? '#9E9E9E' : inRange ? '#FFD700' : '#FFA500';
+
+            // Border outline
+            ctx.strokeStyle = indicatorColor;
+            ctx.lineWidth = 3;
+            if (!inSight) {
+                ctx.setLineDash([6, 4]);
+            }
+            ctx.strokeRect(this.x - 2, this.y - 2, this.width + 4, this.height + 4);
+            ctx.setLineDash([]);
+
+            // Targeting chevron above enemy
+            ctx.fillStyle = indicatorColor;
+            ctx.beginPath();
+            ctx.moveTo(this.x + this.width / 2, this.y - 10);
+            ctx.lineTo(this.x + this.width / 2 - 5, this.y - 5);
+            ctx.lineTo(this.x + this.width / 2 + 5, this.y - 5);
+            ctx.fill();
+
+            // Range indicator text (optional - shows exact distance)
+            // Elites carry name labels there, so the text goes above them
+            const textY = this.isElite ? this.y - 36 : this.y - 15;
+            if (!inSight) {
+                ctx.fillStyle = indicatorColor;
+                ctx.font = '10px Arial';
+                ctx.textAlign = 'center';
+                ctx.fillText('No line of sight', this.x + this.width / 2, textY);
+            } else if (!inRange) {
+                const distance = Math.round(Math.sqrt(distanceSquared));
+                ctx.fillStyle = '#FFA500';
+                ctx.font = '10px Arial';
+                ctx.textAlign = 'center';
+                ctx.fillText(`${distance}px`, this.x + this.width / 2, textY);
+            }
+        }
+
+        // Visual indicator for slowed enemies (Phase 0)
+        if (this.statusEffects.has('slow')) {
+            ctx.fillStyle = '#00bfff'; // Blue/frozen color
+        } else {
+            ctx.fillStyle = this.color;
+        }
+        // Leashed enemies fade while they walk home immune to damage
+        if (this.aiState === 'returning') {
+            ctx.globalAlpha = 0.5;
+        }
+        this.drawBody();
+        ctx.globalAlpha = 1;
+
+        // Elite outline
+        if (this.isElite) {
+            ctx.strokeStyle = ELITE_CONSTANTS.OUTLINE_COLOR;
+            ctx.lineWidth = 2;
+            ctx.strokeRect(this.x - 1, this.y - 1, this.width + 2, this.height + 2);
+        }
+
+        // Skirmisher wind-up flash before a charge
+        if (this.ai.chargePhase === 'windup') {
+            ctx.strokeStyle = '#fff';
+            ctx.lineWidth = 2;
+            ctx.strokeRect(this.x - 3, this.y - 3, this.width + 6, this.height + 6);
+        }
+
+        // Eyes
+        const eyeY = this.y + this.height / 3;
+        ctx.fillStyle = '#fff';
+        ctx.fillRect(this.x + this.width * 0.27, eyeY, 5, 5);
+        ctx.fillRect(this.x + this.width * 0.73 - 5, eyeY, 5, 5);
+
+        // Health bar
+        const barWidth = this.width;
+        const barHeight = 4;
+        const healthPercent = this.health / this.maxHealth;
+
+        ctx.fillStyle = '#333';
+        ctx.fillRect(this.x, this.y - 8, barWidth, barHeight);
+
+        ctx.fillStyle = healthPercent > 0.5 ? '#4CAF50' : healthPercent > 0.25 ? '#FFC107' : '#F44336';
+        ctx.fillRect(this.x, this.y - 8, barWidth * healthPercent, barHeight);
+
+        // Shield overlay on the health bar
+        if (this.shield > 0) {
+            ctx.fillStyle = 'rgba(79, 195, 247, 0.8)';
+            ctx.fillRect(this.x, this.y - 8, barWidth * (this.shield / this.maxShield), barHeight / 2);
+        }
+
+        // Elites: name and affixes above the health bar
+        if (this.isElite) {
+            ctx.textAlign = 'center';
+            ctx.font = 'bold 10px Arial';
+            ctx.fillStyle = ELITE_CONSTANTS.OUTLINE_COLOR;
+            ctx.fillText(`${this.name} Lv ${this.level}`, this.x + this.width / 2, this.y - 24);
+            ctx.font = '9px Arial';
+            ctx.fillStyle = '#fff';
+            ctx.fillText(this.affixes.map(id => ELITE_AFFIXES[id].name).join(' · '), this.x + this.width / 2, this.y - 13);
+        }
+
+        // Status effect icons below the body (the space above holds the target chevron)
+        this.statusEffects.drawIcons(this.x + this.width / 2, this.y + this.height + 11);
+    }
+
+    /**
+     * Fill the body shape from the archetype (fillStyle is set by the caller)
+     */
+    drawBody() {
+        const centerX = this.x + this.width / 2;
+        const centerY = this.y + this.height / 2;
+
+        if (this.archetype.shape === 'round') {
+            ctx.beginPath();
+            ctx.arc(centerX, centerY, this.width / 2, 0, Math.PI * 2);
+            ctx.fill();
+        } else if (this.archetype.shape === 'diamond') {
+            ctx.beginPath();
+            ctx.moveTo(centerX, this.y);
+            ctx.lineTo(this.x + this.width, centerY);
+            ctx.lineTo(centerX, this.y + this.height);
+            ctx.lineTo(this.x, centerY);
+            ctx.closePath();
+            ctx.fill();
+        } else {
+            ctx.fillRect(this.x, this.y, this.width, this.height);
+        }
+
+        if (this.archetype.mark === 'cross') {
+            ctx.fillStyle = '#fff';
+            ctx.fillRect(centerX - 1.5, centerY + 1, 3, 9);
+            ctx.fillRect(centerX - 4.5, centerY + 4, 9, 3);
+        }
+    }
+}
+
+/**
+ * EnemyBehaviors - AI routines referenced by ENEMY_ARCHETYPES[type].behavior
+ * Each update(enemy, player, sense) runs once per frame while the player is
+ * within aggro range. sense = { targetX, targetY, distance, moveSpeed, scaledDelta }
+ */
+const EnemyBehaviors = {
+    // Walk up to the player along the flow field and hit in melee range
+    melee: {
+        update(enemy, player, sense) {
+            if (sense.distance > enemy.attackRange) {
+                enemy.moveAlong(enemy.getPathAngle(sense.targetX, sense.targetY), sense.moveSpeed);
+            } else if (enemy.statusEffects.canAct()) {
+                enemy.tryAttack(player);
+            }
+        }
+    },
+
+    // Keep a comfortable distance and shoot
+    ranged: {
+        update(enemy, player, sense) {
+            const archetype = enemy.archetype;
+
+            const clearShot = hasEntityLineOfSight(enemy, player);
+
+            if (sense.distance < archetype.retreatRange) {
+                const awayAngle = Math.atan2(
+                    (enemy.y + enemy.height / 2) - sense.targetY,
+                    (enemy.x + enemy.width / 2) - sense.targetX
+                );
+                enemy.moveAlong(awayAngle, sense.moveSpeed);
+            } else if (!clearShot) {
+                // Close in along the flow field until there's a clear shot
+                enemy.moveAlong(enemy.getPathAngle(sense.targetX, sense.targetY), sense.moveSpeed);
+                return;
+            } else if (sense.distance > archetype.preferredRange) {
+                enemy.moveAlong(enemy.getPathAngle(sense.targetX, sense.targetY), sense.moveSpeed);
+            }
+
+            if (clearShot && sense.distance <= enemy.attackRange && enemy.statusEffects.canAct()) {
+                enemy.tryRangedAttack(player);
+            }
+        }
+    },
+
+    // Close in fast, then wind up and dash through the player
+    charge: {
+        update(enemy, player, sense) {
+            const archetype = enemy.archetype;
+            const ai = enemy.ai;
+            ai.chargeCooldown = Math.max(0, (ai.chargeCooldown || 0) - gameState.deltaTime);
+
+            // Stuns and roots cancel a charge in progress
+            if (ai.chargePhase && (!enemy.statusEffects.canAct() || !enemy.statusEffects.canMove())) {
+                ai.chargePhase = null;
+            }
+
+            if (ai.chargePhase === 'windup') {
+                ai.chargeTimer -= sense.scaledDelta;
+                if (ai.chargeTimer <= 0) {
+                    ai.chargePhase = 'dash';
+                    ai.chargeTimer = archetype.chargeDuration;
+                    ai.chargeHit = false;
+                }
+                return;
+            }
+
+            if (ai.chargePhase === 'dash') {
+                ai.chargeTimer -= sense.scaledDelta;
+                const dashDistance = archetype.chargeSpeed * (sense.scaledDelta / BASELINE_FRAME_TIME);
+                const blocked = enemy.moveAlong(ai.chargeAngle, dashDistance);
+
+                // Bodies stop short of overlapping, so a hit counts within one dash step
+                if (!ai.chargeHit && entitiesOverlap(enemy, player, dashDistance + BODY_CONSTANTS.CONTACT_PADDING)) {
+                    ai.chargeHit = true;
+                    DamageSystem.resolve({
+                        source: enemy,
+                        target: player,
+                        type: enemy.damageType,
+                        amount: Math.round(enemy.attack * archetype.chargeDamageMultiplier)
+                    });
+                }
+
+                if (blocked || ai.chargeTimer <= 0) {
+                    ai.chargePhase = null;
+                    ai.chargeCooldown = archetype.chargeCooldown;
+                }
+                return;
+            }
+
+            // Start a charge when close enough, with a clear cooldown
+            if (sense.distance <= archetype.chargeRange && sense.distance > enemy.attackRange &&
+                ai.chargeCooldown === 0 && enemy.statusEffects.canAct()) {
+                ai.chargePhase = 'windup';
+                ai.chargeTimer = archetype.chargeWindup;
+                ai.chargeAngle = Math.atan2(
+                    sense.targetY - (enemy.y + enemy.height / 2),
+                    sense.targetX - (enemy.x + enemy.width / 2)
+                );
+                return;
+            }
+
+            EnemyBehaviors.melee.update(enemy, player, sense);
+        }
+    },
+
+    // Hang back and heal hurt allies; fight only when cornered
+    support: {
+        update(enemy, player, sense) {
+            const archetype = enemy.archetype;
+            const ai = enemy.ai;
+            ai.healCooldown = Math.max(0, (ai.healCooldown || 0) - gameState.deltaTime);
+
+            const ally = EnemyBehaviors.findInjuredAlly(enemy, archetype.healRange);
+            if (ally && ai.healCooldown === 0 && enemy.statusEffects.canAct()) {
+                const healed = ally.heal(archetype.healAmount);
+                ai.healCooldown = archetype.healCooldown;
+                createParticles(ally.x + ally.width / 2, ally.y + ally.height / 2, '#4caf50', 10);
+                if (healed > 0) {
+                    showMessage(`${enemy.name} heals ${ally.name} for ${healed}!`);
+                }
+            }
+
+            if (sense.distance <= enemy.attackRange) {
+                if (enemy.statusEffects.canAct()) {
+                    enemy.tryAttack(player);
+                }
+            } else if (sense.distance < archetype.retreatRange) {
+                EnemyBehaviors.ranged.update(enemy, player, sense);
+            } else if (ally) {
+                // Drift toward whoever needs healing
+                const allyX = ally.x + ally.width / 2;
+                const allyY = ally.y + ally.height / 2;
+                if (getDistanceSquared(enemy.x + enemy.width / 2, enemy.y + enemy.height / 2, allyX, allyY) >
+                    (archetype.healRange * 0.75) ** 2) {
+                    enemy.moveAlong(enemy.getPathAngle(allyX, allyY), sense.moveSpeed);
+                }
+            } else if (sense.distance > archetype.preferredRange) {
+                enemy.moveAlong(enemy.getPathAngle(sense.targetX, sense.targetY), sense.moveSpeed);
+            }
+        }
+    },
+
+    // Scripted phases and attack rotation (see Boss)
+    boss: {
+        update(boss, player, sense) {
+            boss.updateRotation(player, sense);
+        }
+    },
+
+    /**
+     * Most injured living ally (by health fraction) within range, excluding the healer
+     * @param {Enemy} healer - Enemy looking for a heal target
+     * @param {number} range - Max distance in pixels
+     * @returns {Enemy|null} Ally to heal
+     */
+    findInjuredAlly(healer, range) {
+        const healerX = healer.x + healer.width / 2;
+        const healerY = healer.y + healer.height / 2;
+        let best = null;
+        let lowestFraction = 1;
+
+        for (let ally of gameState.enemies) {
+            if (ally === healer || ally.isDead) continue;
+            const fraction = ally.health / ally.maxHealth;
+            if (fraction >= lowestFraction) continue;
+            if (getDistanceSquared(healerX, healerY, ally.x + ally.width / 2, ally.y + ally.height / 2) > range * range) continue;
+            lowestFraction = fraction;
+            best = ally;
+        }
+        return best;
+    }
+};
+
+/**
+ * Boss - multi-phase enemy driven by a scripted attack rotation
+ * Phases come from archetype.phases and switch on health thresholds; each phase
+ * cycles through its rotation of archetype.attacks. Runs with EnemyBehaviors.boss.
+ */
+class Boss extends Enemy {
+    /**
+     * @param {number} x - Spawn X (world space)
+     * @param {number} y - Spawn Y (world space)
+     * @param {string} type - Boss archetype id (needs phases and attacks)
+     * @param {object} [options] - { level } (bosses are never elite)
+     */
+    constructor(x, y, type, options = {}) {
+        super(x, y, type, { level: options.level });
+        this.isBoss = true;
+        this.spawnKey = null;       // "room:index" key into gameState.bossStates (set by loadRoom)
+        this.phaseIndex = 0;
+        this.rotationIndex = 0;
+        this.currentAttack = null;  // { id, def, stage, timer, duration, targetX, targetY }
+        this.enterPhase(0, true);
+    }
+
+    get phase() {
+        return this.archetype.phases[this.phaseIndex];
+    }
+
+    update(player) {
+        if (this.isDead) return;
+        this.checkPhase();
+        super.update(player);
+    }
+
+    /**
+     * Advance to the deepest phase whose health threshold has been crossed
+     */
+    checkPhase() {
+        const phases = this.archetype.phases;
+        const healthFraction = this.health / this.maxHealth;
+        while (this.phaseIndex < phases.length - 1 && healthFraction <= phases[this.phaseIndex + 1].healthThreshold) {
+            this.enterPhase(this.phaseIndex + 1);
+        }
+    }
+
+    /**
+     * Switch phase: apply its stat multipliers and restart the rotation
+     * @param {number} index - Phase index
+     * @param {boolean} silent - Skip the announcement (spawn / restore)
+     */
+    enterPhase(index, silent = false) {
+        this.phaseIndex = index;
+        this.rotationIndex = 0;
+        this.speed = this.baseSpeed * (this.phase.speedMultiplier || 1);
+        this.attack = Math.round(this.baseAttack * (this.phase.attackMultiplier || 1));
+
+        if (!silent) {
+            showMessage(`${this.name}: ${this.phase.name}!`);
+            createParticles(this.x + this.width / 2, this.y + this.height / 2, this.color, BOSS_CONSTANTS.PHASE_PARTICLES);
+        }
+    }
+
+    /**
+     * Run the attack rotation (called by EnemyBehaviors.boss)
+     * @param {Player} player - The player
+     * @param {object} sense - Per-frame AI inputs (see EnemyBehaviors)
+     */
+    updateRotation(player, sense) {
+        if (!this.currentAttack) {
+            const rotation = this.phase.rotation;
+            this.beginAttack(rotation[this.rotationIndex % rotation.length], sense);
+            this.rotationIndex++;
+            return;
+        }
+
+        const attack = this.currentAttack;
+
+        // Stuns break a wind-up
+        if (attack.stage === 'windup' && !this.statusEffects.canAct()) {
+            this.currentAttack = null;
+            return;
+        }
+
+        attack.timer -= sense.scaledDelta;
+
+        if (attack.stage === 'active') {
+            // Melee stretch of the rotation: fight normally for its duration
+            EnemyBehaviors.melee.update(this, player, sense);
+            if (attack.timer <= 0) {
+                this.currentAttack = null;
+            }
+        } else if (attack.stage === 'windup') {
+            if (attack.timer <= 0) {
+                this.resolveAttack(player, sense);
+                attack.stage = 'recovery';
+                attack.timer = attack.def.recovery || 0;
+            }
+        } else if (attack.timer <= 0) {
+            this.currentAttack = null;
+        }
+    }
+
+    /**
+     * Start the next attack of the rotation
+     * @param {string} attackId - Key into archetype.attacks
+     * @param {object} sense - Per-frame AI inputs
+     */
+    beginAttack(attackId, sense) {
+        const def = this.archetype.attacks[attackId];
+        if (!def) {
+            console.warn(`[Boss] ${this.type} has no attack "${attackId}"`);
+            return;
+        }
+
+        const melee = def.kind === 'melee';
+        const duration = melee ? def.duration : def.windup;
+        this.currentAttack = {
+            id: attackId,
+            def: def,
+            stage: melee ? 'active' : 'windup',
+            timer: duration,
+            duration: duration,
+            // Ground AoE locks onto where the player stood when the wind-up began
+            targetX: def.at === 'target' ? sense.targetX : this.x + this.width / 2,
+            targetY: def.at === 'target' ? sense.targetY : this.y + this.height / 2
+        };
+    }
+
+    /**
+     * Warning shape of an AoE attack (self-centred blasts follow the boss through the wind-up)
+     * @param {object} attack - this.currentAttack
+     * @returns {object} Circle shape (see Telegraph)
+     */
+    getAttackShape(attack) {
+        const self = attack.def.at !== 'target';
+        return {
+            type: 'circle',
+            x: self ? this.x + this.width / 2 : attack.targetX,
+            y: self ? this.y + this.height / 2 : attack.targetY,
+            radius: attack.def.radius
+        };
+    }
+
+    /**
+     * Land the current attack at the end of its wind-up
+     * @param {Player} player - The player
+     * @param {object} sense - Per-frame AI inputs
+     */
+    resolveAttack(player, sense) {
+        const attack = this.currentAttack;
+        const def = attack.def;
+        const amount = Math.round(this.attack * (def.damageMultiplier || 1));
+
+        if (def.kind === 'aoe') {
+            const shape = this.getAttackShape(attack);
+            Telegraph.burst(shape, def.color || this.color);
+
+            if (Telegraph.hits(shape, player)) {
+                DamageSystem.resolve({
+                    source: this,
+                    target: player,
+                    type: def.damageType || this.damageType,
+                    amount: amount,
+                    label: def.name
+                });
+            }
+        } else if (def.kind === 'volley') {
+            const centerX = this.x + this.width / 2;
+            const centerY = this.y + this.height / 2;
+            const baseAngle = Math.atan2(sense.targetY - centerY, sense.targetX - centerX);
+            for (let i = 0; i < def.count; i++) {
+                const offset = def.count > 1 ? def.spread * (i / (def.count - 1) - 0.5) : 0;
+                this.fireProjectile(baseAngle + offset, amount, def.range);
+            }
+        } else if (def.kind === 'summon') {
+            this.summonAdds(def);
+        }
+    }
+
+    /**
+     * Spawn adds around the boss, up to def.maxAdds alive at once
+     * @param {object} def - Summon attack definition
+     */
+    summonAdds(def) {
+        const alive = gameState.enemies.filter(enemy => enemy.summoner === this && !enemy.isDead).length;
+        const count = Math.min(def.count, def.maxAdds - alive);
+        if (count <= 0) return;
+
+        const centerX = this.x + this.width / 2;
+        const centerY = this.y + this.height / 2;
+        let spawned = 0;
+
+        // Try evenly spaced spots around the boss, skipping any inside walls
+        for (let i = 0; i < BOSS_CONSTANTS.SUMMON_ATTEMPTS && spawned < count; i++) {
+            const angle = (i / BOSS_CONSTANTS.SUMMON_ATTEMPTS) * Math.PI * 2;
+            const add = new Enemy(0, 0, def.addType, { level: this.level });
+            add.setSpawnPoint(
+                centerX + Math.cos(angle) * BOSS_CONSTANTS.SUMMON_DISTANCE - add.width / 2,
+                centerY + Math.sin(angle) * BOSS_CONSTANTS.SUMMON_DISTANCE - add.height / 2
+            );
+            if (add.checkWallCollision(add.x, add.y) || add.x < 0 || add.y < 0 ||
+                add.x + add.width > gameState.roomWidth * TILE_SIZE || add.y + add.height > gameState.roomHeight * TILE_SIZE) {
+                continue;
+            }
+
+            add.summoner = this;
+            gameState.enemies.push(add);
+            // Summoned adds join the fight immediately, on the boss's target
+            if (this.getThreatTarget()) {
+                add.addThreat(this.getThreatTarget(), AGGRO_CONSTANTS.PROXIMITY_THREAT);
+            }
+            createParticles(add.x + add.width / 2, add.y + add.height / 2, add.color, 10);
+            spawned++;
+        }
+
+        if (spawned > 0) {
+            showMessage(`${this.name} summons reinforcements!`);
+        }
+    }
+
+    /**
+     * A leashed boss starts the fight over from its first phase
+     */
+    onLeashReset() {
+        this.currentAttack = null;
+        this.enterPhase(0, true);
+    }
+
+    die() {
+        super.die();
+        this.currentAttack = null;
+
+        if (this.spawnKey) {
+            gameState.bossStates[this.spawnKey] = { d: true };
+        }
+
+        // Unseal the room's reward chests once every boss in it is down
+        if (areRoomBossesDefeated(gameState.currentRoom)) {
+            gameState.chests.forEach(chest => {
+                if (chest.bossReward) chest.locked = false;
+            });
+            const hasRewardChest = gameState.chests.some(chest => chest.bossReward);
+            showMessage(`${this.name} defeated!${hasRewardChest ? ' The sealed chest opens its lock.' : ''}`);
+        }
+    }
+
+    /**
+     * Persistent fight state (short keys, stored in gameState.bossStates)
+     * @returns {object} { hp, ph }
+     */
+    getState() {
+        return { hp: this.health, ph: this.phaseIndex };
+    }
+
+    /**
+     * Restore a fight left mid-way (validated by SaveManager.applySave)
+     * @param {object} state - From getState()
+     */
+    applyState(state) {
+        this.health = Math.min(this.maxHealth, state.hp);
+        this.enterPhase(Math.min(state.ph || 0, this.archetype.phases.length - 1), true);
+    }
+
+    draw() {
+        if (this.isDead) return;
+
+        const attack = this.currentAttack;
+        if (attack && attack.stage === 'windup') {
+            const progress = 1 - Math.max(0, attack.timer) / attack.duration;
+            const centerX = this.x + this.width / 2;
+            const centerY = this.y + this.height / 2;
+
+            if (attack.def.kind === 'aoe') {
+                Telegraph.draw(this.getAttackShape(attack), progress);
+            } else {
+                // Charging glow for volleys and summons
+                ctx.strokeStyle = attack.def.color || '#fff';
+                ctx.lineWidth = 3;
+                ctx.beginPath();
+                ctx.arc(centerX, centerY, this.width * (0.6 + progress * 0.4), 0, Math.PI * 2);
+                ctx.stroke();
+            }
+        }
+
+        super.draw();
+    }
+}
+
+// Spell Effect Class - short-lived spell visuals (Phase 4)
+class SpellEffect {
+    /**
+     * @param {string} type - Effect type ('beam', 'line_telegraph', 'line_burst')
+     * @param {number} duration - Lifetime in milliseconds
+     * @param {object} data - Type-specific drawing data
+     * @param {function} onExpire - Optional callback when the effect ends (e.g. delayed damage)
+     */
+    constructor(type, duration, data, onExpire = null) {
+        this.type = type;
+        this.duration = duration;
+        this.elapsed = 0;
+        this.data = data;
+        this.onExpire = onExpire;
+    }
+
+    update(deltaTime) {
+        this.elapsed += deltaTime;
+
+        if (this.onExpire && this.isDead()) {
+            const callback = this.onExpire;
+            this.onExpire = null; // Fire once
+            callback();
+        }
+    }
+
+    draw() {
+        const progress = this.duration > 0 ? Math.min(1, this.elapsed / this.duration) : 1;
+        const fade = 1 - progress;
+
+        if (this.type === 'beam') {
+            const { startX, startY, endX, endY, width, color } = this.data;
+
+            ctx.globalAlpha = Math.max(0, fade);
+            ctx.lineCap = 'round';
+
+            // Outer glow
+            ctx.strokeStyle = color;
+            ctx.lineWidth = width * fade;
+            ctx.beginPath();
+            ctx.moveTo(startX, startY);
+            ctx.lineTo(endX, endY);
+            ctx.stroke();
+
+            // Bright core
+            ctx.strokeStyle = '#fff';
+            ctx.lineWidth = Math.max(1, width * 0.25 * fade);
+            ctx.stroke();
+
+            ctx.lineCap = 'butt';
+            ctx.globalAlpha = 1;
+        } else if (this.type === 'line_telegraph' || this.type === 'line_burst') {
+            const { startX, startY, angle, length, width, color } = this.data;
+
+            ctx.save();
+            ctx.translate(startX, startY);
+            ctx.rotate(angle);
+
+            if (this.type === 'line_telegraph') {
+                // Outline with a fill that grows toward the eruption
+                ctx.globalAlpha = 0.8;
+                ctx.strokeStyle = color;
+                ctx.lineWidth = 2;
+                ctx.strokeRect(0, -width / 2, length, width);
+                ctx.globalAlpha = 0.35;
+                ctx.fillStyle = color;
+                ctx.fillRect(0, -width / 2 * progress, length, width * progress);
+            } else {
+                ctx.globalAlpha = 0.7 * fade;
+                ctx.fillStyle = color;
+                ctx.fillRect(0, -width / 2, length, width);
+            }
+
+            ctx.restore();
+        }
+    }
+
+    isDead() {
+        return this.elapsed >= this.duration;
+    }
+}
+
+// Projectile Class - travelling spells and ranged attacks (pooled, see ProjectileManager)
+class Projectile {
+    constructor() {
+        this.active = false;
+    }
+
+    /**
+     * Reinitialize a pooled projectile
+     * @param {object} options - Spawn options
+     * @param {number} options.x - Start X (world space)
+     * @param {number} options.y - Start Y (world space)
+     * @param {number} options.angle - Initial direction in radians
+     * @param {number} options.speed - Speed in pixels per second
+     * @param {string} options.team - 'player' (hits enemies) or 'enemy' (hits the player)
+     * @param {function} options.onHit - Called with the entity that was hit
+     * @param {object} [options.target] - Entity to home in on (null = straight flight)
+     * @param {number} [options.radius] - Collision radius in pixels
+     * @param {number} [options.lifetime] - Milliseconds before the projectile fizzles
+     * @param {number} [options.turnRate] - Homing turn speed (radians per second)
+     * @param {string} [options.color] - Draw color
+     */
+    reset(options) {
+        this.x = options.x;
+        this.y = options.y;
+        this.prevX = options.x;
+        this.prevY = options.y;
+        this.angle = options.angle;
+        this.speed = options.speed;
+        this.team = options.team;
+        this.onHit = options.onHit;
+        this.target = options.target || null;
+        this.radius = options.radius || PROJECTILE_CONSTANTS.DEFAULT_RADIUS;
+        this.lifetime = options.lifetime || 2000;
+        this.turnRate = options.turnRate || PROJECTILE_CONSTANTS.DEFAULT_TURN_RATE;
+        this.color = options.color || '#fff';
+        this.age = 0;
+        this.active = true;
+    }
+
+    /**
+     * Move, steer, and resolve collisions
+     * @param {number} deltaTime - Scaled milliseconds since last frame
+     */
+    update(deltaTime) {
+        if (!this.active) return;
+
+        this.age += deltaTime;
+        if (this.age >= this.lifetime) {
+            this.active = false;
+            return;
+        }
+
+        // Homing: turn toward a living target, otherwise keep flying straight
+        if (this.target && !this.target.isDead) {
+            const targetX = this.target.x + this.target.width / 2;
+            const targetY = this.target.y + this.target.height / 2;
+            let diff = Math.atan2(targetY - this.y, targetX - this.x) - this.angle;
+            diff = Math.atan2(Math.sin(diff), Math.cos(diff));
+            const maxTurn = this.turnRate * (deltaTime / 1000);
+            this.angle += Math.max(-maxTurn, Math.min(maxTurn, diff));
+        }
+
+        this.prevX = this.x;
+        this.prevY = this.y;
+        const distance = this.speed * (deltaTime / 1000);
+        this.x += Math.cos(this.angle) * distance;
+        this.y += Math.sin(this.angle) * distance;
+
+        // Walls and room bounds stop projectiles
+        if (this.x < 0 || this.y < 0 || this.x > gameState.roomWidth * TILE_SIZE || this.y > gameState.roomHeight * TILE_SIZE ||
+            isWallTile(Math.floor(this.x / TILE_SIZE), Math.floor(this.y / TILE_SIZE))) {
+            createParticles(this.prevX, this.prevY, this.color, 4);
+            this.active = false;
+            return;
+        }
+
+        // Entity collision
+        if (this.team === 'player') {
+            for (let enemy of gameState.enemies) {
+                if (!enemy.isDead && this.overlaps(enemy)) {
+                    this.hit(enemy);
+                    return;
+                }
+            }
+        } else if (this.team === 'enemy' && player && this.overlaps(player)) {
+            this.hit(player);
+        }
+    }
+
+    /**
+     * Circle vs box overlap test
+     * @param {object} entity - Entity with x, y, width, height
+     * @returns {boolean} True if the projectile touches the entity
+     */
+    overlaps(entity) {
+        const closestX = Math.max(entity.x, Math.min(this.x, entity.x + entity.width));
+        const closestY = Math.max(entity.y, Math.min(this.y, entity.y + entity.height));
+        return getDistanceSquared(this.x, this.y, closestX, closestY) <= this.radius * this.radius;
+    }
+
+    hit(entity) {
+        this.active = false;
+        if (this.onHit) {
+            this.onHit(entity);
+        }
+    }
+
+    draw() {
+        if (!this.active) return;
+
+        // Short trail
+        ctx.globalAlpha = 0.4;
+        ctx.fillStyle = this.color;
+        ctx.beginPath();
+        ctx.arc(this.prevX, this.prevY, this.radius * 0.7, 0, Math.PI * 2);
+        ctx.fill();
+
+        ctx.globalAlpha = 1;
+        ctx.beginPath();
+        ctx.arc(this.x, this.y, this.radius, 0, Math.PI * 2);
+        ctx.fill();
+
+        ctx.fillStyle = '#fff';
+        ctx.beginPath();
+        ctx.arc(this.x, this.y, this.radius * 0.4, 0, Math.PI * 2);
+        ctx.fill();
+    }
+}
+
+/**
+ * ProjectileManager - Spawns, updates, and recycles projectiles
+ * Active projectiles live in gameState.projectiles; spent ones return to the pool
+ */
+const ProjectileManager = {
+    pool: [],
+
+    /**
+     * Spawn a projectile (see Projectile.reset for options)
+     * @param {object} options - Spawn options
+     * @returns {Projectile} The spawned projectile
+     */
+    spawn(options) {
+        // Recycle the oldest projectile if the cap is reached
+        if (gameState.projectiles.length >= PROJECTILE_CONSTANTS.POOL_SIZE) {
+            this.pool.push(gameState.projectiles.shift());
+        }
+
+        const projectile = this.pool.pop() || new Projectile();
+        projectile.reset(options);
+        gameState.projectiles.push(projectile);
+        return projectile;
+    },
+
+    /**
+     * Update all active projectiles (uses timeScale like other entity movement)
+     */
+    update() {
+        const scaledDelta = gameState.deltaTime * gameState.timeScale;
+
+        for (let i = gameState.projectiles.length - 1; i >= 0; i--) {
+            const projectile = gameState.projectiles[i];
+            projectile.update(scaledDelta);
+
+            if (!projectile.active) {
+                gameState.projectiles.splice(i, 1);
+                this.pool.push(projectile);
+            }
+        }
+    },
+
+    draw() {
+        for (let projectile of gameState.projectiles) {
+            projectile.draw();
+        }
+    },
+
+    /**
+     * Return all active projectiles to the pool (room change, reset)
+     */
+    clear() {
+        for (let projectile of gameState.projectiles) {
+            projectile.active = false;
+            this.pool.push(projectile);
+        }
+        gameState.projectiles = [];
+    }
+};
+
+// Particle Class
+class Particle {
+    constructor(x, y, color) {
         this.x = x;
         this.y = y;
-        this.width = 30;
-        this.height = 30;
-        this.speed = 3;
-        this.direction = 0; // 0=down, 1=right, 2=up, 3=left
+        this.velocityX = (Math.random() - 0.5) * 5;
+        this.velocityY = (Math.random() - 0.5) * 5;
+        this.life = 30;
+        this.maxLife = 30;
+        this.color = color;
+        this.size = Math.random() * 3 + 2;
+    }
 
-        // RPG Stats
-        this.level = 1;
-        this.xp = 0;
-        this.xpNeeded = 100;
+    // Reset method for particle pooling (Phase 0)
+    reset(x, y, color) {
+        this.x = x;
+        this.y = y;
+        this.color = color;
+        this.velocityX = (Math.random() - 0.5) * 5;
+        this.velocityY = (Math.random() - 0.5) * 5;
+        this.size = Math.random() * 3 + 2;
+        this.life = this.maxLife; // Reset to full life
+    }
 
-        // Base stats (used as foundation for computed stats)
-        this.baseMaxHealth = 100;
-        this.baseAttack = 10;
-        this.baseDefense = 5;
+    update() {
+        this.x += this.velocityX;
+        this.y += this.velocityY;
+        this.life--;
+    }
 
-        // Primary Attributes (6 core stats)
-        this.attributes = {
-            strength: 5,      // Affects attack damage
-            vitality: 5,      // Affects max health and defense
-            dexterity: 5,     // Affects crit chance, dodge chance, attack speed
-            intelligence: 5,  // Affects magic damage (future)
-            wisdom: 5,        // Affects magic defense (future)
-            luck: 5           // Affects crit chance and loot quality (future)
+    draw() {
+        ctx.globalAlpha = this.life / this.maxLife;
+        ctx.fillStyle = this.color;
+        ctx.beginPath();
+        ctx.arc(this.x, this.y, this.size, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.globalAlpha = 1;
+    }
+
+    isDead() {
+        return this.life <= 0;
+    }
+}
+
+// Ground Item Class - an item dropped in the world (see LootManager)
+class GroundItem {
+    /**
+     * @param {string} itemId - Key into LOOT_ITEMS
+     * @param {number} x - Center X (world space)
+     * @param {number} y - Center Y (world space)
+     * @param {number} amount - Gold, health, mana or XP granted on pickup
+     * @param {number} remaining - Milliseconds until it despawns
+     */
+    constructor(itemId, x, y, amount, remaining = LOOT_CONSTANTS.DESPAWN_TIME) {
+        this.item = LOOT_ITEMS[itemId];
+        this.x = x;
+        this.y = y;
+        this.amount = amount;
+        this.remaining = remaining;
+        this.bobOffset = Math.random() * Math.PI * 2;
+    }
+
+    update(deltaTime) {
+        this.remaining = Math.max(0, this.remaining - deltaTime);
+    }
+
+    isDead() {
+        return this.remaining <= 0;
+    }
+
+    draw() {
+        // Blink before despawning
+        if (this.remaining < LOOT_CONSTANTS.BLINK_TIME && Math.floor(this.remaining / 200) % 2 === 0) {
+            return;
+        }
+
+        const y = this.y + Math.sin(gameState.elapsedTime / 300 + this.bobOffset) * 2;
+        const size = this.item.size;
+
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.3)';
+        ctx.beginPath();
+        ctx.ellipse(this.x, this.y + size, size, size / 3, 0, 0, Math.PI * 2);
+        ctx.fill();
+
+        ctx.fillStyle = this.item.color;
+        ctx.strokeStyle = '#111';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        if (this.item.effect === 'heal' || this.item.effect === 'mana') {
+            // Potion flask
+            ctx.arc(this.x, y + 1, size - 1, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.stroke();
+            ctx.fillRect(this.x - 2, y - size - 2, 4, 4);
+        } else if (this.item.effect === 'xp') {
+            ctx.moveTo(this.x, y - size);
+            ctx.lineTo(this.x + size, y);
+            ctx.lineTo(this.x, y + size);
+            ctx.lineTo(this.x - size, y);
+            ctx.closePath();
+            ctx.fill();
+            ctx.stroke();
+        } else {
+            ctx.arc(this.x, y, size, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.stroke();
+        }
+    }
+}
+
+// ============================================================================
+// SECTION 5: GAME SYSTEMS & UTILITIES
+// ============================================================================
+
+// Damage Pipeline
+// Every hit - melee, spells, enemy attacks, damage-over-time - is a damage event
+// resolved here so the same rules apply everywhere. Order:
+//   1. Defense (physical) or magic defense (magical)
+//   2. Resistances
+//   3. Dodge
+//   4. Critical hit
+// Periodic ticks skip defense, dodge and crits; resistances still apply.
+const DamageSystem = {
+    listeners: [],
+
+    /**
+     * Register a callback for every resolved damage event
+     * @param {function} callback - Receives the result object from resolve()
+     */
+    onDamage(callback) {
+        this.listeners.push(callback);
+    },
+
+    /**
+     * Resolve a damage event and apply it to the target
+     * @param {object} event - { source, target, type, amount, crit, label, quiet, periodic }
+     *   crit: true/false forces the outcome; omitted rolls against source.critChance
+     *   label: prefix for the feedback message (e.g. ability name)
+     *   quiet: skip the feedback message (callers that summarize several hits)
+     * @returns {object} { source, target, type, baseAmount, amount, crit, dodged, blocked, killed, periodic }
+     */
+    resolve(event) {
+        const target = event.target;
+        const type = event.type || DAMAGE_TYPES.PHYSICAL;
+        const periodic = !!event.periodic;
+        const result = {
+            source: event.source || null,
+            target: target,
+            type: type,
+            baseAmount: event.amount,
+            amount: 0,
+            crit: false,
+            dodged: false,
+            blocked: false,
+            killed: false,
+            periodic: periodic
+        };
+
+        if (!target || target.isDead || target.health <= 0 || !(event.amount > 0)) {
+            result.blocked = true;
+            return result;
+        }
+
+        // Invulnerability frames only stop direct hits
+        if (target.invulnerable && !periodic) {
+            result.blocked = true;
+            return result;
+        }
+
+        let amount = event.amount;
+
+        // 1. Defense
+        if (!periodic) {
+            const defense = type === DAMAGE_TYPES.MAGICAL ? (target.magicDefense || 0) : (target.defense || 0);
+            amount = Math.max(DAMAGE_CONSTANTS.MIN_DAMAGE, amount - defense * DAMAGE_CONSTANTS.DEFENSE_FACTOR);
+        }
+
+        // 2. Resistances
+        const resistance = (target.resistances && target.resistances[type]) || 0;
+        amount *= 1 - Math.max(0, Math.min(DAMAGE_CONSTANTS.MAX_RESISTANCE, resistance));
+        amount = Math.max(DAMAGE_CONSTANTS.MIN_DAMAGE, amount);
+
+        if (!periodic) {
+            // 3. Dodge
+            const dodgeChance = Math.max(0, Math.min(1, target.dodgeChance || 0));
+            if (Math.random() < dodgeChance) {
+                result.dodged = true;
+                this.emit(result, event);
+                return result;
+            }
+
+            // 4. Critical hit
+            if (typeof event.crit === 'boolean') {
+                result.crit = event.crit;
+            } else if (result.source) {
+                result.crit = Math.random() < Math.max(0, Math.min(1, result.source.critChance || 0));
+            }
+            if (result.crit) {
+                amount *= DAMAGE_CONSTANTS.CRIT_MULTIPLIER;
+            }
+        }
+
+        result.amount = amount;
+        target.takeDamage(amount, { periodic: periodic, source: result.source });
+        result.killed = !!target.isDead || target.health <= 0;
+
+        this.emit(result, event);
+        return result;
+    },
+
+    /**
+     * Show feedback for a resolved event and notify listeners
+     * @param {object} result - Result from resolve()
+     * @param {object} event - The original damage event
+     */
+    emit(result, event) {
+        const target = result.target;
+        const centerX = target.x + target.width / 2;
+        const centerY = target.y + target.height / 2;
+        const prefix = event.label ? `${event.label}: ` : '';
+        const shown = result.amount.toFixed(0);
+
+        if (result.dodged) {
+            createParticles(centerX, centerY, target === player ? DODGE_PARTICLE_COLOR : '#ffffff', 8);
+            if (!event.quiet) {
+                showMessage(target === player ? 'Dodged!' : `${prefix}DODGED!`);
+            }
+        } else if (!result.periodic) {
+            if (result.crit) {
+                createParticles(centerX, centerY, '#ff0000', 15);
+            }
+            if (!event.quiet) {
+                if (target === player) {
+                    showMessage(`Took ${shown} damage!`);
+                } else if (result.crit) {
+                    showMessage(`${prefix}CRITICAL HIT! ${shown} damage!`);
+                } else {
+                    showMessage(event.label ? `${prefix}${shown} damage!` : `Hit for ${shown} damage`);
+                }
+            }
+        }
+
+        // Let the attacker react to landing a hit (e.g. life steal)
+        if (result.source && result.source.onDamageDealt && result.amount > 0) {
+            result.source.onDamageDealt(result);
+        }
+
+        this.listeners.forEach(callback => {
+            try {
+                callback(result);
+            } catch (e) {
+                console.error('[DamageSystem] Listener failed:', e);
+            }
+        });
+    }
+};
+
+// Pathfinding - shared flow fields over the tile grid
+// A flow field stores every walkable tile's step distance to one goal tile.
+// Enemies chasing the same goal share a field; each walks to the neighbouring
+// tile with the lowest distance. Fields are expanded breadth-first a slice at a
+// time so recomputation stays inside a per-frame time budget.
+const Pathfinding = {
+    width: 0,
+    height: 0,
+    blocked: null,      // Uint8Array, 1 = wall tile
+    fields: new Map(),  // "x,y" goal key -> field
+    queue: [],          // Fields still being expanded, oldest first
+
+    /**
+     * Rebuild the walkable grid from gameState.walls (call after walls change)
+     * Drops all cached fields, since their distances no longer apply
+     */
+    rebuildGrid() {
+        this.width = gameState.roomWidth;
+        this.height = gameState.roomHeight;
+        this.blocked = new Uint8Array(this.width * this.height);
+
+        gameState.walls.forEach(wall => {
+            if (this.inBounds(wall.x, wall.y)) {
+                this.blocked[wall.y * this.width + wall.x] = 1;
+            }
+        });
+
+        this.fields.clear();
+        this.queue = [];
+    },
+
+    inBounds(tileX, tileY) {
+        return tileX >= 0 && tileY >= 0 && tileX < this.width && tileY < this.height;
+    },
+
+    isWalkable(tileX, tileY) {
+        return !!this.blocked && this.inBounds(tileX, tileY) && !this.blocked[tileY * this.width + tileX];
+    },
+
+    /**
+     * Get (or start computing) the flow field toward a goal tile
+     * @param {number} goalX - Goal tile X
+     * @param {number} goalY - Goal tile Y
+     * @returns {object} Field - check field.complete before trusting its distances
+     */
+    requestField(goalX, goalY) {
+        if (!this.blocked) this.rebuildGrid();
+
+        const key = `${goalX},${goalY}`;
+        let field = this.fields.get(key);
+        if (field) {
+            field.lastUsed = gameState.elapsedTime;
+            return field;
+        }
+
+        field = {
+            goalX: goalX,
+            goalY: goalY,
+            dist: new Float32Array(this.width * this.height).fill(Infinity),
+            frontier: [],
+            head: 0,
+            complete: false,
+            lastUsed: gameState.elapsedTime
         };
 
-        // Attribute points for allocation
-        this.attributePoints = 0;
+        if (this.isWalkable(goalX, goalY)) {
+            const goalIndex = goalY * this.width + goalX;
+            field.dist[goalIndex] = 0;
+            field.frontier.push(goalIndex);
+            this.queue.push(field);
+        } else {
+            // Goal inside a wall or off the grid: nothing can reach it
+            field.complete = true;
+        }
+
+        this.fields.set(key, field);
+        this.evict();
+        return field;
+    },
 
-        // Mana System (Phase 1)
-        this.baseMana = MAGIC_CONSTANTS.BASE_MANA; // 150
-        this.mana = 0; // Will be set after updateComputedStats()
-        this.manaRegen = 0; // Per second, calculated from Wisdom
-        this.spellPower = 0; // Spell damage bonus, from Intelligence
-        this.magicDefense = 0; // Magic damage reduction, from Wisdom
+    /**
+     * Expand queued fields until they finish or the frame budget runs out
+     */
+    update() {
+        if (this.queue.length === 0) return;
 
-        // Spell System (Phase 1)
-        this.unlockedSpells = ['magic_missile']; // Start with one basic spell
-        this.hotbar = [
-            'magic_missile', // Slot 1
-            null, null, null, null, null, null, null // Slots 2-8 empty
-        ];
+        const start = performance.now();
+        while (this.queue.length > 0) {
+            if (this.expand(this.queue[0], PATHFINDING_CONSTANTS.NODES_PER_SLICE)) {
+                this.queue.shift();
+            }
+            if (performance.now() - start >= PATHFINDING_CONSTANTS.FRAME_BUDGET_MS) {
+                break;
+            }
+        }
+    },
 
-        // Computed stats (calculated from base + attributes)
-        this.updateComputedStats();
-        this.health = this.maxHealth;
-        this.mana = this.maxMana; // Set mana to full after stats calculated
+    /**
+     * Breadth-first expansion of one field (4-neighbour, uniform cost)
+     * @param {object} field - Field to expand
+     * @param {number} maxNodes - Tiles to settle before returning
+     * @returns {boolean} True when the field is complete
+     */
+    expand(field, maxNodes) {
+        const width = this.width;
+        let processed = 0;
+
+        while (field.head < field.frontier.length && processed < maxNodes) {
+            const index = field.frontier[field.head++];
+            const tileX = index % width;
+            const tileY = (index - tileX) / width;
+            const nextDist = field.dist[index] + 1;
+
+            for (const [offsetX, offsetY] of PATHFINDING_CONSTANTS.NEIGHBOURS) {
+                const nx = tileX + offsetX;
+                const ny = tileY + offsetY;
+                if (!this.isWalkable(nx, ny)) continue;
+
+                const neighbourIndex = ny * width + nx;
+                if (field.dist[neighbourIndex] > nextDist) {
+                    field.dist[neighbourIndex] = nextDist;
+                    field.frontier.push(neighbourIndex);
+                }
+            }
+            processed++;
+        }
 
-        // Combat
-        this.isAttacking = false;
-        this.attackCooldown = 0;        // Milliseconds remaining (time-based)
-        this.attackRange = 45;
-        this.invulnerable = false;
-        this.invulnerabilityTime = 0;   // Milliseconds remaining (time-based, replaces invulnerableTimer)
+        if (field.head >= field.frontier.length) {
+            field.complete = true;
+            field.frontier = null; // Free the queue memory
+        }
+        return field.complete;
+    },
 
-        // Movement
-        this.moving = false;
-        this.targetX = x;
-        this.targetY = y;
+    /**
+     * Pick the neighbouring tile that gets closest to the field's goal
+     * Diagonals are allowed only when both side tiles are open (no corner cutting)
+     * @param {object} field - A complete field
+     * @param {number} tileX - Current tile X
+     * @param {number} tileY - Current tile Y
+     * @returns {object|null} {x, y} tile to walk to, or null at the goal / when unreachable
+     */
+    getNextStep(field, tileX, tileY) {
+        if (!this.inBounds(tileX, tileY)) return null;
+
+        const here = field.dist[tileY * this.width + tileX];
+        if (here === 0 || here === Infinity) return null;
+
+        let best = null;
+        let bestDist = here;
+        for (let offsetY = -1; offsetY <= 1; offsetY++) {
+            for (let offsetX = -1; offsetX <= 1; offsetX++) {
+                if (offsetX === 0 && offsetY === 0) continue;
+
+                const nx = tileX + offsetX;
+                const ny = tileY + offsetY;
+                if (!this.isWalkable(nx, ny)) continue;
+                if (offsetX !== 0 && offsetY !== 0 &&
+                    (!this.isWalkable(tileX + offsetX, tileY) || !this.isWalkable(tileX, tileY + offsetY))) {
+                    continue;
+                }
+
+                const dist = field.dist[ny * this.width + nx];
+                if (dist < bestDist) {
+                    bestDist = dist;
+                    best = { x: nx, y: ny };
+                }
+            }
+        }
+        return best;
+    },
+
+    /**
+     * Drop least-recently-used finished fields beyond the cache limit
+     */
+    evict() {
+        while (this.fields.size > PATHFINDING_CONSTANTS.MAX_CACHED_FIELDS) {
+            let oldestKey = null;
+            let oldestTime = Infinity;
+            this.fields.forEach((field, key) => {
+                if (field.complete && field.lastUsed < oldestTime) {
+                    oldestTime = field.lastUsed;
+                    oldestKey = key;
+                }
+            });
+            if (oldestKey === null) return;
+            this.fields.delete(oldestKey);
+        }
     }
+};
 
+// Entity Collision - solid bodies between the player and enemies, soft separation between enemies
+// Movement stays axis-separated: callers test each axis with isBlocked() after the wall check.
+// Doorways are exempt so nothing can wedge the exit shut, unless the door sets bodyBlocking.
+const EntityCollision = {
     /**
-     * Recalculate all computed stats based on base values, level, and attributes
+     * Whether an entity takes part in body collision right now
+     * @param {object} entity - Player or enemy
+     * @returns {boolean}
      */
-    updateComputedStats() {
-        // Calculate derived stats from attributes
-        const strBonus = this.attributes.strength * 2;  // +2 attack per STR
-        const vitBonus = this.attributes.vitality * 5;  // +5 max HP per VIT
-        const vitDefBonus = Math.floor(this.attributes.vitality * 0.3);  // +0.3 defense per VIT
+    isSolid(entity) {
+        if (!entity || entity.isDead || entity.health <= 0) return false;
+        return entity.aiState !== 'returning'; // Leashed enemies ghost home
+    },
 
-        // Update computed stats
-        this.attack = this.baseAttack + strBonus + this.level;
-        this.maxHealth = this.baseMaxHealth + vitBonus + (this.level * 5);
-        this.defense = this.baseDefense + vitDefBonus + this.level;
+    /**
+     * Check whether moving an entity to (x, y) would push it into a solid body
+     * Moves that keep or increase the distance to a body are always allowed, so
+     * entities that already overlap can still step apart.
+     * @param {object} entity - Player or enemy being moved
+     * @param {number} x - Proposed X (world space)
+     * @param {number} y - Proposed Y (world space)
+     * @returns {boolean} True if the move is blocked
+     */
+    isBlocked(entity, x, y) {
+        if (!this.isSolid(entity)) return false;
+
+        // Player collides with enemies; enemies only collide with the player
+        const others = entity === player ? gameState.enemies : [player];
+        const moved = { x: x, y: y, width: entity.width, height: entity.height };
+
+        for (let other of others) {
+            if (other === entity || !this.isSolid(other)) continue;
+            if (!entitiesOverlap(moved, other)) continue;
+            if (this.isInOpenDoorway(entity) || this.isInOpenDoorway(other)) continue;
+
+            const otherX = other.x + other.width / 2;
+            const otherY = other.y + other.height / 2;
+            const before = getDistanceSquared(entity.x + entity.width / 2, entity.y + entity.height / 2, otherX, otherY);
+            const after = getDistanceSquared(x + entity.width / 2, y + entity.height / 2, otherX, otherY);
+            if (after < before) return true;
+        }
+        return false;
+    },
 
-        // Secondary attributes (computed getters would be cleaner, but this is simpler)
-        this.critChance = Math.min(0.5, 0.05 +
-            (this.attributes.dexterity * 0.01) +
-            (this.attributes.luck * 0.01)
-        ); // 5% base, +1% per DEX, +1% per LCK, cap at 50%
+    /**
+     * Check whether an entity stands in a doorway where bodies pass through each other
+     * (within BODY_CONSTANTS.DOORWAY_TILES of a door that doesn't set bodyBlocking)
+     * @param {object} entity - Player or enemy
+     * @returns {boolean}
+     */
+    isInOpenDoorway(entity) {
+        const gridX = Math.floor((entity.x + entity.width / 2) / TILE_SIZE);
+        const gridY = Math.floor((entity.y + entity.height / 2) / TILE_SIZE);
+        const reach = BODY_CONSTANTS.DOORWAY_TILES;
 
-        this.dodgeChance = Math.min(0.3, this.attributes.dexterity * 0.01); // +1% dodge per DEX, cap at 30%
+        return gameState.doors.some(door =>
+            !door.bodyBlocking && Math.abs(door.x - gridX) <= reach && Math.abs(door.y - gridY) <= reach
+        );
+    },
 
-        this.attackSpeedMultiplier = 1.0 + (this.attributes.dexterity * 0.02); // +2% attack speed per DEX
+    /**
+     * Nudge an enemy away from overlapping allies so packs spread out instead of stacking
+     * @param {Enemy} enemy - Enemy to move
+     * @param {number} scaledDelta - Scaled milliseconds this frame
+     */
+    separate(enemy, scaledDelta) {
+        if (!this.isSolid(enemy)) return;
+
+        const centerX = enemy.x + enemy.width / 2;
+        const centerY = enemy.y + enemy.height / 2;
+        let pushX = 0;
+        let pushY = 0;
+
+        for (let other of gameState.enemies) {
+            if (other === enemy || !this.isSolid(other)) continue;
+
+            const minDistance = (enemy.width + other.width) / 2 + BODY_CONSTANTS.SEPARATION_PADDING;
+            const offsetX = centerX - (other.x + other.width / 2);
+            const offsetY = centerY - (other.y + other.height / 2);
+            const distanceSquared = offsetX * offsetX + offsetY * offsetY;
+            if (distanceSquared >= minDistance * minDistance) continue;
+
+            // Push harder the deeper the overlap; stacked enemies split in a random direction
+            const distance = Math.sqrt(distanceSquared);
+            const overlap = (minDistance - distance) / minDistance;
+            const angle = distance > 0 ? Math.atan2(offsetY, offsetX) : Math.random() * Math.PI * 2;
+            pushX += Math.cos(angle) * overlap;
+            pushY += Math.sin(angle) * overlap;
+        }
 
-        // Magic stats (Phase 1)
-        const intBonus = this.attributes.intelligence - 5; // 0 at base 5 INT
-        const wisBonus = this.attributes.wisdom - 5; // 0 at base 5 WIS
+        if (pushX === 0 && pushY === 0) return;
 
-        this.maxMana = this.baseMana + (intBonus * 10) + (this.level * 5);
-        // Base 150 + (0 * 10) + (1 * 5) = 155 at level 1
-        // At 10 INT: 150 + (5 * 10) + 5 = 205
+        const strength = Math.min(1, Math.sqrt(pushX * pushX + pushY * pushY));
+        const distance = BODY_CONSTANTS.SEPARATION_SPEED * strength * (scaledDelta / BASELINE_FRAME_TIME);
+        enemy.moveAlong(Math.atan2(pushY, pushX), distance);
+    }
+};
 
-        this.manaRegen = MAGIC_CONSTANTS.BASE_MANA_REGEN + (wisBonus * 0.2);
-        // Base 3.0/sec + (0 * 0.2) = 3.0/sec at level 1
-        // At 10 WIS: 3.0 + (5 * 0.2) = 4.0/sec
+/**
+ * SpawnerManager - Spawner waves for the current room
+ * Spawners (room.spawners) keep adding enemies from their pool every interval while
+ * switched on, up to maxAlive at once. Spawned enemies aren't part of the room's
+ * saved state (see RoomStateManager for cleared-room respawns).
+ */
+const SpawnerManager = {
+    roomIndex: -1,
 
-        this.spellPower = intBonus * 3;
-        // 0 at base 5 INT
-        // 15 at 10 INT
+    /**
+     * Build runtime spawners for a room (called from loadRoom)
+     * @param {number} roomIndex - Index into roomTemplates
+     */
+    load(roomIndex) {
+        const room = roomTemplates[roomIndex];
+        this.roomIndex = roomIndex;
+        gameState.spawners = [];
+
+        (room.spawners || []).forEach((def, index) => {
+            if (!Pathfinding.isWalkable(def.x, def.y)) {
+                console.warn(`[Spawner] Spawner ${def.id || index} in room ${roomIndex} is not on a floor tile, skipping`);
+                return;
+            }
 
-        this.magicDefense = this.baseDefense + (wisBonus * 0.8);
-        // Physical defense + magic defense bonus
-    }
+            const pool = this.buildPool(def, index);
+            if (pool.length === 0) {
+                console.warn(`[Spawner] Spawner ${def.id || index} in room ${roomIndex} has no valid enemy types, skipping`);
+                return;
+            }
+
+            const interval = Math.max(SPAWNER_CONSTANTS.MIN_INTERVAL, def.interval || SPAWNER_CONSTANTS.DEFAULT_INTERVAL);
+            gameState.spawners.push({
+                def: def,
+                id: def.id || `${roomIndex}:${index}`,
+                x: def.x,
+                y: def.y,
+                pool: pool,
+                totalWeight: pool.reduce((sum, entry) => sum + entry.weight, 0),
+                interval: interval,
+                maxAlive: def.maxAlive || SPAWNER_CONSTANTS.DEFAULT_MAX_ALIVE,
+                maxSpawns: def.maxSpawns || Infinity,
+                trigger: def.trigger || 'always',
+                triggerRange: (def.triggerRange || SPAWNER_CONSTANTS.DEFAULT_TRIGGER_RANGE) * TILE_SIZE,
+                enabled: def.active !== false,  // Switch for trigger: 'manual'
+                timer: interval,
+                spawned: 0
+            });
+        });
+    },
 
     /**
-     * Allocate attribute points
-     * @param {string} attributeName - Name of the attribute (strength, vitality, etc.)
-     * @param {number} points - Number of points to allocate (default 1)
-     * @returns {object} Result with success flag and optional error message
+     * Normalize a spawner's pool into weighted entries, dropping unknown and boss types
+     * @param {object} def - Spawner definition
+     * @param {number} index - Position in room.spawners (for messages)
+     * @returns {Array} [{ type, weight }]
      */
-    allocateAttribute(attributeName, points = 1) {
-        // Validation: Check if player has enough points
-        if (this.attributePoints < points) {
-            return { success: false, error: 'Not enough attribute points' };
-        }
+    buildPool(def, index) {
+        return (def.pool || []).map(entry => typeof entry === 'string' ? { type: entry, weight: 1 } : entry)
+            .filter(entry => {
+                const archetype = ENEMY_ARCHETYPES[entry.type];
+                if (!archetype || archetype.boss) {
+                    console.warn(`[Spawner] Spawner ${def.id || index}: "${entry.type}" can't be spawned, ignoring`);
+                    return false;
+                }
+                return entry.weight === undefined || entry.weight > 0;
+            })
+            .map(entry => ({ type: entry.type, weight: entry.weight || 1 }));
+    },
 
-        // Validation: Check if attribute name is valid
-        const validAttributes = ['strength', 'vitality', 'dexterity', 'intelligence', 'wisdom', 'luck'];
-        if (!validAttributes.includes(attributeName)) {
-            return { success: false, error: 'Invalid attribute name' };
-        }
+    /**
+     * Switch a spawner on or off (for trigger: 'manual')
+     * @param {string} id - Spawner id
+     * @param {boolean} on - New state
+     * @returns {boolean} True if the spawner exists in the current room
+     */
+    setActive(id, on) {
+        const spawner = gameState.spawners.find(s => s.id === id);
+        if (!spawner) return false;
+        spawner.enabled = !!on;
+        return true;
+    },
 
-        // Validation: Check if allocation would exceed cap
-        if (this.attributes[attributeName] + points > ATTRIBUTE_CAP) {
-            return { success: false, error: `Attribute would exceed maximum (${ATTRIBUTE_CAP})` };
+    /**
+     * Whether a spawner's trigger currently lets it spawn
+     * @param {object} spawner - Runtime spawner
+     * @returns {boolean}
+     */
+    isActive(spawner) {
+        if (spawner.trigger === 'manual') return spawner.enabled;
+        if (spawner.trigger === 'proximity') {
+            const distanceSquared = getDistanceSquared(
+                spawner.x * TILE_SIZE + TILE_SIZE / 2, spawner.y * TILE_SIZE + TILE_SIZE / 2,
+                player.x + player.width / 2, player.y + player.height / 2
+            );
+            return distanceSquared <= spawner.triggerRange * spawner.triggerRange;
         }
+        return true;
+    },
 
-        // Allocate the points
-        this.attributes[attributeName] += points;
-        this.attributePoints -= points;
-
-        // Recalculate all computed stats
-        this.updateComputedStats();
+    isExhausted(spawner) {
+        return spawner.spawned >= spawner.maxSpawns;
+    },
 
-        return { success: true };
-    }
+    countAlive(spawner) {
+        return gameState.enemies.filter(enemy => enemy.spawner === spawner && !enemy.isDead).length;
+    },
 
+    /**
+     * Advance spawner timers (once per frame)
+     */
     update() {
-        // Apply time scale for slow-motion effects (Phase 0)
         const scaledDelta = gameState.deltaTime * gameState.timeScale;
 
-        // Movement speed: this.speed is in pixels per frame @ 60 FPS baseline
-        // Formula: this.speed * (deltaTime / BASELINE_FRAME_TIME) = pixels to move this frame
-        // At 60 FPS: 3 * (16.67 / 16.67) = 3 pixels
-        // At 30 FPS: 3 * (33.33 / 16.67) = 6 pixels (but takes 2x as long in real time)
-        const moveSpeed = this.speed * (scaledDelta / BASELINE_FRAME_TIME);
+        for (let spawner of gameState.spawners) {
+            if (this.isExhausted(spawner) || !this.isActive(spawner)) continue;
 
-        // Handle movement from keyboard
-        let dx = 0;
-        let dy = 0;
+            spawner.timer = Math.max(0, spawner.timer - scaledDelta);
+            if (spawner.timer > 0 || this.countAlive(spawner) >= spawner.maxAlive) continue;
 
-        if (gameState.keys['ArrowUp'] || gameState.keys['w'] || gameState.keys['W']) {
-            dy = -moveSpeed;
-            this.direction = 2;
-            this.moving = true;
-        }
-        if (gameState.keys['ArrowDown'] || gameState.keys['s'] || gameState.keys['S']) {
-            dy = moveSpeed;
-            this.direction = 0;
-            this.moving = true;
-        }
-        if (gameState.keys['ArrowLeft'] || gameState.keys['a'] || gameState.keys['A']) {
-            dx = -moveSpeed;
-            this.direction = 3;
-            this.moving = true;
-        }
-        if (gameState.keys['ArrowRight'] || gameState.keys['d'] || gameState.keys['D']) {
-            dx = moveSpeed;
-            this.direction = 1;
-            this.moving = true;
+            // Retries next frame if something stands on the spawn point
+            if (this.spawn(spawner)) {
+                spawner.timer = spawner.interval;
+            }
         }
+    },
 
-        if (dx === 0 && dy === 0) {
-            this.moving = false;
-        }
+    /**
+     * Spawn one enemy from a spawner's pool on its tile, or a free floor tile next to it
+     * @param {object} spawner - Runtime spawner
+     * @returns {boolean} True if an enemy was spawned
+     */
+    spawn(spawner) {
+        let roll = Math.random() * spawner.totalWeight;
+        const entry = spawner.pool.find(candidate => (roll -= candidate.weight) < 0) || spawner.pool[0];
 
-        // Normalize diagonal movement
-        if (dx !== 0 && dy !== 0) {
-            dx *= 0.707;
-            dy *= 0.707;
-        }
+        const level = getEnemyLevel(this.roomIndex, spawner.def);
+        const enemy = new Enemy(0, 0, entry.type, { level: level, affixes: rollEliteAffixes(spawner.def, level) });
 
-        // Calculate new position
-        const newX = this.x + dx;
-        const newY = this.y + dy;
+        const tiles = [[0, 0], ...PATHFINDING_CONSTANTS.NEIGHBOURS];
+        const free = tiles.some(([dx, dy]) => {
+            if (!Pathfinding.isWalkable(spawner.x + dx, spawner.y + dy)) return false;
 
-        // Check collision with walls
-        if (!this.checkWallCollision(newX, this.y)) {
-            this.x = newX;
-        }
-        if (!this.checkWallCollision(this.x, newY)) {
-            this.y = newY;
+            enemy.setSpawnPoint(
+                (spawner.x + dx) * TILE_SIZE + (TILE_SIZE - enemy.width) / 2,
+                (spawner.y + dy) * TILE_SIZE + (TILE_SIZE - enemy.height) / 2
+            );
+            return ![player, ...gameState.enemies].some(other =>
+                EntityCollision.isSolid(other) && entitiesOverlap(enemy, other)
+            );
+        });
+        if (!free) return false;
+
+        enemy.spawner = spawner;
+        gameState.enemies.push(enemy);
+        spawner.spawned++;
+        createParticles(enemy.x + enemy.width / 2, enemy.y + enemy.height / 2, SPAWNER_CONSTANTS.COLOR, 12);
+        return true;
+    }
+};
+
+/**
+ * RoomStateManager - What the player has changed in each room
+ * gameState.roomStates keeps, per room index, the template enemies killed, the
+ * chests opened and the locked doors opened, so leaving and coming back (or
+ * loading a save) doesn't revive enemies or refill chests. Bosses keep their own
+ * fight state in gameState.bossStates. Locked doors (door.locked) open once every
+ * template enemy in the room is dead. Rooms with respawnTime forget their kills
+ * that long after being cleared, counting down even while the player is elsewhere.
+ */
+const RoomStateManager = {
+    /**
+     * State of a room (created on first use)
+     * @param {number} roomIndex - Index into roomTemplates
+     * @returns {object} { killed, chests, doors, respawnIn } - index arrays into the template, ms left
+     */
+    get(roomIndex = gameState.currentRoom) {
+        if (!gameState.roomStates[roomIndex]) {
+            gameState.roomStates[roomIndex] = { killed: [], chests: [], doors: [], respawnIn: 0 };
         }
+        return gameState.roomStates[roomIndex];
+    },
 
-        // Keep player in bounds
-        this.x = Math.max(TILE_SIZE, Math.min(this.x, CANVAS_WIDTH - TILE_SIZE - this.width));
-        this.y = Math.max(TILE_SIZE, Math.min(this.y, CANVAS_HEIGHT - TILE_SIZE - this.height));
+    isEnemyKilled(roomIndex, enemyIndex) {
+        const state = gameState.roomStates[roomIndex];
+        return !!state && state.killed.includes(enemyIndex);
+    },
 
-        // Check door collision
-        this.checkDoorCollision();
+    isChestOpened(roomIndex, chestIndex) {
+        const state = gameState.roomStates[roomIndex];
+        return !!state && state.chests.includes(chestIndex);
+    },
 
-        // Check chest collision
-        this.checkChestCollision();
+    isDoorUnlocked(roomIndex, doorIndex) {
+        const state = gameState.roomStates[roomIndex];
+        return !!state && state.doors.includes(doorIndex);
+    },
 
-        // Handle attack
-        if (gameState.keys[' '] || gameState.keys['Enter']) {
-            this.tryAttack();
+    /**
+     * Remember a dead template enemy (spawner and summoned enemies aren't tracked)
+     * @param {Enemy} enemy - Enemy that died in the current room
+     */
+    recordKill(enemy) {
+        if (enemy.templateIndex === undefined || enemy.isBoss) return;
+        const state = this.get();
+        if (!state.killed.includes(enemy.templateIndex)) {
+            state.killed.push(enemy.templateIndex);
         }
+    },
 
-        // Update timers (time-based, not affected by timeScale)
-        if (this.attackCooldown > 0) {
-            this.attackCooldown = Math.max(0, this.attackCooldown - gameState.deltaTime);
-        }
-        if (this.invulnerabilityTime > 0) {
-            this.invulnerabilityTime = Math.max(0, this.invulnerabilityTime - gameState.deltaTime);
-            if (this.invulnerabilityTime === 0) {
-                this.invulnerable = false;
-            }
+    /**
+     * @param {object} chest - Runtime chest in the current room
+     */
+    recordChest(chest) {
+        const state = this.get();
+        if (!state.chests.includes(chest.index)) {
+            state.chests.push(chest.index);
         }
+    },
 
-        // Mana regeneration (Phase 1 - time-based, not affected by timeScale)
-        const manaRegenPerMs = this.manaRegen / 1000; // Per second → per millisecond
-        const manaGain = manaRegenPerMs * gameState.deltaTime;
-        this.mana = Math.min(this.maxMana, this.mana + manaGain);
-    }
-
-    checkWallCollision(x, y) {
-        const gridX = Math.floor(x / TILE_SIZE);
-        const gridY = Math.floor(y / TILE_SIZE);
-        const gridX2 = Math.floor((x + this.width) / TILE_SIZE);
-        const gridY2 = Math.floor((y + this.height) / TILE_SIZE);
-
-        for (let wall of gameState.walls) {
-            if ((wall.x === gridX && wall.y === gridY) ||
-                (wall.x === gridX2 && wall.y === gridY) ||
-                (wall.x === gridX && wall.y === gridY2) ||
-                (wall.x === gridX2 && wall.y === gridY2)) {
-                return true;
+    /**
+     * Whether every template enemy in a room is dead (bosses count once defeated)
+     * @param {number} roomIndex - Index into roomTemplates
+     * @returns {boolean}
+     */
+    isRoomCleared(roomIndex) {
+        return roomTemplates[roomIndex].enemies.every((e, index) => {
+            const archetype = ENEMY_ARCHETYPES[e.type];
+            if (archetype && archetype.boss) {
+                const saved = gameState.bossStates[`${roomIndex}:${index}`];
+                return !!saved && saved.d === true;
             }
-        }
-        return false;
-    }
+            return this.isEnemyKilled(roomIndex, index);
+        });
+    },
 
-    checkDoorCollision() {
-        const gridX = Math.floor((this.x + this.width / 2) / TILE_SIZE);
-        const gridY = Math.floor((this.y + this.height / 2) / TILE_SIZE);
+    /**
+     * Open locked doors of cleared rooms and run respawn countdowns (once per frame)
+     */
+    update() {
+        const scaledDelta = gameState.deltaTime * gameState.timeScale;
+        const roomIndex = gameState.currentRoom;
+        const room = roomTemplates[roomIndex];
+
+        const lockedDoors = gameState.doors.filter(door => door.locked);
+        if (lockedDoors.length > 0 && this.isRoomCleared(roomIndex)) {
+            const state = this.get();
+            lockedDoors.forEach(door => {
+                door.locked = false;
+                state.doors.push(door.index);
+                createParticles(door.x * TILE_SIZE + TILE_SIZE / 2, door.y * TILE_SIZE + TILE_SIZE / 2, '#FFD700', 15);
+            });
+            showMessage(lockedDoors.length === 1 ? 'A sealed door opens!' : 'The sealed doors open!');
+        }
 
-        for (let door of gameState.doors) {
-            if (door.x === gridX && door.y === gridY) {
-                loadRoom(door.toRoom);
-                return;
+        // The current room starts counting once nothing is left alive in it
+        if (room.respawnTime > 0) {
+            const state = this.get();
+            if (gameState.enemies.some(enemy => !enemy.isDead)) {
+                state.respawnIn = 0;
+            } else if (state.respawnIn === 0 && state.killed.length > 0) {
+                state.respawnIn = room.respawnTime;
             }
         }
-    }
 
-    checkChestCollision() {
-        const gridX = Math.floor((this.x + this.width / 2) / TILE_SIZE);
-        const gridY = Math.floor((this.y + this.height / 2) / TILE_SIZE);
+        Object.keys(gameState.roomStates).forEach(key => {
+            const state = gameState.roomStates[key];
+            if (state.respawnIn <= 0) return;
 
-        for (let chest of gameState.chests) {
-            if (!chest.opened && chest.x === gridX && chest.y === gridY) {
-                this.openChest(chest);
+            state.respawnIn = Math.max(0, state.respawnIn - scaledDelta);
+            if (state.respawnIn > 0) return;
+
+            state.killed = [];
+            if (Number(key) === roomIndex) {
+                this.respawnCurrentRoom();
             }
+        });
+    },
+
+    respawnCurrentRoom() {
+        spawnRoomEnemies(gameState.currentRoom);
+        gameState.enemies.forEach(enemy => {
+            createParticles(enemy.x + enemy.width / 2, enemy.y + enemy.height / 2, SPAWNER_CONSTANTS.COLOR, 12);
+        });
+        if (gameState.enemies.length > 0) {
+            showMessage('Enemies have returned!');
         }
-    }
+    },
 
-    openChest(chest) {
-        chest.opened = true;
-        gameState.chestsOpened++;
+    /**
+     * Compact save form: room index -> { k, c, d, r } (omits untouched rooms)
+     * @returns {object}
+     */
+    serialize() {
+        const data = {};
+        Object.keys(gameState.roomStates).forEach(key => {
+            const state = gameState.roomStates[key];
+            if (state.killed.length === 0 && state.chests.length === 0 && state.doors.length === 0) return;
+            data[key] = { k: state.killed, c: state.chests, d: state.doors, r: Math.round(state.respawnIn) };
+        });
+        return data;
+    },
 
-        // Random reward
-        const reward = Math.random();
-        if (reward < 0.3) {
-            // Health
-            const healAmount = 30;
-            this.health = Math.min(this.maxHealth, this.health + healAmount);
-            showMessage(`Found health potion! +${healAmount} HP`);
-        } else if (reward < 0.6) {
-            // XP
-            const xpAmount = 50;
-            this.gainXP(xpAmount);
-        } else {
-            // Gold (just XP for now)
-            const goldAmount = Math.floor(Math.random() * 50) + 25;
-            this.gainXP(goldAmount);
-            showMessage(`Found ${goldAmount} gold!`);
-        }
+    /**
+     * Restore saved room states, keeping only indices that exist in the room templates
+     * @param {object} data - Output of serialize()
+     */
+    restore(data) {
+        gameState.roomStates = {};
+        if (!data || typeof data !== 'object' || Array.isArray(data)) return;
+
+        Object.keys(data).forEach(key => {
+            const room = roomTemplates[Number(key)];
+            const saved = data[key];
+            if (!room || !saved || typeof saved !== 'object') {
+                console.warn(`[SaveManager] State for unknown room '${key}', dropping`);
+                return;
+            }
 
-        createParticles(chest.x * TILE_SIZE + TILE_SIZE / 2, chest.y * TILE_SIZE + TILE_SIZE / 2, '#ffd700', 15);
-        updateUI();
+            const validIndices = (list, isValid, what) => {
+                if (!Array.isArray(list)) return [];
+                return list.filter(index => {
+                    if (Number.isInteger(index) && isValid(index)) return true;
+                    console.warn(`[SaveManager] Room ${key}: invalid ${what} '${index}', dropping`);
+                    return false;
+                });
+            };
+
+            const state = this.get(Number(key));
+            state.killed = validIndices(saved.k, index => index >= 0 && index < room.enemies.length, 'enemy');
+            state.chests = validIndices(saved.c, index => index >= 0 && index < room.chests.length, 'chest');
+            state.doors = validIndices(saved.d, index => !!room.doors[index] && !!room.doors[index].locked, 'door');
+            state.respawnIn = room.respawnTime > 0 && saved.r > 0 ? Math.min(saved.r, room.respawnTime) : 0;
+        });
     }
+};
 
-    tryAttack() {
-        if (this.attackCooldown === 0 && !this.isAttacking) {
-            this.isAttacking = true;
-            // Attack speed affects cooldown (higher multiplier = faster attacks)
-            // Base: 500ms (was 30 frames @ 60 FPS)
-            const baseCooldown = 500;
-            this.attackCooldown = Math.max(167, baseCooldown / this.attackSpeedMultiplier);
+/**
+ * LootManager - Enemy drop tables and ground items
+ * Drops live in gameState.roomItems under the room they fell in, so they are still
+ * there when the player comes back, and despawn after LOOT_CONSTANTS.DESPAWN_TIME
+ * whether or not their room is loaded.
+ */
+const LootManager = {
+    /**
+     * Items lying in a room (created on first use)
+     * @param {number} roomIndex - Index into roomTemplates
+     * @returns {GroundItem[]}
+     */
+    getRoomItems(roomIndex = gameState.currentRoom) {
+        if (!gameState.roomItems[roomIndex]) {
+            gameState.roomItems[roomIndex] = [];
+        }
+        return gameState.roomItems[roomIndex];
+    },
 
-            // Attack selected target only (tab targeting)
-            if (gameState.selectedEnemy && !gameState.selectedEnemy.isDead) {
-                // Attack selected enemy if in range
-                if (this.checkAttackHit(gameState.selectedEnemy)) {
-                    this.dealDamage(gameState.selectedEnemy);
-                }
-            } else {
-                // If no target selected, auto-select nearest enemy and attack
-                selectNearestEnemy();
-                if (gameState.selectedEnemy && this.checkAttackHit(gameState.selectedEnemy)) {
-                    this.dealDamage(gameState.selectedEnemy);
+    /**
+     * Roll a dead enemy's drop table and scatter the results around its corpse
+     * @param {Enemy} enemy - The enemy that died
+     */
+    dropLoot(enemy) {
+        const table = enemy.archetype.loot;
+        if (!table) return;
+
+        const centerX = enemy.x + enemy.width / 2;
+        const centerY = enemy.y + enemy.height / 2;
+        const rolls = enemy.isElite ? LOOT_CONSTANTS.ELITE_ROLLS : 1;
+
+        for (let roll = 0; roll < rolls; roll++) {
+            table.forEach(entry => {
+                const item = LOOT_ITEMS[entry.item];
+                if (!item) {
+                    console.warn(`[Loot] Unknown item "${entry.item}" in ${enemy.archetype.id} drop table`);
+                    return;
                 }
-            }
+                if (Math.random() >= entry.chance) return;
 
-            setTimeout(() => {
-                this.isAttacking = false;
-            }, 200);
+                const amount = entry.min !== undefined
+                    ? entry.min + Math.floor(Math.random() * ((entry.max || entry.min) - entry.min + 1))
+                    : item.amount;
+                const position = this.findDropPosition(centerX, centerY);
+                this.getRoomItems().push(new GroundItem(item.id, position.x, position.y, amount));
+            });
         }
-    }
-
-    checkAttackHit(enemy) {
-        const distance = Math.sqrt(
-            Math.pow((this.x + this.width / 2) - (enemy.x + enemy.width / 2), 2) +
-            Math.pow((this.y + this.height / 2) - (enemy.y + enemy.height / 2), 2)
-        );
-        return distance < this.attackRange + enemy.width / 2;
-    }
+    },
 
-    dealDamage(enemy) {
-        // Check for dodge (if enemy has dodge chance)
-        const enemyDodgeChance = enemy.dodgeChance || 0;
-        if (Math.random() < enemyDodgeChance) {
-            showMessage('DODGED!');
-            createParticles(enemy.x + enemy.width / 2, enemy.y + enemy.height / 2, '#ffffff', 8);
-            return;
+    /**
+     * Pick a spot near (x, y) for a drop, keeping it off walls
+     * @returns {object} { x, y } world position
+     */
+    findDropPosition(x, y) {
+        const angle = Math.random() * Math.PI * 2;
+        const distance = Math.random() * LOOT_CONSTANTS.SCATTER_RADIUS;
+        const dropX = x + Math.cos(angle) * distance;
+        const dropY = y + Math.sin(angle) * distance;
+
+        if (Pathfinding.isWalkable(Math.floor(dropX / TILE_SIZE), Math.floor(dropY / TILE_SIZE))) {
+            return { x: dropX, y: dropY };
         }
+        return { x: x, y: y };
+    },
 
-        // Calculate base damage
-        let damage = Math.max(1, this.attack - enemy.defense / 2);
+    /**
+     * Pick up every drop the entity is standing on (walk-over pickup)
+     * @param {Player} playerObj - The player
+     */
+    pickUpAt(playerObj) {
+        const centerX = playerObj.x + playerObj.width / 2;
+        const centerY = playerObj.y + playerObj.height / 2;
+        const reach = LOOT_CONSTANTS.PICKUP_RADIUS + playerObj.width / 2;
+        this.pickUpWithin(playerObj, centerX, centerY, reach);
+    },
 
-        // Check for critical hit
-        const isCrit = Math.random() < this.critChance;
-        if (isCrit) {
-            damage *= 2.0;  // Critical hits deal 2x damage
-            showMessage(`CRITICAL HIT! ${damage.toFixed(0)} damage!`);
-            createParticles(enemy.x + enemy.width / 2, enemy.y + enemy.height / 2, '#ff0000', 15);
-        } else {
-            showMessage(`Hit for ${damage.toFixed(0)} damage`);
-            createParticles(enemy.x + enemy.width / 2, enemy.y + enemy.height / 2, '#ff6600', 5);
+    /**
+     * Interact key: pick up every drop within LOOT_CONSTANTS.INTERACT_RANGE
+     * @param {Player} playerObj - The player
+     * @returns {number} Items picked up
+     */
+    interact(playerObj) {
+        const centerX = playerObj.x + playerObj.width / 2;
+        const centerY = playerObj.y + playerObj.height / 2;
+        const count = this.pickUpWithin(playerObj, centerX, centerY, LOOT_CONSTANTS.INTERACT_RANGE);
+        if (count === 0) {
+            showMessage('Nothing to pick up');
         }
+        return count;
+    },
 
-        enemy.takeDamage(damage);
-    }
-
-    takeDamage(damage) {
-        if (!this.invulnerable) {
-            const actualDamage = Math.max(1, damage - this.defense / 2);
-            this.health -= actualDamage;
-            this.invulnerable = true;
-            this.invulnerabilityTime = 1000; // 1 second in milliseconds (was 60 frames)
+    pickUpWithin(playerObj, x, y, range) {
+        const items = this.getRoomItems();
+        let count = 0;
 
-            if (this.health <= 0) {
-                this.health = 0;
-                this.die();
-            }
+        for (let i = items.length - 1; i >= 0; i--) {
+            if (getDistanceSquared(x, y, items[i].x, items[i].y) > range * range) continue;
 
-            updateUI();
-            showMessage(`Took ${actualDamage.toFixed(0)} damage!`);
+            this.applyItem(playerObj, items[i]);
+            items.splice(i, 1);
+            count++;
         }
-    }
-
-    gainXP(amount) {
-        this.xp += amount;
-        showMessage(`+${amount} XP!`);
+        return count;
+    },
 
-        while (this.xp >= this.xpNeeded) {
-            this.levelUp();
+    /**
+     * Give a picked-up item's reward to the player
+     * @param {Player} playerObj - The player
+     * @param {GroundItem} groundItem - The item picked up
+     */
+    applyItem(playerObj, groundItem) {
+        const item = groundItem.item;
+        const amount = groundItem.amount;
+
+        switch (item.effect) {
+            case 'heal':
+                playerObj.health = Math.min(playerObj.maxHealth, playerObj.health + amount);
+                showMessage(`Picked up ${item.name}! +${amount} HP`);
+                break;
+            case 'mana':
+                playerObj.mana = Math.min(playerObj.maxMana, playerObj.mana + amount);
+                showMessage(`Picked up ${item.name}! +${amount} mana`);
+                break;
+            case 'xp':
+                playerObj.gainXP(amount);
+                showMessage(`Picked up ${item.name}! +${amount} XP`);
+                break;
+            case 'gold':
+                // Gold is just XP for now, like chest gold
+                playerObj.gainXP(amount);
+                showMessage(`Picked up ${amount} gold!`);
+                break;
         }
 
+        createParticles(groundItem.x, groundItem.y, item.color, 8);
         updateUI();
-    }
-
-    levelUp() {
-        this.level++;
-        this.xp -= this.xpNeeded;
-        this.xpNeeded = Math.floor(this.xpNeeded * 1.5);
+    },
 
-        // Grant attribute points for player allocation
-        this.attributePoints += ATTRIBUTE_POINTS_PER_LEVEL;
+    /**
+     * Count down every room's drops and remove expired ones (once per frame)
+     */
+    update() {
+        Object.keys(gameState.roomItems).forEach(roomIndex => {
+            const items = gameState.roomItems[roomIndex];
+            for (let i = items.length - 1; i >= 0; i--) {
+                items[i].update(gameState.deltaTime);
+                if (items[i].isDead()) {
+                    items.splice(i, 1);
+                }
+            }
+        });
+    },
 
-        // Small automatic base stat increases (reduced from before)
-        this.baseMaxHealth += 5;  // Reduced from +20 (attributes provide more)
-        this.baseAttack += 1;     // Reduced from +5 (attributes provide more)
-        this.baseDefense += 1;    // Reduced from +2 (attributes provide more)
+    draw() {
+        this.getRoomItems().forEach(item => item.draw());
+    },
 
-        // Recalculate all computed stats
-        this.updateComputedStats();
+    /**
+     * Compact save form: room index -> [{ i, x, y, a, t }] (t = ms left)
+     * @returns {object}
+     */
+    serialize() {
+        const data = {};
+        Object.keys(gameState.roomItems).forEach(roomIndex => {
+            const items = gameState.roomItems[roomIndex];
+            if (items.length === 0) return;
+            data[roomIndex] = items.map(item => ({
+                i: item.item.id,
+                x: Math.round(item.x),
+                y: Math.round(item.y),
+                a: item.amount,
+                t: Math.round(item.remaining)
+            }));
+        });
+        return data;
+    },
 
-        // Full heal on level up
-        this.health = this.maxHealth;
-        this.mana = this.maxMana;  // Full mana restoration (Phase 1)
+    /**
+     * Restore saved drops, dropping entries for unknown rooms or items
+     * @param {object} data - Output of serialize()
+     */
+    restore(data) {
+        gameState.roomItems = {};
+        if (!data || typeof data !== 'object' || Array.isArray(data)) return;
 
-        // Unlock new spells at this level (Phase 2)
-        const newSpells = [];
-        Object.values(ABILITIES).forEach(ability => {
-            if (ability.unlockLevel === this.level && !this.unlockedSpells.includes(ability.id)) {
-                this.unlockedSpells.push(ability.id);
-                newSpells.push(ability.name);
+        Object.keys(data).forEach(roomIndex => {
+            if (!roomTemplates[Number(roomIndex)] || !Array.isArray(data[roomIndex])) {
+                console.warn(`[SaveManager] Drops for unknown room '${roomIndex}', dropping`);
+                return;
             }
+            data[roomIndex].forEach(entry => {
+                if (!entry || !LOOT_ITEMS[entry.i] || typeof entry.x !== 'number' || typeof entry.y !== 'number' ||
+                    !(entry.a > 0) || !(entry.t > 0)) {
+                    console.warn(`[SaveManager] Invalid drop in room ${roomIndex}, dropping`);
+                    return;
+                }
+                const remaining = Math.min(entry.t, LOOT_CONSTANTS.DESPAWN_TIME);
+                this.getRoomItems(roomIndex).push(new GroundItem(entry.i, entry.x, entry.y, entry.a, remaining));
+            });
         });
+    }
+};
 
-        // Show level up message with new spells
-        let levelUpMsg = `LEVEL UP! Lv.${this.level} (+${ATTRIBUTE_POINTS_PER_LEVEL} Pts)`;
-        if (newSpells.length > 0) {
-            levelUpMsg += ` - New Spell: ${newSpells.join(', ')}!`;
+/**
+ * Telegraph - Ground warning shapes for enemy wind-up attacks
+ * The same shape object is drawn during the wind-up and hit-tested when the attack
+ * lands, so what the player sees is exactly what gets hit. Shapes (world space):
+ *   { type: 'circle', x, y, radius }
+ *   { type: 'cone', x, y, angle, halfAngle, range }   - angles in radians
+ *   { type: 'line', x, y, endX, endY, width }
+ * Every shape starts at (x, y); walls between that point and the target block the hit.
+ */
+const Telegraph = {
+    /**
+     * Lock in the warning shape for an attack definition
+     * @param {object} def - Attack definition (archetype.special)
+     * @param {Enemy} enemy - Attacker
+     * @param {number} targetX - Target centre X when the wind-up starts
+     * @param {number} targetY - Target centre Y when the wind-up starts
+     * @returns {object} Shape
+     */
+    createShape(def, enemy, targetX, targetY) {
+        const originX = enemy.x + enemy.width / 2;
+        const originY = enemy.y + enemy.height / 2;
+        const angle = Math.atan2(targetY - originY, targetX - originX);
+
+        switch (def.shape) {
+            case 'cone':
+                return { type: 'cone', x: originX, y: originY, angle: angle, halfAngle: (def.angle / 2) * Math.PI / 180, range: def.range };
+            case 'line': {
+                // Beams stop at the first wall
+                const length = getRayWallDistance(originX, originY, angle, def.length);
+                return {
+                    type: 'line', x: originX, y: originY, width: def.width,
+                    endX: originX + Math.cos(angle) * length,
+                    endY: originY + Math.sin(angle) * length
+                };
+            }
+            case 'circle':
+                return def.at === 'target'
+                    ? { type: 'circle', x: targetX, y: targetY, radius: def.radius }
+                    : { type: 'circle', x: originX, y: originY, radius: def.radius };
+            default:
+                console.warn(`[Telegraph] Unknown shape "${def.shape}", using circle`);
+                return { type: 'circle', x: originX, y: originY, radius: def.radius || enemy.attackRange };
         }
-        showMessage(levelUpMsg);
-        createParticles(this.x + this.width / 2, this.y + this.height / 2, '#ffd700', 20);
-        updateUI();
+    },
 
-        // Auto-save on level up
-        SaveManager.save(this, gameState);
-    }
+    /**
+     * Whether an entity's body is inside a shape
+     * @param {object} shape - Shape from createShape
+     * @param {object} entity - Entity with x, y, width, height
+     * @returns {boolean}
+     */
+    hits(shape, entity) {
+        const centerX = entity.x + entity.width / 2;
+        const centerY = entity.y + entity.height / 2;
+        const bodyRadius = entity.width / 2;
+        let inside = false;
+
+        if (shape.type === 'circle') {
+            const reach = shape.radius + bodyRadius;
+            inside = getDistanceSquared(shape.x, shape.y, centerX, centerY) <= reach * reach;
+        } else if (shape.type === 'cone') {
+            inside = isPointInCone(centerX, centerY, shape.x, shape.y, shape.angle, shape.halfAngle, shape.range + bodyRadius);
+        } else if (shape.type === 'line') {
+            // Expand the body by half the beam width and test against the beam's centre line
+            const halfWidth = shape.width / 2;
+            inside = segmentIntersectsRect(
+                shape.x, shape.y, shape.endX, shape.endY,
+                entity.x - halfWidth, entity.y - halfWidth, entity.width + shape.width, entity.height + shape.width
+            );
+        }
 
-    die() {
-        showMessage('Game Over! Restarting...');
-        setTimeout(() => {
-            this.reset();
-        }, 2000);
-    }
+        return inside && hasLineOfSight(shape.x, shape.y, centerX, centerY);
+    },
 
-    reset() {
-        this.x = 3 * TILE_SIZE;
-        this.y = 3 * TILE_SIZE;
-        this.level = 1;
-        this.xp = 0;
-        this.xpNeeded = 100;
+    /**
+     * Draw a warning that fills in as the wind-up completes
+     * @param {object} shape - Shape from createShape
+     * @param {number} progress - Wind-up progress, 0 to 1
+     */
+    draw(shape, progress) {
+        const color = TELEGRAPH_CONSTANTS.COLOR;
+        ctx.fillStyle = `rgba(${color}, ${TELEGRAPH_CONSTANTS.BASE_ALPHA + progress * TELEGRAPH_CONSTANTS.FILL_ALPHA})`;
+        ctx.strokeStyle = `rgba(${color}, 0.9)`;
+        ctx.lineWidth = 2;
 
-        // Reset base stats
-        this.baseMaxHealth = 100;
-        this.baseAttack = 10;
-        this.baseDefense = 5;
+        if (shape.type === 'circle') {
+            ctx.beginPath();
+            ctx.arc(shape.x, shape.y, shape.radius, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.beginPath();
+            ctx.arc(shape.x, shape.y, shape.radius * progress, 0, Math.PI * 2);
+            ctx.stroke();
+        } else if (shape.type === 'cone') {
+            ctx.beginPath();
+            ctx.moveTo(shape.x, shape.y);
+            ctx.arc(shape.x, shape.y, shape.range, shape.angle - shape.halfAngle, shape.angle + shape.halfAngle);
+            ctx.closePath();
+            ctx.fill();
+            ctx.beginPath();
+            ctx.arc(shape.x, shape.y, shape.range * progress, shape.angle - shape.halfAngle, shape.angle + shape.halfAngle);
+            ctx.stroke();
+        } else if (shape.type === 'line') {
+            const angle = Math.atan2(shape.endY - shape.y, shape.endX - shape.x);
+            const length = Math.hypot(shape.endX - shape.x, shape.endY - shape.y);
+            ctx.save();
+            ctx.translate(shape.x, shape.y);
+            ctx.rotate(angle);
+            ctx.fillRect(0, -shape.width / 2, length, shape.width);
+            ctx.strokeRect(0, -shape.width / 2, length * progress, shape.width);
+            ctx.restore();
+        }
+    },
 
-        // Reset attributes to starting values
-        this.attributes = {
-            strength: 5,
-            vitality: 5,
-            dexterity: 5,
-            intelligence: 5,
-            wisdom: 5,
-            luck: 5
-        };
+    /**
+     * Particles where an attack lands
+     * @param {object} shape - Shape from createShape
+     * @param {string} color - Particle colour
+     */
+    burst(shape, color) {
+        if (shape.type === 'circle') {
+            createParticles(shape.x, shape.y, color, 20);
+        } else if (shape.type === 'cone') {
+            createParticles(shape.x + Math.cos(shape.angle) * shape.range / 2, shape.y + Math.sin(shape.angle) * shape.range / 2, color, 15);
+        } else {
+            createParticles((shape.x + shape.endX) / 2, (shape.y + shape.endY) / 2, color, 10);
+            createParticles(shape.endX, shape.endY, color, 10);
+        }
+    }
+};
+
+/**
+ * DungeonGenerator - Seeded procedural dungeons in the roomTemplates shape
+ * The same seed always builds the same rooms: a random walk lays rooms out on a
+ * grid, neighbours are linked by doors both ways, and each room gets wall
+ * obstacles (kept from cutting the room apart), chests and enemy groups that get
+ * tougher with the room's depth (door steps from the start room). The deepest
+ * room holds the boss and its reward chest. The seed goes into the save so
+ * applySave can rebuild the same dungeon.
+ */
+const DungeonGenerator = {
+    MAX_SEED: 0xFFFFFFFF,
+    builtinRooms: null,     // The hand-made roomTemplates, kept for applySeed(null)
+
+    // Door placement per side: gap in the border, door tile inside it, entry tile past the door
+    SIDES: {
+        north: { dx: 0, dy: -1, opposite: 'south' },
+        south: { dx: 0, dy: 1, opposite: 'north' },
+        west: { dx: -1, dy: 0, opposite: 'east' },
+        east: { dx: 1, dy: 0, opposite: 'west' }
+    },
+
+    /**
+     * Turn user input into a seed: whole numbers are used as-is, other text is hashed
+     * @param {number|string} value - Seed input
+     * @returns {number} Unsigned 32-bit seed
+     */
+    normalizeSeed(value) {
+        const text = String(value).trim();
+        if (/^\d+$/.test(text) && Number(text) <= this.MAX_SEED) {
+            return Number(text);
+        }
 
-        // Reset attribute points
-        this.attributePoints = 0;
+        // FNV-1a
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    },
 
-        // Reset spell system (Phase 2)
-        this.unlockedSpells = ['magic_missile'];
-        this.hotbar = ['magic_missile', null, null, null, null, null, null, null];
+    randomSeed() {
+        return Math.floor(Math.random() * this.MAX_SEED);
+    },
 
-        // High #3 fix: Reset MagicManager cooldowns
-        MagicManager.reset();
+    /**
+     * Seeded random number generator (mulberry32) with helpers
+     * @param {number} seed - Unsigned 32-bit seed
+     * @returns {object} { next(), int(min, max), pick(array), chance(p) }
+     */
+    createRandom(seed) {
+        let state = seed >>> 0;
+        const next = () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+        return {
+            next: next,
+            int: (min, max) => min + Math.floor(next() * (max - min + 1)),
+            pick: array => array[Math.floor(next() * array.length)],
+            chance: p => next() < p
+        };
+    },
 
-        // Recalculate computed stats
-        this.updateComputedStats();
+    /**
+     * Switch the game to a generated dungeon, or back to the built-in rooms
+     * Callers reload a room afterwards (player.reset or applySave)
+     * @param {number|null} seed - Dungeon seed, null for the built-in rooms
+     */
+    applySeed(seed) {
+        if (!this.builtinRooms) {
+            this.builtinRooms = roomTemplates.slice();
+        }
 
-        // Full heal
-        this.health = this.maxHealth;
-        this.mana = this.maxMana;  // Full mana restoration (Phase 1)
+        const rooms = seed === null ? this.builtinRooms : this.generate(seed);
+        roomTemplates.length = 0;
+        roomTemplates.push(...rooms);
+        gameState.dungeonSeed = seed;
+    },
 
-        gameState.enemiesDefeated = 0;
-        gameState.chestsOpened = 0;
-        loadRoom(0, true); // Skip save on death/reset
+    /**
+     * Build a whole dungeon from a seed
+     * @param {number} seed - Unsigned 32-bit seed
+     * @param {number} roomCount - Rooms to build
+     * @returns {Array} Room templates (room 0 is the start)
+     */
+    generate(seed, roomCount = DUNGEON_CONSTANTS.ROOM_COUNT) {
+        const random = this.createRandom(seed);
+        const layout = this.layOutRooms(random, Math.max(1, roomCount));
+        const depths = this.measureDepths(layout);
+        const maxDepth = Math.max(...depths);
+        const bossRoom = layout.length >= DUNGEON_CONSTANTS.BOSS_MIN_ROOMS ? depths.indexOf(maxDepth) : -1;
+
+        const rooms = layout.map((node, index) => this.buildRoom(random, node, depths[index], index === bossRoom));
+        console.log(`[DungeonGenerator] Seed ${seed}: ${rooms.length} rooms, depth ${maxDepth}`);
+        return rooms;
+    },
 
-        // Delete save on death (start fresh)
-        SaveManager.deleteSave();
+    /**
+     * Random-walk rooms onto a grid and link neighbours with doors
+     * @returns {Array} Nodes: { gx, gy, links: { side: roomIndex } }
+     */
+    layOutRooms(random, roomCount) {
+        const nodes = [{ gx: 0, gy: 0, links: {} }];
+        const cells = new Map([['0,0', 0]]);
+        const sides = Object.keys(this.SIDES);
+
+        const link = (a, b, side) => {
+            nodes[a].links[side] = b;
+            nodes[b].links[this.SIDES[side].opposite] = a;
+        };
 
-        updateUI();
-    }
+        while (nodes.length < roomCount) {
+            const from = random.int(0, nodes.length - 1);
+            const side = random.pick(sides);
+            const gx = nodes[from].gx + this.SIDES[side].dx;
+            const gy = nodes[from].gy + this.SIDES[side].dy;
+            if (cells.has(`${gx},${gy}`)) continue;
 
-    draw() {
-        // Flash when invulnerable
-        if (this.invulnerable && Math.floor(gameState.gameTime / 5) % 2 === 0) {
-            ctx.globalAlpha = 0.5;
+            cells.set(`${gx},${gy}`, nodes.length);
+            nodes.push({ gx: gx, gy: gy, links: {} });
+            link(from, nodes.length - 1, side);
         }
 
-        // Body
-        ctx.fillStyle = '#4CAF50';
-        ctx.fillRect(this.x, this.y, this.width, this.height);
+        // Extra links between neighbours make loops
+        nodes.forEach((node, index) => {
+            sides.forEach(side => {
+                const neighbour = cells.get(`${node.gx + this.SIDES[side].dx},${node.gy + this.SIDES[side].dy}`);
+                if (neighbour === undefined || neighbour < index || node.links[side] !== undefined) return;
+                if (random.chance(DUNGEON_CONSTANTS.EXTRA_CONNECTION_CHANCE)) {
+                    link(index, neighbour, side);
+                }
+            });
+        });
 
-        // Face direction indicator
-        ctx.fillStyle = '#FFD700';
-        const centerX = this.x + this.width / 2;
-        const centerY = this.y + this.height / 2;
-        const indicatorSize = 6;
+        return nodes;
+    },
 
-        switch(this.direction) {
-            case 0: // down
-                ctx.fillRect(centerX - 3, this.y + this.height - 8, 6, 4);
-                break;
-            case 1: // right
-                ctx.fillRect(this.x + this.width - 8, centerY - 3, 4, 6);
-                break;
-            case 2: // up
-                ctx.fillRect(centerX - 3, this.y + 4, 6, 4);
-                break;
-            case 3: // left
-                ctx.fillRect(this.x + 4, centerY - 3, 4, 6);
-                break;
+    /**
+     * Door steps from room 0 to every room (breadth-first)
+     * @returns {number[]} Depth per room
+     */
+    measureDepths(nodes) {
+        const depths = nodes.map(() => Infinity);
+        const queue = [0];
+        depths[0] = 0;
+
+        while (queue.length > 0) {
+            const index = queue.shift();
+            Object.values(nodes[index].links).forEach(next => {
+                if (depths[next] === Infinity) {
+                    depths[next] = depths[index] + 1;
+                    queue.push(next);
+                }
+            });
         }
+        return depths;
+    },
 
-        // Attack indicator
-        if (this.isAttacking) {
-            ctx.strokeStyle = '#ff0000';
-            ctx.lineWidth = 3;
-            ctx.beginPath();
-            ctx.arc(centerX, centerY, this.attackRange, 0, Math.PI * 2);
-            ctx.stroke();
+    /**
+     * Border tile of the gap, door tile and entry tile for a door on one side
+     */
+    placeDoor(random, side) {
+        const x = random.int(3, GRID_WIDTH - 4);
+        const y = random.int(3, GRID_HEIGHT - 4);
+        switch (side) {
+            case 'north': return { gap: { x: x, y: 0 }, door: { x: x, y: 1 }, entry: { x: x, y: 2 } };
+            case 'south': return { gap: { x: x, y: GRID_HEIGHT - 1 }, door: { x: x, y: GRID_HEIGHT - 2 }, entry: { x: x, y: GRID_HEIGHT - 3 } };
+            case 'west': return { gap: { x: 0, y: y }, door: { x: 1, y: y }, entry: { x: 2, y: y } };
+            default: return { gap: { x: GRID_WIDTH - 1, y: y }, door: { x: GRID_WIDTH - 2, y: y }, entry: { x: GRID_WIDTH - 3, y: y } };
         }
+    },
 
-        ctx.globalAlpha = 1;
-    }
-}
-
-// Enemy Class
-class Enemy {
-    constructor(x, y, type = 'basic') {
-        this.x = x;
-        this.y = y;
-        this.width = 30;
-        this.height = 30;
-        this.speed = 1.5;
-        this.type = type;
+    /**
+     * Build one room template
+     * @param {object} random - Seeded random helpers
+     * @param {object} node - Layout node with its door links
+     * @param {number} depth - Door steps from the start room
+     * @param {boolean} isBossRoom - Holds the boss and its reward chest
+     * @returns {object} Room template
+     */
+    buildRoom(random, node, depth, isBossRoom) {
+        const blocked = new Uint8Array(GRID_WIDTH * GRID_HEIGHT);
+        const reserved = new Uint8Array(GRID_WIDTH * GRID_HEIGHT);
+        const index = (x, y) => y * GRID_WIDTH + x;
+        const reserve = (x, y, radius) => {
+            for (let dx = -radius; dx <= radius; dx++) {
+                for (let dy = -radius; dy <= radius; dy++) {
+                    const tx = x + dx;
+                    const ty = y + dy;
+                    if (tx >= 0 && ty >= 0 && tx < GRID_WIDTH && ty < GRID_HEIGHT) reserved[index(tx, ty)] = 1;
+                }
+            }
+        };
 
-        if (type === 'basic') {
-            this.maxHealth = 30;
-            this.health = 30;
-            this.attack = 8;
-            this.defense = 2;
-            this.xpReward = 25;
-            this.color = '#ff6b6b';
-        } else if (type === 'strong') {
-            this.maxHealth = 60;
-            this.health = 60;
-            this.attack = 15;
-            this.defense = 5;
-            this.xpReward = 50;
-            this.color = '#8b0000';
-        }
-
-        this.aggroRange = 200;
-        this.attackRange = 35;
-        this.attackCooldown = 0;        // Milliseconds remaining (time-based)
-        this.isDead = false;
-        this.moveTimer = 0;
+        // Border walls
+        for (let x = 0; x < GRID_WIDTH; x++) {
+            blocked[index(x, 0)] = 1;
+            blocked[index(x, GRID_HEIGHT - 1)] = 1;
+        }
+        for (let y = 0; y < GRID_HEIGHT; y++) {
+            blocked[index(0, y)] = 1;
+            blocked[index(GRID_WIDTH - 1, y)] = 1;
+        }
 
-        // Status effects (Phase 0)
-        this.slowMultiplier = 1.0;      // 1.0 = normal speed, 0.5 = 50% slow
-        this.slowEndTime = 0;           // Timestamp when slow expires (ms)
-    }
+        // Doors (gaps in the border) and the entries that face them
+        const doors = [];
+        const entries = [];
+        Object.keys(node.links).forEach(side => {
+            const placement = this.placeDoor(random, side);
+            blocked[index(placement.gap.x, placement.gap.y)] = 0;
+            doors.push({ x: placement.door.x, y: placement.door.y, toRoom: node.links[side] });
+            entries.push({ x: placement.entry.x, y: placement.entry.y, fromRoom: node.links[side] });
+            reserve(placement.door.x, placement.door.y, 1);
+            reserve(placement.entry.x, placement.entry.y, 1);
+        });
 
-    update(player) {
-        if (this.isDead) return;
+        // Default entry (new game, respawn): the start room's middle, or the first door's entry
+        const start = depth === 0 ? { x: Math.floor(GRID_WIDTH / 2), y: Math.floor(GRID_HEIGHT / 2) } : entries[0];
+        entries.push({ x: start.x, y: start.y });
+        reserve(start.x, start.y, 1);
+
+        this.placeObstacles(random, blocked, reserved, entries[0] || start);
+
+        // Free floor tiles, handed out to chests and enemies
+        const taken = new Set();
+        const isFree = (x, y) => x > 0 && y > 0 && x < GRID_WIDTH - 1 && y < GRID_HEIGHT - 1 &&
+            !blocked[index(x, y)] && !reserved[index(x, y)] && !taken.has(index(x, y));
+        const farFromEntries = (x, y, distance) =>
+            entries.every(entry => Math.max(Math.abs(entry.x - x), Math.abs(entry.y - y)) >= distance);
+        const findTile = (test) => {
+            for (let i = 0; i < DUNGEON_CONSTANTS.PLACE_ATTEMPTS; i++) {
+                const x = random.int(1, GRID_WIDTH - 2);
+                const y = random.int(1, GRID_HEIGHT - 2);
+                if (isFree(x, y) && test(x, y)) {
+                    taken.add(index(x, y));
+                    return { x: x, y: y };
+                }
+            }
+            return null;
+        };
 
-        // Check if slow has expired
-        if (performance.now() >= this.slowEndTime) {
-            this.slowMultiplier = 1.0;
+        const chests = [];
+        const chestCount = random.int(DUNGEON_CONSTANTS.CHESTS[0], DUNGEON_CONSTANTS.CHESTS[1]);
+        for (let i = 0; i < chestCount; i++) {
+            const tile = findTile((x, y) => farFromEntries(x, y, 3));
+            if (tile) chests.push({ x: tile.x, y: tile.y, opened: false });
         }
 
-        // Apply time scale AND slow effect
-        const scaledDelta = gameState.deltaTime * gameState.timeScale;
-        // this.speed is in pixels per frame @ 60 FPS baseline
-        const baseSpeed = this.speed * (scaledDelta / BASELINE_FRAME_TIME);
-        const moveSpeed = baseSpeed * this.slowMultiplier;
-
-        const dx = (player.x + player.width / 2) - (this.x + this.width / 2);
-        const dy = (player.y + player.height / 2) - (this.y + this.height / 2);
-        const distance = Math.sqrt(dx * dx + dy * dy);
+        const enemies = this.placeEnemies(random, depth, findTile, farFromEntries);
 
-        if (distance < this.aggroRange) {
-            // Move towards player
-            if (distance > this.attackRange) {
-                const angle = Math.atan2(dy, dx);
-                const newX = this.x + Math.cos(angle) * moveSpeed;
-                const newY = this.y + Math.sin(angle) * moveSpeed;
+        if (isBossRoom) {
+            const tile = findTile((x, y) => farFromEntries(x, y, DUNGEON_CONSTANTS.SAFE_DISTANCE + 2) &&
+                isFree(x + 1, y) && isFree(x, y + 1) && isFree(x + 1, y + 1));
+            if (tile) {
+                enemies.push({ x: tile.x * TILE_SIZE, y: tile.y * TILE_SIZE, type: DUNGEON_CONSTANTS.BOSS_TYPE });
+                const rewardTile = findTile((x, y) => farFromEntries(x, y, 3));
+                if (rewardTile) chests.push({ x: rewardTile.x, y: rewardTile.y, opened: false, bossReward: true });
+            }
+        }
 
-                if (!this.checkWallCollision(newX, this.y)) {
-                    this.x = newX;
-                }
-                if (!this.checkWallCollision(this.x, newY)) {
-                    this.y = newY;
-                }
-            } else {
-                // Attack
-                this.tryAttack(player);
+        const walls = [];
+        for (let y = 0; y < GRID_HEIGHT; y++) {
+            for (let x = 0; x < GRID_WIDTH; x++) {
+                if (blocked[index(x, y)]) walls.push({ x: x, y: y });
             }
         }
 
-        // Update cooldown (time-based, not affected by timeScale)
-        if (this.attackCooldown > 0) {
-            this.attackCooldown = Math.max(0, this.attackCooldown - gameState.deltaTime);
+        const room = { level: depth + 1, walls: walls, doors: doors, entries: entries, chests: chests, enemies: enemies };
+        if (!isBossRoom) {
+            room.respawnTime = DUNGEON_CONSTANTS.RESPAWN_TIME;
         }
-    }
+        return room;
+    },
 
-    checkWallCollision(x, y) {
-        const gridX = Math.floor(x / TILE_SIZE);
-        const gridY = Math.floor(y / TILE_SIZE);
-        const gridX2 = Math.floor((x + this.width) / TILE_SIZE);
-        const gridY2 = Math.floor((y + this.height) / TILE_SIZE);
+    /**
+     * Add wall segments, undoing any that would cut off part of the floor
+     */
+    placeObstacles(random, blocked, reserved, from) {
+        const count = random.int(DUNGEON_CONSTANTS.OBSTACLES[0], DUNGEON_CONSTANTS.OBSTACLES[1]);
+        let placed = 0;
+
+        for (let attempt = 0; attempt < DUNGEON_CONSTANTS.OBSTACLE_ATTEMPTS && placed < count; attempt++) {
+            const horizontal = random.chance(0.5);
+            const length = random.int(DUNGEON_CONSTANTS.OBSTACLE_LENGTH[0], DUNGEON_CONSTANTS.OBSTACLE_LENGTH[1]);
+            const startX = random.int(2, GRID_WIDTH - 3);
+            const startY = random.int(2, GRID_HEIGHT - 3);
+
+            const tiles = [];
+            for (let i = 0; i < length; i++) {
+                const x = horizontal ? startX + i : startX;
+                const y = horizontal ? startY : startY + i;
+                if (x >= GRID_WIDTH - 2 || y >= GRID_HEIGHT - 2) break;
+                const tileIndex = y * GRID_WIDTH + x;
+                if (blocked[tileIndex] || reserved[tileIndex]) break;
+                tiles.push(tileIndex);
+            }
+            if (tiles.length < DUNGEON_CONSTANTS.OBSTACLE_LENGTH[0]) continue;
 
-        for (let wall of gameState.walls) {
-            if ((wall.x === gridX && wall.y === gridY) ||
-                (wall.x === gridX2 && wall.y === gridY) ||
-                (wall.x === gridX && wall.y === gridY2) ||
-                (wall.x === gridX2 && wall.y === gridY2)) {
-                return true;
+            tiles.forEach(tileIndex => { blocked[tileIndex] = 1; });
+            if (this.isFloorConnected(blocked, from)) {
+                placed++;
+            } else {
+                tiles.forEach(tileIndex => { blocked[tileIndex] = 0; });
             }
         }
-        return false;
-    }
+    },
 
     /**
-     * Attempt to attack the player
-     * Checks dodge chance before applying damage
-     * @param {Player} player - The player to attack
+     * Whether every floor tile can be reached from a tile (4-way flood fill)
      */
-    tryAttack(player) {
-        if (this.attackCooldown === 0) {
-            // Set cooldown before dodge check so enemy's turn is consumed even if dodged
-            this.attackCooldown = ENEMY_ATTACK_COOLDOWN;
+    isFloorConnected(blocked, from) {
+        const seen = new Uint8Array(blocked.length);
+        const stack = [from.y * GRID_WIDTH + from.x];
+        seen[stack[0]] = 1;
+        let reached = 0;
+
+        while (stack.length > 0) {
+            const tileIndex = stack.pop();
+            reached++;
+            const x = tileIndex % GRID_WIDTH;
+            const y = Math.floor(tileIndex / GRID_WIDTH);
+            for (let [dx, dy] of PATHFINDING_CONSTANTS.NEIGHBOURS) {
+                const nx = x + dx;
+                const ny = y + dy;
+                if (nx < 0 || ny < 0 || nx >= GRID_WIDTH || ny >= GRID_HEIGHT) continue;
+                const next = ny * GRID_WIDTH + nx;
+                if (seen[next] || blocked[next]) continue;
+                seen[next] = 1;
+                stack.push(next);
+            }
+        }
 
-            // Check if player dodges the attack
-            const dodgeChance = Math.max(0, Math.min(1, player.dodgeChance || 0));
-            if (Math.random() < dodgeChance) {
-                showMessage('Dodged!');
-                createParticles(player.x + player.width / 2, player.y + player.height / 2, DODGE_PARTICLE_COLOR, 8);
-                return;
+        const floor = blocked.reduce((sum, wall) => sum + (wall ? 0 : 1), 0);
+        return reached === floor;
+    },
+
+    /**
+     * Enemy groups for a room; deeper rooms get more groups and tougher types
+     * Elite rolls are made here so the seed decides them too
+     * @returns {Array} Enemy entries ({ x, y, type, elite } in pixels)
+     */
+    placeEnemies(random, depth, findTile, farFromEntries) {
+        const pools = DUNGEON_CONSTANTS.ENEMY_POOLS;
+        const pool = pools[Math.min(depth, pools.length - 1)];
+        const groups = random.int(DUNGEON_CONSTANTS.ENEMY_GROUPS[0], DUNGEON_CONSTANTS.ENEMY_GROUPS[1]) +
+            Math.floor(depth * DUNGEON_CONSTANTS.GROUPS_PER_DEPTH);
+        const enemies = [];
+
+        for (let g = 0; g < groups; g++) {
+            const center = findTile((x, y) => farFromEntries(x, y, DUNGEON_CONSTANTS.SAFE_DISTANCE));
+            if (!center) continue;
+
+            const size = random.int(DUNGEON_CONSTANTS.GROUP_SIZE[0], DUNGEON_CONSTANTS.GROUP_SIZE[1]);
+            const tiles = [center];
+            for (let i = 1; i < size; i++) {
+                const tile = findTile((x, y) => Math.abs(x - center.x) <= 2 && Math.abs(y - center.y) <= 2 &&
+                    farFromEntries(x, y, DUNGEON_CONSTANTS.SAFE_DISTANCE));
+                if (tile) tiles.push(tile);
             }
 
-            player.takeDamage(this.attack);
+            tiles.forEach(tile => {
+                enemies.push({
+                    x: tile.x * TILE_SIZE,
+                    y: tile.y * TILE_SIZE,
+                    type: random.pick(pool),
+                    elite: this.rollElite(random, depth + 1)
+                });
+            });
         }
-    }
+        return enemies;
+    },
 
-    takeDamage(damage) {
-        this.health -= damage;
-        if (this.health <= 0) {
-            this.health = 0;
-            this.die();
+    /**
+     * Seeded version of rollEliteAffixes
+     * @returns {Array|boolean} Affix ids, or false for a normal enemy
+     */
+    rollElite(random, level) {
+        if (!random.chance(ELITE_CONSTANTS.CHANCE)) return false;
+
+        const pool = Object.keys(ELITE_AFFIXES);
+        const count = level >= ELITE_CONSTANTS.SECOND_AFFIX_LEVEL ? 2 : 1;
+        const affixes = [];
+        while (affixes.length < count && pool.length > 0) {
+            affixes.push(pool.splice(Math.floor(random.next() * pool.length), 1)[0]);
         }
+        return affixes;
     }
+};
 
-    die() {
-        this.isDead = true;
-        gameState.enemiesDefeated++;
-        player.gainXP(this.xpReward);
-        createParticles(this.x + this.width / 2, this.y + this.height / 2, this.color, 15);
-        updateUI();
+/**
+ * RoomEditor - Paint and place room contents on the grid, in the browser
+ * Toggled with ROOM_EDITOR_CONSTANTS.TOGGLE_KEY. The game is frozen while the
+ * editor is open; it works on a copy of the current room's template, drawn with
+ * the normal viewport (wheel/pinch zoom, touch drag or arrow keys/WASD to pan).
+ * Test Play puts the copy into roomTemplates and reloads the room, and rooms go
+ * in and out as JSON in the roomTemplates shape. Edits last until the page is
+ * reloaded - export them to keep them.
+ */
+const RoomEditor = {
+    active: false,
+    tool: 'wall',
+    enemyType: 'basic',
+    doorTarget: 0,          // Room index new doors lead to
+    roomIndex: 0,           // Room being edited
+    room: null,             // Working copy of its template
+    liveSize: null,         // { width, height } of the loaded room, restored on close
+    lastPaintKey: null,     // Tile last painted by a drag, so a drag doesn't repaint every event
+
+    toggle() {
+        if (this.active) {
+            this.close();
+        } else {
+            this.open();
+        }
+    },
 
-        // Auto-select next enemy if killed target dies
-        if (gameState.selectedEnemy === this) {
-            const index = gameState.enemies.indexOf(this);
-            if (index > -1) {
-                gameState.enemies.splice(index, 1);
-            }
-            // Select nearest remaining enemy
-            if (gameState.enemies.length > 0) {
-                selectNearestEnemy();
-            } else {
-                gameState.selectedEnemy = null;
+    open() {
+        if (MagicManager.state.targetingActive) {
+            MagicManager.cancelTargeting();
+        }
+        MagicManager.cancelCasting();
+
+        this.active = true;
+        this.roomIndex = gameState.currentRoom;
+        this.room = this.cloneRoom(roomTemplates[this.roomIndex]);
+        this.liveSize = { width: gameState.roomWidth, height: gameState.roomHeight };
+        this.doorTarget = Math.min(this.doorTarget, roomTemplates.length - 1);
+        this.applySize();
+        viewport.followPlayer = false;
+
+        this.setPanelVisible(true);
+        this.syncPanel();
+        showMessage(`Editing room ${this.roomIndex + 1} - press ${ROOM_EDITOR_CONSTANTS.TOGGLE_KEY} to close`);
+    },
+
+    close() {
+        this.active = false;
+        gameState.roomWidth = this.liveSize.width;
+        gameState.roomHeight = this.liveSize.height;
+        gameState.keys = {};
+        viewport.followPlayer = true;
+        this.setPanelVisible(false);
+    },
+
+    setPanelVisible(visible) {
+        const panel = document.getElementById('room-editor');
+        if (!panel) return;
+        panel.classList.toggle('hidden', !visible);
+        panel.setAttribute('aria-hidden', visible ? 'false' : 'true');
+    },
+
+    /**
+     * Fill the panel inputs from the editor state (see setupRoomEditor)
+     */
+    syncPanel() {
+        document.querySelectorAll('.room-editor-tool').forEach(button => {
+            button.classList.toggle('active', button.dataset.tool === this.tool);
+        });
+        const fields = {
+            'room-editor-enemy': this.enemyType,
+            'room-editor-door-target': this.doorTarget + 1,
+            'room-editor-width': this.room.width,
+            'room-editor-height': this.room.height
+        };
+        Object.keys(fields).forEach(id => {
+            const input = document.getElementById(id);
+            if (input) input.value = fields[id];
+        });
+        const title = document.getElementById('room-editor-title');
+        if (title) title.textContent = `🛠️ Room ${this.roomIndex + 1}`;
+    },
+
+    setTool(tool) {
+        if (!ROOM_EDITOR_CONSTANTS.TOOLS.includes(tool)) return;
+        this.tool = tool;
+        this.syncPanel();
+    },
+
+    /**
+     * Deep copy of a room template with its size filled in
+     * @param {object} room - Room in the roomTemplates shape
+     * @returns {object}
+     */
+    cloneRoom(room) {
+        const copy = JSON.parse(JSON.stringify(room));
+        copy.width = room.width || GRID_WIDTH;
+        copy.height = room.height || GRID_HEIGHT;
+        ['walls', 'doors', 'entries', 'chests', 'enemies'].forEach(key => {
+            copy[key] = copy[key] || [];
+        });
+        return copy;
+    },
+
+    // Camera clamping and the floor follow the room being edited
+    applySize() {
+        gameState.roomWidth = this.room.width;
+        gameState.roomHeight = this.room.height;
+        clampPanOffset();
+    },
+
+    /**
+     * Tile under a world position, or null outside the room
+     * @returns {object|null} { x, y }
+     */
+    tileAt(worldX, worldY) {
+        const x = Math.floor(worldX / TILE_SIZE);
+        const y = Math.floor(worldY / TILE_SIZE);
+        if (x < 0 || y < 0 || x >= this.room.width || y >= this.room.height) return null;
+        return { x: x, y: y };
+    },
+
+    // Template enemies are stored in pixels, everything else in tiles
+    isOnTile(item, x, y, inPixels) {
+        return inPixels
+            ? Math.floor(item.x / TILE_SIZE) === x && Math.floor(item.y / TILE_SIZE) === y
+            : item.x === x && item.y === y;
+    },
+
+    /**
+     * Remove everything on a tile
+     */
+    clearTile(x, y) {
+        ['walls', 'doors', 'entries', 'chests', 'spawners'].forEach(key => {
+            if (this.room[key]) {
+                this.room[key] = this.room[key].filter(item => !this.isOnTile(item, x, y, false));
             }
+        });
+        this.room.enemies = this.room.enemies.filter(enemy => !this.isOnTile(enemy, x, y, true));
+    },
+
+    /**
+     * Use the current tool on the tile under a screen position (click, tap or drag)
+     * @param {number} clientX - Pointer X (client coordinates)
+     * @param {number} clientY - Pointer Y (client coordinates)
+     * @param {boolean} dragging - Part of a drag (only the paint tools repeat)
+     */
+    useToolAt(clientX, clientY, dragging = false) {
+        const worldPos = screenToWorld(clientX, clientY);
+        const tile = this.tileAt(worldPos.x, worldPos.y);
+        if (!tile) return;
+
+        if (dragging) {
+            const key = `${tile.x},${tile.y}`;
+            if (!['wall', 'erase'].includes(this.tool) || key === this.lastPaintKey) return;
+            this.lastPaintKey = key;
         } else {
-            const index = gameState.enemies.indexOf(this);
-            if (index > -1) {
-                gameState.enemies.splice(index, 1);
-            }
+            this.lastPaintKey = null;
         }
-    }
 
-    draw() {
-        if (this.isDead) return;
+        // Each tile holds one thing, so placing replaces whatever was there
+        this.clearTile(tile.x, tile.y);
+        switch (this.tool) {
+            case 'wall':
+                this.room.walls.push({ x: tile.x, y: tile.y });
+                break;
+            case 'door':
+                this.room.doors.push({ x: tile.x, y: tile.y, toRoom: this.doorTarget });
+                break;
+            case 'chest':
+                this.room.chests.push({ x: tile.x, y: tile.y, opened: false });
+                break;
+            case 'enemy':
+                this.room.enemies.push({ x: tile.x * TILE_SIZE, y: tile.y * TILE_SIZE, type: this.enemyType });
+                break;
+            case 'entry':
+                this.room.entries.push({ x: tile.x, y: tile.y });
+                break;
+        }
+    },
 
-        // Draw selection indicator if this enemy is targeted
-        if (gameState.selectedEnemy === this) {
-            // Check if enemy is in attack range (using squared distance for performance)
-            const playerCenterX = player.x + player.width / 2;
-            const playerCenterY = player.y + player.height / 2;
-            const enemyCenterX = this.x + this.width / 2;
-            const enemyCenterY = this.y + this.height / 2;
-            const distanceSquared = getDistanceSquared(playerCenterX, playerCenterY, enemyCenterX, enemyCenterY);
-            const attackRangeSquared = (player.attackRange + this.width / 2) * (player.attackRange + this.width / 2);
-            const inRange = distanceSquared <= attackRangeSquared;
+    /**
+     * Change the room size, dropping anything that ends up outside it
+     * @returns {boolean} True if the size was valid
+     */
+    resize(width, height) {
+        const { MIN_SIZE, MAX_SIZE } = ROOM_EDITOR_CONSTANTS;
+        if (!Number.isInteger(width) || !Number.isInteger(height) ||
+            width < MIN_SIZE || height < MIN_SIZE || width > MAX_SIZE || height > MAX_SIZE) {
+            showMessage(`Room size must be ${MIN_SIZE}-${MAX_SIZE} tiles`);
+            return false;
+        }
+
+        this.room.width = width;
+        this.room.height = height;
+        const inside = (x, y) => x < width && y < height;
+        ['walls', 'doors', 'entries', 'chests', 'spawners'].forEach(key => {
+            if (this.room[key]) {
+                this.room[key] = this.room[key].filter(item => inside(item.x, item.y));
+            }
+        });
+        this.room.enemies = this.room.enemies.filter(enemy => inside(Math.floor(enemy.x / TILE_SIZE), Math.floor(enemy.y / TILE_SIZE)));
+        this.applySize();
+        showMessage(`Room resized to ${width}x${height}`);
+        return true;
+    },
 
-            // Color-code: Gold (in range), Orange (out of range)
-            const indicatorColor = inRange ? '#FFD700' : '#FFA500';
+    /**
+     * Check a room in the roomTemplates shape
+     * @param {object} room - Room to check
+     * @returns {string[]} Error messages (empty if valid)
+     */
+    validateRoom(room) {
+        if (!room || typeof room !== 'object' || Array.isArray(room)) {
+            return ['Room must be an object'];
+        }
 
-            // Border outline
-            ctx.strokeStyle = indicatorColor;
-            ctx.lineWidth = 3;
-            ctx.strokeRect(this.x - 2, this.y - 2, this.width + 4, this.height + 4);
+        const errors = [];
+        const { MIN_SIZE, MAX_SIZE } = ROOM_EDITOR_CONSTANTS;
+        const width = room.width === undefined ? GRID_WIDTH : room.width;
+        const height = room.height === undefined ? GRID_HEIGHT : room.height;
+        if (!Number.isInteger(width) || !Number.isInteger(height) ||
+            width < MIN_SIZE || height < MIN_SIZE || width > MAX_SIZE || height > MAX_SIZE) {
+            return [`width and height must be whole numbers from ${MIN_SIZE} to ${MAX_SIZE}`];
+        }
 
-            // Targeting chevron above enemy
-            ctx.fillStyle = indicatorColor;
-            ctx.beginPath();
-            ctx.moveTo(this.x + this.width / 2, this.y - 10);
-            ctx.lineTo(this.x + this.width / 2 - 5, this.y - 5);
-            ctx.lineTo(this.x + this.width / 2 + 5, this.y - 5);
-            ctx.fill();
+        const isTile = (item) => !!item && Number.isInteger(item.x) && Number.isInteger(item.y) &&
+            item.x >= 0 && item.y >= 0 && item.x < width && item.y < height;
+        const isRoom = (index) => Number.isInteger(index) && index >= 0 && index < roomTemplates.length;
 
-            // Range indicator text (optional - shows exact distance)
-            if (!inRange) {
-                const distance = Math.round(Math.sqrt(distanceSquared));
-                ctx.fillStyle = '#FFA500';
-                ctx.font = '10px Arial';
-                ctx.textAlign = 'center';
-                ctx.fillText(`${distance}px`, this.x + this.width / 2, this.y - 15);
+        ['walls', 'doors', 'entries', 'chests', 'enemies'].forEach(key => {
+            if (!Array.isArray(room[key])) {
+                errors.push(`"${key}" must be an array`);
+            }
+        });
+        if (errors.length > 0) return errors;
+
+        ['walls', 'doors', 'entries', 'chests'].forEach(key => {
+            room[key].forEach((item, index) => {
+                if (!isTile(item)) errors.push(`${key}[${index}] must be a tile inside the room`);
+            });
+        });
+        room.doors.forEach((door, index) => {
+            if (!isRoom(door.toRoom)) {
+                errors.push(`doors[${index}].toRoom must be a room index from 0 to ${roomTemplates.length - 1}`);
+            }
+        });
+        room.entries.forEach((entry, index) => {
+            if (entry.fromRoom !== undefined && !isRoom(entry.fromRoom)) {
+                errors.push(`entries[${index}].fromRoom must be a room index from 0 to ${roomTemplates.length - 1}`);
+            }
+        });
+        room.enemies.forEach((enemy, index) => {
+            if (!enemy || !ENEMY_ARCHETYPES[enemy.type]) {
+                errors.push(`enemies[${index}] has unknown type ${JSON.stringify(enemy && enemy.type)}`);
+            } else if (!isTile({ x: Math.floor(enemy.x / TILE_SIZE), y: Math.floor(enemy.y / TILE_SIZE) })) {
+                errors.push(`enemies[${index}] must be inside the room (x and y are in pixels)`);
+            }
+        });
+        if (room.spawners !== undefined) {
+            if (!Array.isArray(room.spawners)) {
+                errors.push('"spawners" must be an array');
+            } else {
+                room.spawners.forEach((spawner, index) => {
+                    if (!isTile(spawner)) {
+                        errors.push(`spawners[${index}] must be a tile inside the room`);
+                        return;
+                    }
+                    if (!Array.isArray(spawner.pool) || spawner.pool.length === 0) {
+                        errors.push(`spawners[${index}].pool must be a non-empty array of enemy types`);
+                    } else {
+                        spawner.pool.forEach((entry, poolIndex) => {
+                            const type = typeof entry === 'string' ? entry : entry && entry.type;
+                            const archetype = ENEMY_ARCHETYPES[type];
+                            if (!archetype || archetype.boss) {
+                                errors.push(`spawners[${index}].pool[${poolIndex}] has unknown or boss type ${JSON.stringify(type)}`);
+                            } else if (typeof entry !== 'string' && entry.weight !== undefined &&
+                                !(typeof entry.weight === 'number' && entry.weight > 0)) {
+                                errors.push(`spawners[${index}].pool[${poolIndex}].weight must be a positive number`);
+                            }
+                        });
+                    }
+                    ['interval', 'maxAlive'].forEach(key => {
+                        if (spawner[key] !== undefined && !(Number.isFinite(spawner[key]) && spawner[key] > 0)) {
+                            errors.push(`spawners[${index}].${key} must be a positive number`);
+                        }
+                    });
+                });
             }
         }
+        if (room.respawnTime !== undefined && !(Number.isFinite(room.respawnTime) && room.respawnTime > 0)) {
+            errors.push('respawnTime must be a positive number of milliseconds');
+        }
+        if (room.entries.length === 0) {
+            errors.push('room needs at least one entry (player start)');
+        }
+        return errors;
+    },
 
-        // Visual indicator for slowed enemies (Phase 0)
-        if (this.slowMultiplier < 1.0) {
-            ctx.fillStyle = '#00bfff'; // Blue/frozen color
-        } else {
-            ctx.fillStyle = this.color;
+    /**
+     * The working room as JSON, one wall/door/enemy per line
+     * @returns {string}
+     */
+    exportJson() {
+        const lines = Object.keys(this.room).map(key => {
+            const value = this.room[key];
+            if (Array.isArray(value) && value.length > 0) {
+                return `    "${key}": [\n${value.map(item => '        ' + JSON.stringify(item)).join(',\n')}\n    ]`;
+            }
+            return `    "${key}": ${JSON.stringify(value)}`;
+        });
+        return `{\n${lines.join(',\n')}\n}`;
+    },
+
+    /**
+     * Replace the working room with one from JSON
+     * @param {string} text - Room in the roomTemplates shape
+     * @returns {boolean} True if it was valid and loaded
+     */
+    importJson(text) {
+        let room;
+        try {
+            room = JSON.parse(text);
+        } catch (e) {
+            showMessage(`Import failed - not valid JSON (${e.message})`);
+            return false;
         }
-        ctx.fillRect(this.x, this.y, this.width, this.height);
 
-        // Eyes
-        ctx.fillStyle = '#fff';
-        ctx.fillRect(this.x + 8, this.y + 10, 5, 5);
-        ctx.fillRect(this.x + 17, this.y + 10, 5, 5);
+        const errors = this.validateRoom(room);
+        if (errors.length > 0) {
+            console.error(`[RoomEditor] Import rejected (${errors.length} ${errors.length === 1 ? 'error' : 'errors'}):`);
+            errors.forEach(error => console.error(`  - ${error}`));
+            showMessage(`Import failed - ${errors[0]}`);
+            return false;
+        }
 
-        // Health bar
-        const barWidth = this.width;
-        const barHeight = 4;
-        const healthPercent = this.health / this.maxHealth;
+        this.room = this.cloneRoom(room);
+        this.applySize();
+        this.syncPanel();
+        showMessage('Room imported');
+        return true;
+    },
 
-        ctx.fillStyle = '#333';
-        ctx.fillRect(this.x, this.y - 8, barWidth, barHeight);
+    /**
+     * Put the working room into the game and play it from its entry
+     * @returns {boolean} True if the room was valid
+     */
+    testPlay() {
+        const errors = this.validateRoom(this.room);
+        if (errors.length > 0) {
+            errors.forEach(error => console.error(`[RoomEditor] ${error}`));
+            showMessage(`Can't play - ${errors[0]}`);
+            return false;
+        }
 
-        ctx.fillStyle = healthPercent > 0.5 ? '#4CAF50' : healthPercent > 0.25 ? '#FFC107' : '#F44336';
-        ctx.fillRect(this.x, this.y - 8, barWidth * healthPercent, barHeight);
-    }
-}
+        const roomIndex = this.roomIndex;
+        const previous = {
+            template: roomTemplates[roomIndex],
+            roomState: gameState.roomStates[roomIndex],
+            roomItems: gameState.roomItems[roomIndex],
+            bossStates: { ...gameState.bossStates },
+            enemies: gameState.enemies,
+            currentRoom: gameState.currentRoom
+        };
+        roomTemplates[roomIndex] = this.cloneRoom(this.room);
 
-// Particle Class
-class Particle {
-    constructor(x, y, color) {
-        this.x = x;
-        this.y = y;
-        this.velocityX = (Math.random() - 0.5) * 5;
-        this.velocityY = (Math.random() - 0.5) * 5;
-        this.life = 30;
-        this.maxLife = 30;
-        this.color = color;
-        this.size = Math.random() * 3 + 2;
-    }
+        // The room's remembered state refers to the old layout
+        delete gameState.roomStates[roomIndex];
+        delete gameState.roomItems[roomIndex];
+        Object.keys(gameState.bossStates).forEach(key => {
+            if (key.startsWith(`${roomIndex}:`)) delete gameState.bossStates[key];
+        });
 
-    // Reset method for particle pooling (Phase 0)
-    reset(x, y, color) {
-        this.x = x;
-        this.y = y;
-        this.color = color;
-        this.velocityX = (Math.random() - 0.5) * 5;
-        this.velocityY = (Math.random() - 0.5) * 5;
-        this.size = Math.random() * 3 + 2;
-        this.life = this.maxLife; // Reset to full life
-    }
+        this.close();
+        gameState.enemies = []; // Don't record the old layout's bosses on the way out
+        try {
+            loadRoom(roomIndex, true);
+        } catch (error) {
+            // Put the old layout and its state back and return to where the player was
+            console.error(`[RoomEditor] Test play of room ${roomIndex} failed, restoring the previous layout:`, error);
+            roomTemplates[roomIndex] = previous.template;
+            if (previous.roomState !== undefined) gameState.roomStates[roomIndex] = previous.roomState;
+            if (previous.roomItems !== undefined) gameState.roomItems[roomIndex] = previous.roomItems;
+            gameState.bossStates = previous.bossStates;
+            gameState.enemies = previous.enemies;
+            loadRoom(previous.currentRoom, true);
+            showMessage(`Can't play - ${error.message}`);
+            return false;
+        }
+        showMessage(`Test playing room ${roomIndex + 1} - press ${ROOM_EDITOR_CONSTANTS.TOGGLE_KEY} to edit again`);
+        return true;
+    },
 
+    /**
+     * Pan with the movement keys (once per frame while open)
+     */
     update() {
-        this.x += this.velocityX;
-        this.y += this.velocityY;
-        this.life--;
-    }
+        viewport.followPlayer = false; // Double-tap zoom reset turns follow back on
+        const keys = gameState.keys;
+        const step = ROOM_EDITOR_CONSTANTS.PAN_SPEED * (gameState.deltaTime / 1000);
+        if (keys['ArrowLeft'] || keys['a']) viewport.offsetX += step;
+        if (keys['ArrowRight'] || keys['d']) viewport.offsetX -= step;
+        if (keys['ArrowUp'] || keys['w']) viewport.offsetY += step;
+        if (keys['ArrowDown'] || keys['s']) viewport.offsetY -= step;
+        clampPanOffset();
+    },
 
+    /**
+     * Draw the working room, a grid and the tile under the pointer
+     * (inside the world transform, over the floor drawn by gameLoop)
+     */
     draw() {
-        ctx.globalAlpha = this.life / this.maxLife;
-        ctx.fillStyle = this.color;
-        ctx.beginPath();
-        ctx.arc(this.x, this.y, this.size, 0, Math.PI * 2);
-        ctx.fill();
-        ctx.globalAlpha = 1;
-    }
+        const room = this.room;
+        const pixelWidth = room.width * TILE_SIZE;
+        const pixelHeight = room.height * TILE_SIZE;
+
+        drawWalls(room.walls);
+        drawDoors(room.doors);
+        drawChests(room.chests);
+
+        // Spawners, enemies and entries as labelled markers
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.font = 'bold 12px Arial';
+        const marker = (x, y, color, label) => {
+            ctx.fillStyle = color;
+            ctx.beginPath();
+            ctx.arc(x + TILE_SIZE / 2, y + TILE_SIZE / 2, TILE_SIZE / 2 - 6, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.fillStyle = '#fff';
+            ctx.fillText(label, x + TILE_SIZE / 2, y + TILE_SIZE / 2);
+        };
+        (room.spawners || []).forEach(spawner => marker(spawner.x * TILE_SIZE, spawner.y * TILE_SIZE, SPAWNER_CONSTANTS.COLOR, 'S'));
+        room.enemies.forEach(enemy => {
+            const archetype = ENEMY_ARCHETYPES[enemy.type];
+            const tileX = Math.floor(enemy.x / TILE_SIZE) * TILE_SIZE;
+            const tileY = Math.floor(enemy.y / TILE_SIZE) * TILE_SIZE;
+            marker(tileX, tileY, archetype ? archetype.color : '#888', archetype ? archetype.name[0] : '?');
+        });
+        room.entries.forEach(entry => marker(entry.x * TILE_SIZE, entry.y * TILE_SIZE, '#4CAF50', 'P'));
+        room.doors.forEach(door => {
+            ctx.fillStyle = '#fff';
+            ctx.fillText(String(door.toRoom + 1), door.x * TILE_SIZE + TILE_SIZE / 2, door.y * TILE_SIZE + TILE_SIZE / 2);
+        });
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'alphabetic';
 
-    isDead() {
-        return this.life <= 0;
+        // Grid
+        ctx.strokeStyle = ROOM_EDITOR_CONSTANTS.GRID_COLOR;
+        ctx.lineWidth = 1 / viewport.scale;
+        ctx.beginPath();
+        for (let x = 0; x <= room.width; x++) {
+            ctx.moveTo(x * TILE_SIZE, 0);
+            ctx.lineTo(x * TILE_SIZE, pixelHeight);
+        }
+        for (let y = 0; y <= room.height; y++) {
+            ctx.moveTo(0, y * TILE_SIZE);
+            ctx.lineTo(pixelWidth, y * TILE_SIZE);
+        }
+        ctx.stroke();
+
+        // Tile under the pointer
+        const pointerX = MagicManager.state.pointerClientX;
+        if (pointerX !== null) {
+            const worldPos = screenToWorld(pointerX, MagicManager.state.pointerClientY);
+            const tile = this.tileAt(worldPos.x, worldPos.y);
+            if (tile) {
+                ctx.strokeStyle = '#FFD700';
+                ctx.lineWidth = 2 / viewport.scale;
+                ctx.strokeRect(tile.x * TILE_SIZE, tile.y * TILE_SIZE, TILE_SIZE, TILE_SIZE);
+            }
+        }
     }
-}
-
-// ============================================================================
-// SECTION 5: GAME SYSTEMS & UTILITIES
-// ============================================================================
+};
 
 // Target Selection Functions
 
@@ -1497,6 +7444,110 @@ function getEntityDistance(entity1, entity2) {
     return Math.sqrt(getDistanceSquared(x1, y1, x2, y2));
 }
 
+// Utility: Axis-aligned box overlap between two entities (padding grows the test boxes)
+function entitiesOverlap(entity1, entity2, padding = 0) {
+    return entity1.x - padding < entity2.x + entity2.width && entity1.x + entity1.width + padding > entity2.x &&
+        entity1.y - padding < entity2.y + entity2.height && entity1.y + entity1.height + padding > entity2.y;
+}
+
+// Utility: Check if a point lies inside a cone (sector) with its tip at (originX, originY)
+function isPointInCone(pointX, pointY, originX, originY, angle, halfAngle, range) {
+    const dx = pointX - originX;
+    const dy = pointY - originY;
+    if (dx * dx + dy * dy > range * range) return false;
+
+    // Smallest signed difference between the two angles, in [-PI, PI]
+    let diff = Math.atan2(dy, dx) - angle;
+    diff = Math.atan2(Math.sin(diff), Math.cos(diff));
+    return Math.abs(diff) <= halfAngle;
+}
+
+// Utility: Check if a grid tile contains a wall
+function isWallTile(gridX, gridY) {
+    return gameState.walls.some(wall => wall.x === gridX && wall.y === gridY);
+}
+
+// Utility: Distance a ray travels before entering a wall tile (grid DDA), capped at maxDistance
+function getRayWallDistance(originX, originY, angle, maxDistance) {
+    const dirX = Math.cos(angle);
+    const dirY = Math.sin(angle);
+
+    let gridX = Math.floor(originX / TILE_SIZE);
+    let gridY = Math.floor(originY / TILE_SIZE);
+    const stepX = dirX > 0 ? 1 : -1;
+    const stepY = dirY > 0 ? 1 : -1;
+
+    // Ray distance between vertical/horizontal grid lines
+    const tDeltaX = dirX !== 0 ? Math.abs(TILE_SIZE / dirX) : Infinity;
+    const tDeltaY = dirY !== 0 ? Math.abs(TILE_SIZE / dirY) : Infinity;
+
+    // Ray distance to the first vertical/horizontal grid line
+    let tMaxX = dirX > 0 ? ((gridX + 1) * TILE_SIZE - originX) / dirX
+              : dirX < 0 ? (gridX * TILE_SIZE - originX) / dirX
+              : Infinity;
+    let tMaxY = dirY > 0 ? ((gridY + 1) * TILE_SIZE - originY) / dirY
+              : dirY < 0 ? (gridY * TILE_SIZE - originY) / dirY
+              : Infinity;
+
+    let distance = 0;
+    while (distance < maxDistance) {
+        if (tMaxX < tMaxY) {
+            gridX += stepX;
+            distance = tMaxX;
+            tMaxX += tDeltaX;
+        } else {
+            gridY += stepY;
+            distance = tMaxY;
+            tMaxY += tDeltaY;
+        }
+
+        if (distance >= maxDistance) break;
+        if (isWallTile(gridX, gridY)) return distance;
+    }
+    return maxDistance;
+}
+
+// Utility: Check that no wall tile lies between two points (tile raycast)
+function hasLineOfSight(x1, y1, x2, y2) {
+    const distance = Math.sqrt(getDistanceSquared(x1, y1, x2, y2));
+    if (distance === 0) return true;
+    return getRayWallDistance(x1, y1, Math.atan2(y2 - y1, x2 - x1), distance) >= distance;
+}
+
+// Utility: Line of sight between two entities' centers
+function hasEntityLineOfSight(entity1, entity2) {
+    return hasLineOfSight(
+        entity1.x + entity1.width / 2, entity1.y + entity1.height / 2,
+        entity2.x + entity2.width / 2, entity2.y + entity2.height / 2
+    );
+}
+
+// Utility: Check if a line segment passes through an axis-aligned rectangle (Liang-Barsky clipping)
+function segmentIntersectsRect(x1, y1, x2, y2, rectX, rectY, rectWidth, rectHeight) {
+    const dx = x2 - x1;
+    const dy = y2 - y1;
+    const p = [-dx, dx, -dy, dy];
+    const q = [x1 - rectX, rectX + rectWidth - x1, y1 - rectY, rectY + rectHeight - y1];
+
+    let tEnter = 0;
+    let tExit = 1;
+    for (let i = 0; i < 4; i++) {
+        if (p[i] === 0) {
+            // Parallel to this edge - reject if outside it
+            if (q[i] < 0) return false;
+        } else {
+            const t = q[i] / p[i];
+            if (p[i] < 0) {
+                tEnter = Math.max(tEnter, t);
+            } else {
+                tExit = Math.min(tExit, t);
+            }
+            if (tEnter > tExit) return false;
+        }
+    }
+    return true;
+}
+
 function selectNearestEnemy() {
     // Edge case: No enemies or player not initialized
     if (!player || gameState.enemies.length === 0) {
@@ -1535,7 +7586,7 @@ function cycleTarget(direction = 1) {
     if (!gameState.selectedEnemy || !gameState.enemies.includes(gameState.selectedEnemy)) {
         selectNearestEnemy();
         if (gameState.selectedEnemy) {
-            const enemyName = gameState.selectedEnemy.type === 'basic' ? 'Goblin' : 'Orc';
+            const enemyName = gameState.selectedEnemy.label;
             showMessage(`Target: ${enemyName}`);
         }
         return;
@@ -1547,7 +7598,7 @@ function cycleTarget(direction = 1) {
     gameState.selectedEnemy = gameState.enemies[nextIndex];
 
     // Visual feedback
-    const enemyName = gameState.selectedEnemy.type === 'basic' ? 'Goblin' : 'Orc';
+    const enemyName = gameState.selectedEnemy.label;
     const distance = Math.round(getEntityDistance(player, gameState.selectedEnemy));
     showMessage(`Target: ${enemyName} (${distance}px)`);
 }
@@ -1698,8 +7749,143 @@ function updateZoomIndicator() {
     }
 }
 
-function loadRoom(roomIndex, skipSave = false) {
-    console.log('[DEBUG] loadRoom called:', { roomIndex, skipSave });
+/**
+ * Update the HUD cast bar (shown only while casting or channelling)
+ */
+const updateCastBarHUD = (() => {
+    let elements = null;
+    let wasVisible = false;
+
+    return function() {
+        if (!elements) {
+            elements = {
+                bar: document.getElementById('cast-bar'),
+                fill: document.getElementById('cast-bar-fill'),
+                label: document.getElementById('cast-bar-label')
+            };
+        }
+        if (!elements.bar || !elements.fill || !elements.label) return;
+
+        const cast = MagicManager.getCastProgress();
+        if (!cast) {
+            if (wasVisible) {
+                elements.bar.classList.add('hidden');
+                elements.bar.setAttribute('aria-hidden', 'true');
+                wasVisible = false;
+            }
+            return;
+        }
+
+        if (!wasVisible) {
+            elements.bar.classList.remove('hidden');
+            elements.bar.setAttribute('aria-hidden', 'false');
+            wasVisible = true;
+        }
+        elements.fill.style.width = `${cast.progress * 100}%`;
+        elements.fill.style.background = cast.ability.color;
+        elements.label.textContent = `${cast.ability.icon} ${cast.ability.name} ${(cast.remaining / 1000).toFixed(1)}s`;
+    };
+})();
+
+/**
+ * Update the HUD boss bar (shown while a boss is in combat)
+ * Touches the DOM only when the boss, its phase, or its whole health value changes
+ */
+const updateBossBarHUD = (() => {
+    let elements = null;
+    let lastSignature = '';
+
+    return function() {
+        if (!elements) {
+            elements = {
+                bar: document.getElementById('boss-bar'),
+                name: document.getElementById('boss-bar-name'),
+                phase: document.getElementById('boss-bar-phase'),
+                fill: document.getElementById('boss-bar-fill'),
+                health: document.getElementById('boss-bar-health')
+            };
+        }
+        if (!elements.bar || !elements.fill) return;
+
+        const boss = gameState.enemies.find(enemy => enemy.isBoss && !enemy.isDead && enemy.aiState === 'combat');
+        const signature = boss ? `${boss.name}:${boss.phaseIndex}:${Math.ceil(boss.health)}` : '';
+        if (signature === lastSignature) return;
+
+        if (!boss) {
+            elements.bar.classList.add('hidden');
+            elements.bar.setAttribute('aria-hidden', 'true');
+        } else {
+            if (!lastSignature) {
+                elements.bar.classList.remove('hidden');
+                elements.bar.setAttribute('aria-hidden', 'false');
+            }
+            elements.name.textContent = boss.name;
+            elements.phase.textContent = `Phase ${boss.phaseIndex + 1}: ${boss.phase.name}`;
+            elements.fill.style.width = `${(boss.health / boss.maxHealth) * 100}%`;
+            elements.health.textContent = `${Math.ceil(boss.health)}/${boss.maxHealth}`;
+        }
+        lastSignature = signature;
+    };
+})();
+
+/**
+ * Update the player's status effect row in the HUD
+ * Rebuilds only when the set of effects, their stacks, or the whole seconds left change
+ */
+const updateStatusEffectsHUD = (() => {
+    let lastSignature = '';
+
+    return function() {
+        if (!player || !player.statusEffects) return;
+
+        const list = player.statusEffects.getList();
+        const signature = list
+            .map(({ def, effect }) => `${def.id}:${effect.stacks}:${Math.ceil(effect.remaining / 1000)}`)
+            .join('|');
+        if (signature === lastSignature) return;
+        lastSignature = signature;
+
+        const container = document.getElementById('player-status-effects');
+        if (!container) return;
+
+        container.innerHTML = '';
+        list.forEach(({ def, effect }) => {
+            const icon = document.createElement('span');
+            icon.className = 'status-effect-icon';
+            icon.style.borderColor = def.color;
+            icon.title = def.name;
+
+            const seconds = Math.ceil(effect.remaining / 1000);
+            icon.textContent = def.icon;
+
+            const label = document.createElement('span');
+            label.className = 'status-effect-time';
+            label.textContent = effect.stacks > 1 ? `x${effect.stacks} ${seconds}s` : `${seconds}s`;
+            icon.appendChild(label);
+
+            container.appendChild(icon);
+        });
+    };
+})();
+
+/**
+ * Replace the world with a room from roomTemplates and place the player at its entry
+ * @param {number} roomIndex - Index into roomTemplates
+ * @param {boolean} skipSave - Don't auto-save (initial load, save restore, reset)
+ * @param {number|null} fromRoom - Room the player came from through a door (picks the entry point)
+ */
+function loadRoom(roomIndex, skipSave = false, fromRoom = null) {
+    console.log('[DEBUG] loadRoom called:', { roomIndex, skipSave, fromRoom });
+
+    // Targeting positions and cast targets belong to the old room
+    if (MagicManager.state.targetingActive) {
+        MagicManager.cancelTargeting();
+    }
+    MagicManager.cancelCasting();
+
+    // Remember bosses left mid-fight in the room being left
+    recordBossStates();
+
     gameState.currentRoom = roomIndex;
     const room = roomTemplates[roomIndex];
     console.log('[DEBUG] Room template:', {
@@ -1714,43 +7900,58 @@ function loadRoom(roomIndex, skipSave = false) {
     gameState.doors = [];
     gameState.chests = [];
     gameState.enemies = [];
+    gameState.spawners = [];
+    gameState.spellEffects = [];
+    ProjectileManager.clear();
+
+    // Room size (and with it the world bounds) comes before anything placed in it
+    gameState.roomWidth = room.width || GRID_WIDTH;
+    gameState.roomHeight = room.height || GRID_HEIGHT;
 
     // Load walls
     room.walls.forEach(w => {
         gameState.walls.push({ x: w.x, y: w.y });
     });
-
-    // Load doors
-    room.doors.forEach(d => {
-        gameState.doors.push({ x: d.x, y: d.y, toRoom: d.toRoom });
+    Pathfinding.rebuildGrid();
+
+    // Load doors (locked ones stay open once unlocked)
+    room.doors.forEach((d, index) => {
+        gameState.doors.push({
+            index: index,
+            x: d.x,
+            y: d.y,
+            toRoom: d.toRoom,
+            bodyBlocking: !!d.bodyBlocking,
+            locked: !!d.locked && !RoomStateManager.isDoorUnlocked(roomIndex, index)
+        });
     });
 
-    // Load chests
-    room.chests.forEach(c => {
-        gameState.chests.push({ x: c.x, y: c.y, opened: c.opened });
+    // Load chests (opened ones stay empty)
+    const bossesDefeated = areRoomBossesDefeated(roomIndex);
+    room.chests.forEach((c, index) => {
+        gameState.chests.push({
+            index: index,
+            x: c.x,
+            y: c.y,
+            opened: c.opened || RoomStateManager.isChestOpened(roomIndex, index),
+            bossReward: !!c.bossReward,
+            locked: !!c.bossReward && !bossesDefeated
+        });
     });
 
-    // Load enemies
-    room.enemies.forEach(e => {
-        gameState.enemies.push(new Enemy(e.x, e.y, e.type));
-    });
+    // Load enemies and spawners
+    spawnRoomEnemies(roomIndex);
+    SpawnerManager.load(roomIndex);
 
     // Auto-select nearest enemy when entering room
     if (gameState.enemies.length > 0) {
         selectNearestEnemy();
     }
 
-    // Position player at door entrance
-    if (roomIndex === 0) {
-        player.x = 3 * TILE_SIZE;
-        player.y = 3 * TILE_SIZE;
-    } else if (roomIndex === 1) {
-        player.x = 10 * TILE_SIZE;
-        player.y = 2 * TILE_SIZE;
-    } else if (roomIndex === 2) {
-        player.x = 2 * TILE_SIZE;
-        player.y = 8 * TILE_SIZE;
-    }
+    // Position player at the entry for the door they came through
+    const entry = getRoomEntry(room, fromRoom);
+    player.x = entry.x * TILE_SIZE;
+    player.y = entry.y * TILE_SIZE;
 
     showMessage(`Entered room ${roomIndex + 1}`);
 
@@ -1770,8 +7971,134 @@ function loadRoom(roomIndex, skipSave = false) {
     }
 }
 
+/**
+ * Entry point for arriving in a room (room.entries)
+ * @param {object} room - Room template
+ * @param {number|null} fromRoom - Room the player came from, if through a door
+ * @returns {object} { x, y } tile
+ */
+function getRoomEntry(room, fromRoom) {
+    const entries = room.entries || [];
+    const entry = (fromRoom !== null && entries.find(e => e.fromRoom === fromRoom)) ||
+        entries.find(e => e.fromRoom === undefined) ||
+        entries[0];
+
+    if (!entry) {
+        console.warn('[Room] Room has no entry points, using (1, 1)');
+        return { x: 1, y: 1 };
+    }
+    return entry;
+}
+
+/**
+ * Create the template enemies of a room that are still alive (bosses resume their saved fight, or stay dead)
+ * Used when entering a room and when a cleared room respawns
+ * @param {number} roomIndex - Index into roomTemplates
+ */
+function spawnRoomEnemies(roomIndex) {
+    const room = roomTemplates[roomIndex];
+
+    room.enemies.forEach((e, index) => {
+        const archetype = ENEMY_ARCHETYPES[e.type];
+        if (archetype && archetype.boss) {
+            const spawnKey = `${roomIndex}:${index}`;
+            const saved = gameState.bossStates[spawnKey];
+            if (saved && saved.d) return;
+
+            const boss = new Boss(e.x, e.y, e.type, { level: getEnemyLevel(roomIndex, e) });
+            boss.spawnKey = spawnKey;
+            if (saved) {
+                boss.applyState(saved);
+            }
+            gameState.enemies.push(boss);
+        } else {
+            if (RoomStateManager.isEnemyKilled(roomIndex, index)) return;
+
+            const level = getEnemyLevel(roomIndex, e);
+            const enemy = new Enemy(e.x, e.y, e.type, { level: level, affixes: rollEliteAffixes(e, level) });
+            enemy.templateIndex = index;
+            if (e.patrol) {
+                enemy.setPatrolRoute(e.patrol);
+            }
+            gameState.enemies.push(enemy);
+        }
+    });
+}
+
+/**
+ * Level for an enemy spawn (see ENEMY_SCALING)
+ * @param {number} roomIndex - Index into roomTemplates
+ * @param {object} spawn - Enemy entry from the room template
+ * @returns {number} Enemy level
+ */
+function getEnemyLevel(roomIndex, spawn) {
+    if (Number.isInteger(spawn.level) && spawn.level > 0) {
+        return Math.min(ENEMY_SCALING.MAX_LEVEL, spawn.level);
+    }
+
+    const room = roomTemplates[roomIndex];
+    const roomLevel = room && Number.isInteger(room.level) ? room.level : roomIndex + 1;
+    const playerLead = Math.max(0, player.level - roomLevel);
+    return Math.min(ENEMY_SCALING.MAX_LEVEL, roomLevel + Math.floor(playerLead * ENEMY_SCALING.PLAYER_LEVEL_FACTOR));
+}
+
+/**
+ * Roll elite affixes for a spawn; template elite: true forces a roll, an array picks the affixes
+ * @param {object} spawn - Enemy entry from the room template
+ * @param {number} level - The spawn's level (high levels get a second affix)
+ * @returns {Array} Affix ids (empty for a normal enemy)
+ */
+function rollEliteAffixes(spawn, level) {
+    if (Array.isArray(spawn.elite)) {
+        return spawn.elite.filter(id => {
+            if (ELITE_AFFIXES[id]) return true;
+            console.warn(`[Enemy] Unknown elite affix "${id}", ignoring`);
+            return false;
+        });
+    }
+    if (spawn.elite === false || (spawn.elite !== true && Math.random() >= ELITE_CONSTANTS.CHANCE)) {
+        return [];
+    }
+
+    const pool = Object.keys(ELITE_AFFIXES);
+    const count = level >= ELITE_CONSTANTS.SECOND_AFFIX_LEVEL ? 2 : 1;
+    const affixes = [];
+    while (affixes.length < count && pool.length > 0) {
+        affixes.push(pool.splice(Math.floor(Math.random() * pool.length), 1)[0]);
+    }
+    return affixes;
+}
+
+/**
+ * Snapshot living bosses into gameState.bossStates (room changes and saves)
+ */
+function recordBossStates() {
+    for (let enemy of gameState.enemies) {
+        if (enemy.isBoss && enemy.spawnKey && !enemy.isDead) {
+            gameState.bossStates[enemy.spawnKey] = enemy.getState();
+        }
+    }
+}
+
+/**
+ * Check whether every boss placed in a room template has been defeated
+ * @param {number} roomIndex - Index into roomTemplates
+ * @returns {boolean} True if all bosses are down (or the room has none)
+ */
+function areRoomBossesDefeated(roomIndex) {
+    const room = roomTemplates[roomIndex];
+    if (!room) return true;
+
+    return room.enemies.every((e, index) => {
+        const archetype = ENEMY_ARCHETYPES[e.type];
+        if (!archetype || !archetype.boss) return true;
+        const state = gameState.bossStates[`${roomIndex}:${index}`];
+        return !!(state && state.d);
+    });
+}
+
 let _debugFirstWallDraw = true;
-function drawWalls() {
+function drawWalls(walls = gameState.walls) {
     if (_debugFirstWallDraw && gameState.walls.length > 0) {
         _debugFirstWallDraw = false;
         const firstWall = gameState.walls[0];
@@ -1784,7 +8111,7 @@ function drawWalls() {
             ctxFillStyle: ctx.fillStyle
         });
     }
-    for (let wall of gameState.walls) {
+    for (let wall of walls) {
         ctx.fillStyle = '#34495e';
         ctx.fillRect(wall.x * TILE_SIZE, wall.y * TILE_SIZE, TILE_SIZE, TILE_SIZE);
 
@@ -1794,26 +8121,72 @@ function drawWalls() {
     }
 }
 
-function drawDoors() {
-    for (let door of gameState.doors) {
-        ctx.fillStyle = '#8B4513';
+function drawDoors(doors = gameState.doors) {
+    for (let door of doors) {
+        ctx.fillStyle = door.locked ? '#4e342e' : '#8B4513';
         ctx.fillRect(door.x * TILE_SIZE, door.y * TILE_SIZE, TILE_SIZE, TILE_SIZE);
 
-        ctx.fillStyle = '#FFD700';
-        ctx.fillRect(door.x * TILE_SIZE + 10, door.y * TILE_SIZE + 10, TILE_SIZE - 20, TILE_SIZE - 20);
+        if (door.locked) {
+            // Bars across a sealed door
+            ctx.fillStyle = '#9e9e9e';
+            for (let i = 1; i <= 3; i++) {
+                ctx.fillRect(door.x * TILE_SIZE + i * 10 - 2, door.y * TILE_SIZE + 4, 4, TILE_SIZE - 8);
+            }
+        } else {
+            ctx.fillStyle = '#FFD700';
+            ctx.fillRect(door.x * TILE_SIZE + 10, door.y * TILE_SIZE + 10, TILE_SIZE - 20, TILE_SIZE - 20);
+        }
+    }
+}
+
+function drawSpawners() {
+    const pulse = 0.5 + Math.sin(gameState.elapsedTime / 250) * 0.2;
+
+    for (let spawner of gameState.spawners) {
+        const centerX = spawner.x * TILE_SIZE + TILE_SIZE / 2;
+        const centerY = spawner.y * TILE_SIZE + TILE_SIZE / 2;
+        const on = SpawnerManager.isActive(spawner) && !SpawnerManager.isExhausted(spawner);
+
+        ctx.globalAlpha = on ? pulse : 0.25;
+        ctx.strokeStyle = SPAWNER_CONSTANTS.COLOR;
+        ctx.lineWidth = 3;
+        ctx.beginPath();
+        ctx.arc(centerX, centerY, TILE_SIZE / 2 - 4, 0, Math.PI * 2);
+        ctx.stroke();
+
+        // Charge arc towards the next spawn
+        if (on) {
+            const progress = 1 - spawner.timer / spawner.interval;
+            ctx.globalAlpha = 0.8;
+            ctx.beginPath();
+            ctx.arc(centerX, centerY, TILE_SIZE / 2 - 10, -Math.PI / 2, -Math.PI / 2 + progress * Math.PI * 2);
+            ctx.stroke();
+        }
     }
+    ctx.globalAlpha = 1;
 }
 
-function drawChests() {
-    for (let chest of gameState.chests) {
+function drawChests(chests = gameState.chests) {
+    for (let chest of chests) {
         if (chest.opened) {
             ctx.fillStyle = '#666';
+        } else if (chest.bossReward) {
+            ctx.fillStyle = '#4a148c';
         } else {
             ctx.fillStyle = '#8B4513';
         }
         ctx.fillRect(chest.x * TILE_SIZE + 5, chest.y * TILE_SIZE + 5, TILE_SIZE - 10, TILE_SIZE - 10);
 
-        if (!chest.opened) {
+        if (chest.locked) {
+            // Padlock
+            ctx.strokeStyle = '#bbb';
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.arc(chest.x * TILE_SIZE + 20, chest.y * TILE_SIZE + 16, 5, Math.PI, 0);
+            ctx.stroke();
+            ctx.fillStyle = '#bbb';
+            ctx.fillRect(chest.x * TILE_SIZE + 13, chest.y * TILE_SIZE + 16, 14, 10);
+        } else if (!chest.opened) {
             ctx.fillStyle = '#FFD700';
             ctx.fillRect(chest.x * TILE_SIZE + 15, chest.y * TILE_SIZE + 15, 10, 5);
         }
@@ -1861,6 +8234,8 @@ const SaveManager = {
         }
 
         try {
+            recordBossStates();
+
             const saveData = {
                 v: SAVE_CONSTANTS.VERSION,  // Version
                 t: Date.now(),  // Timestamp
@@ -1888,11 +8263,18 @@ const SaveManager = {
                     ap: player.attributePoints,  // Available attribute points
                     // Spell system (Phase 2)
                     spells: player.unlockedSpells,  // Unlocked spells array
-                    hotbar: player.hotbar  // Hotbar configuration
+                    hotbar: player.hotbar,  // Hotbar configuration
+                    // Spell ranks (Phase 5)
+                    sr: player.spellRanks,  // abilityId -> rank
+                    sp: player.spellPoints  // Unspent spell points
                 },
                 r: gameState.currentRoom,  // Current room
                 ed: gameState.enemiesDefeated,  // Enemies defeated total
                 co: gameState.chestsOpened,  // Chests opened total
+                bs: gameState.bossStates,  // Boss fights in progress / defeated
+                gi: LootManager.serialize(),  // Ground items by room
+                rs: RoomStateManager.serialize(),  // Killed enemies, opened chests, unlocked doors by room
+                ds: gameState.dungeonSeed,  // Generated dungeon seed (null = built-in rooms)
                 gt: Math.floor(gameState.gameTime / SAVE_CONSTANTS.FPS_ESTIMATE)  // Game time in seconds
             };
 
@@ -1999,6 +8381,9 @@ const SaveManager = {
             // Restore mana (Phase 1 - with legacy save compatibility)
             player.mana = saveData.p.mp !== undefined ? saveData.p.mp : player.maxMana;
 
+            // Status effects are transient combat state and aren't saved
+            player.statusEffects.clear();
+
             // Restore spell system (Phase 2 - with legacy save compatibility)
             if (saveData.p.spells && Array.isArray(saveData.p.spells)) {
                 player.unlockedSpells = saveData.p.spells;
@@ -2038,6 +8423,35 @@ const SaveManager = {
                 player.hotbar = ['magic_missile', null, null, null, null, null, null, null];
             }
 
+            // Validate spell ranks: known, unlocked spells with integer ranks in 1..maxRank
+            player.spellRanks = {};
+            if (saveData.p.sr && typeof saveData.p.sr === 'object' && !Array.isArray(saveData.p.sr)) {
+                Object.keys(saveData.p.sr).forEach(spellId => {
+                    const rank = saveData.p.sr[spellId];
+                    const ability = ABILITIES[spellId];
+
+                    if (!ability) {
+                        console.warn(`[SaveManager] Rank for unknown spell '${spellId}', dropping`);
+                    } else if (!player.unlockedSpells.includes(spellId)) {
+                        console.warn(`[SaveManager] Rank for locked spell '${spellId}', dropping`);
+                    } else if (!Number.isInteger(rank) || rank < 1) {
+                        console.warn(`[SaveManager] Invalid rank for '${spellId}': ${rank}, resetting to 1`);
+                    } else if (rank > (ability.maxRank || 1)) {
+                        console.warn(`[SaveManager] Rank for '${spellId}' above max (${rank}), clamping`);
+                        player.spellRanks[spellId] = ability.maxRank || 1;
+                    } else if (rank > 1) {
+                        player.spellRanks[spellId] = rank;
+                    }
+                });
+            }
+
+            if (saveData.p.sp !== undefined) {
+                player.spellPoints = Number.isInteger(saveData.p.sp) && saveData.p.sp >= 0 ? saveData.p.sp : 0;
+            } else {
+                // Legacy save: grant the points earned by levels already gained
+                player.spellPoints = (player.level - 1) * SPELL_POINTS_PER_LEVEL;
+            }
+
             // Reset temporary combat state
             player.attackCooldown = 0;
             player.invulnerable = false;
@@ -2050,6 +8464,46 @@ const SaveManager = {
             gameState.chestsOpened = saveData.co || 0;
             gameState.gameTime = (saveData.gt || 0) * SAVE_CONSTANTS.FPS_ESTIMATE;  // Convert back to frames
 
+            // Rebuild the dungeon the save was made in before anything is checked against its rooms
+            if (saveData.ds === undefined || saveData.ds === null) {
+                DungeonGenerator.applySeed(null);
+            } else if (Number.isInteger(saveData.ds) && saveData.ds >= 0 && saveData.ds <= DungeonGenerator.MAX_SEED) {
+                DungeonGenerator.applySeed(saveData.ds);
+            } else {
+                console.warn(`[SaveManager] Invalid dungeon seed '${saveData.ds}', using the built-in rooms`);
+                DungeonGenerator.applySeed(null);
+            }
+
+            // Restore boss fights; keys must still point at a boss in the room templates
+            gameState.bossStates = {};
+            if (saveData.bs && typeof saveData.bs === 'object' && !Array.isArray(saveData.bs)) {
+                Object.keys(saveData.bs).forEach(key => {
+                    const state = saveData.bs[key];
+                    const [roomPart, indexPart] = key.split(':');
+                    const spawn = roomTemplates[Number(roomPart)]?.enemies[Number(indexPart)];
+                    const archetype = spawn && ENEMY_ARCHETYPES[spawn.type];
+
+                    if (!archetype || !archetype.boss) {
+                        console.warn(`[SaveManager] Boss state for unknown spawn '${key}', dropping`);
+                    } else if (state && state.d === true) {
+                        gameState.bossStates[key] = { d: true };
+                    } else if (state && typeof state.hp === 'number' && state.hp > 0) {
+                        const phase = Number.isInteger(state.ph) ? state.ph : 0;
+                        gameState.bossStates[key] = {
+                            hp: state.hp, // Clamped to the boss's scaled max health in applyState
+                            ph: Math.max(0, Math.min(phase, archetype.phases.length - 1))
+                        };
+                    } else {
+                        console.warn(`[SaveManager] Invalid boss state for '${key}', dropping`);
+                    }
+                });
+            }
+            gameState.enemies = []; // Don't let loadRoom record the pre-load room's bosses
+
+            // Ground items and room states (older saves have none)
+            LootManager.restore(saveData.gi);
+            RoomStateManager.restore(saveData.rs);
+
             // Load the saved room (with bounds checking)
             const roomIndex = Math.min(Math.max(0, saveData.r || 0), roomTemplates.length - 1);
             console.log(`[SaveManager] Loading room ${roomIndex}`);
@@ -2124,6 +8578,7 @@ const SaveManager = {
                 enemiesDefeated: data.ed,
                 chestsOpened: data.co,
                 playtime: data.gt,
+                dungeonSeed: data.ds,
                 version: data.v
             };
         } catch (e) {
@@ -2204,18 +8659,41 @@ const SaveManager = {
 // Initialize game
 const player = new Player(3 * TILE_SIZE, 3 * TILE_SIZE);
 
-// Try to load save, otherwise start new game
-const saveData = SaveManager.load();
-if (saveData) {
-    // Load from save
-    SaveManager.applySave(saveData, player, gameState);
-} else {
-    // Start new game
-    loadRoom(0, true);  // skipSave = true on initial load
+/**
+ * Load the save, otherwise start a new game (once room and ability data are settled)
+ */
+function loadInitialGame() {
+    const saveData = SaveManager.load();
+    if (saveData) {
+        // Load from save
+        SaveManager.applySave(saveData, player, gameState);
+    } else {
+        // Start new game
+        loadRoom(0, true);  // skipSave = true on initial load
+    }
 }
 
 // Keyboard input
 window.addEventListener('keydown', (e) => {
+    // Typing in a text field (dungeon seed, room editor) isn't game input
+    if (e.target && ['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) return;
+
+    // Room editor: toggle key, and while it's open only its tool keys (movement keys pan)
+    if (e.key === ROOM_EDITOR_CONSTANTS.TOGGLE_KEY) {
+        e.preventDefault();
+        RoomEditor.toggle();
+        return;
+    }
+    if (RoomEditor.active) {
+        const tool = ROOM_EDITOR_CONSTANTS.TOOLS[parseInt(e.key) - 1];
+        if (tool) {
+            RoomEditor.setTool(tool);
+        } else {
+            gameState.keys[e.key] = true;
+        }
+        return;
+    }
+
     // Handle Tab for target cycling
     if (e.key === 'Tab') {
         e.preventDefault(); // Prevent browser tab navigation
@@ -2246,6 +8724,11 @@ window.addEventListener('keydown', (e) => {
 
     gameState.keys[e.key] = true;
 
+    // Interact: pick up nearby drops
+    if (e.key.toLowerCase() === LOOT_CONSTANTS.INTERACT_KEY && !e.ctrlKey && !e.metaKey && !e.altKey && !e.repeat) {
+        LootManager.interact(player);
+    }
+
     // Manual save shortcut (Ctrl+S or Cmd+S)
     if ((e.ctrlKey || e.metaKey) && e.key === 's') {
         e.preventDefault(); // Prevent browser save dialog
@@ -2329,6 +8812,16 @@ function setupVirtualJoystick() {
         gameState.keys['a'] = false;
         gameState.keys['d'] = false;
 
+        // While aiming a spell, the joystick moves the targeting preview instead of the player
+        if (MagicManager.state.targetingActive) {
+            if (distance > threshold) {
+                MagicManager.setAimInput(deltaX / maxDistance, deltaY / maxDistance);
+            } else {
+                MagicManager.setAimInput(0, 0);
+            }
+            return;
+        }
+
         if (distance > threshold) {
             // Set directions based on angle
             const angle = Math.atan2(deltaY, deltaX);
@@ -2361,6 +8854,9 @@ function setupVirtualJoystick() {
         // Reset stick position
         joystickStick.style.transform = 'translate(-50%, -50%)';
 
+        // Stop moving the targeting preview
+        MagicManager.setAimInput(0, 0);
+
         // Clear all directional keys
         gameState.keys['ArrowUp'] = false;
         gameState.keys['ArrowDown'] = false;
@@ -2701,7 +9197,8 @@ function setupSaveMenu() {
     if (newGameBtn) {
         newGameBtn.addEventListener('click', () => {
             if (confirm('Start a new game? Your current progress will be lost!')) {
-                // Reset player (this will also delete the save)
+                // Back to the built-in rooms, then reset player (this will also delete the save)
+                DungeonGenerator.applySeed(null);
                 player.reset();
 
                 // Close menu
@@ -2713,6 +9210,26 @@ function setupSaveMenu() {
         });
     }
 
+    // New game in a generated dungeon (seed from the input, or random)
+    const newDungeonBtn = document.getElementById('btn-new-dungeon');
+    const seedInput = document.getElementById('dungeon-seed-input');
+    if (newDungeonBtn && seedInput) {
+        newDungeonBtn.addEventListener('click', () => {
+            if (confirm('Start a new game in a generated dungeon? Your current progress will be lost!')) {
+                const text = seedInput.value.trim();
+                const seed = text ? DungeonGenerator.normalizeSeed(text) : DungeonGenerator.randomSeed();
+
+                DungeonGenerator.applySeed(seed);
+                player.reset(); // Also deletes the save and loads room 0 of the new dungeon
+                SaveManager.save(player, gameState); // Keep the seed even if the player quits right away
+
+                closeMenu();
+                showMessage(`New dungeon - seed ${seed}`);
+                updateSaveMenuInfo();
+            }
+        });
+    }
+
     // Delete save button
     const deleteBtn = document.getElementById('btn-delete-save');
     if (deleteBtn) {
@@ -2740,6 +9257,94 @@ function setupSaveMenu() {
     return { closeMenu, isOpen: () => !saveMenu.classList.contains('hidden') };
 }
 
+/**
+ * Wire up the room editor panel (see RoomEditor)
+ */
+function setupRoomEditor() {
+    const panel = document.getElementById('room-editor');
+    const closeBtn = document.getElementById('room-editor-close');
+    const jsonArea = document.getElementById('room-editor-json');
+
+    if (!panel || !closeBtn || !jsonArea) {
+        console.error('Room editor elements not found!');
+        return;
+    }
+
+    panel.classList.add('hidden');
+    panel.setAttribute('aria-hidden', 'true');
+    closeBtn.addEventListener('click', () => RoomEditor.close());
+
+    document.querySelectorAll('.room-editor-tool').forEach(button => {
+        button.addEventListener('click', () => RoomEditor.setTool(button.dataset.tool));
+    });
+
+    // Enemy types come from the archetypes
+    const enemySelect = document.getElementById('room-editor-enemy');
+    if (enemySelect) {
+        Object.values(ENEMY_ARCHETYPES).forEach(archetype => {
+            const option = document.createElement('option');
+            option.value = archetype.id;
+            option.textContent = archetype.name;
+            enemySelect.appendChild(option);
+        });
+        enemySelect.addEventListener('change', () => {
+            RoomEditor.enemyType = enemySelect.value;
+            RoomEditor.setTool('enemy');
+        });
+    }
+
+    // Rooms are numbered from 1 in the UI, toRoom is an index
+    const doorTarget = document.getElementById('room-editor-door-target');
+    if (doorTarget) {
+        doorTarget.addEventListener('change', () => {
+            const room = parseInt(doorTarget.value, 10);
+            if (room >= 1 && room <= roomTemplates.length) {
+                RoomEditor.doorTarget = room - 1;
+                RoomEditor.setTool('door');
+            } else {
+                showMessage(`Doors can lead to rooms 1-${roomTemplates.length}`);
+                doorTarget.value = RoomEditor.doorTarget + 1;
+            }
+        });
+    }
+
+    const resizeBtn = document.getElementById('room-editor-resize');
+    if (resizeBtn) {
+        resizeBtn.addEventListener('click', () => {
+            const width = parseInt(document.getElementById('room-editor-width').value, 10);
+            const height = parseInt(document.getElementById('room-editor-height').value, 10);
+            if (!RoomEditor.resize(width, height)) {
+                RoomEditor.syncPanel();
+            }
+        });
+    }
+
+    const playBtn = document.getElementById('room-editor-play');
+    if (playBtn) {
+        playBtn.addEventListener('click', () => RoomEditor.testPlay());
+    }
+
+    const exportBtn = document.getElementById('room-editor-export');
+    if (exportBtn) {
+        exportBtn.addEventListener('click', () => {
+            jsonArea.value = RoomEditor.exportJson();
+            jsonArea.select();
+            if (navigator.clipboard && navigator.clipboard.writeText) {
+                navigator.clipboard.writeText(jsonArea.value)
+                    .then(() => showMessage('Room JSON copied to the clipboard'))
+                    .catch(() => showMessage('Room JSON exported below'));
+            } else {
+                showMessage('Room JSON exported below');
+            }
+        });
+    }
+
+    const importBtn = document.getElementById('room-editor-import');
+    if (importBtn) {
+        importBtn.addEventListener('click', () => RoomEditor.importJson(jsonArea.value));
+    }
+}
+
 // ============================================================================
 // SECTION 6: ABILITY BAR & SPELLBOOK UI (Phase 3)
 // ============================================================================
@@ -2999,25 +9604,129 @@ function openSpellbookForSlot(slotIndex) {
     // Update slot number display
     slotNumber.textContent = slotIndex + 1;
 
+    // Always open on the assign view
+    setSpellbookView('assign');
+
+    // Show modal
+    modal.classList.remove('hidden');
+    modal.setAttribute('aria-hidden', 'false');
+}
+
+/**
+ * Switch the spellbook between assigning spells and upgrading ranks
+ * @param {string} view - 'assign' or 'upgrade'
+ */
+function setSpellbookView(view) {
+    const modal = document.getElementById('spellbook-modal');
+    if (!modal) return;
+
+    modal.dataset.view = view;
+
+    const isUpgrade = view === 'upgrade';
+    const assignTab = document.getElementById('spellbook-tab-assign');
+    const upgradeTab = document.getElementById('spellbook-tab-upgrade');
+    const assignInfo = document.getElementById('spellbook-assign-info');
+    const hint = document.getElementById('spellbook-hint');
+    const clearBtn = document.getElementById('spellbook-clear-btn');
+
+    if (assignTab && upgradeTab) {
+        assignTab.classList.toggle('active', !isUpgrade);
+        upgradeTab.classList.toggle('active', isUpgrade);
+        assignTab.setAttribute('aria-selected', String(!isUpgrade));
+        upgradeTab.setAttribute('aria-selected', String(isUpgrade));
+    }
+    if (assignInfo) {
+        assignInfo.classList.toggle('hidden', isUpgrade);
+    }
+    if (hint) {
+        hint.textContent = isUpgrade
+            ? 'Click an unlocked spell to spend 1 spell point on its next rank.'
+            : 'Click a spell to assign it, or click "Clear Slot" to remove the current ability.';
+    }
+    if (clearBtn) {
+        clearBtn.classList.toggle('hidden', isUpgrade);
+    }
+
+    renderSpellbookGrid();
+}
+
+/**
+ * Describe a spell's per-rank bonus for the upgrade view
+ * @param {object} ability - Base ability definition
+ * @returns {string} e.g. "+8 damage, -2 mana"
+ */
+function formatRankBonus(ability) {
+    if (!ability.rankBonus) return '';
+
+    return Object.keys(ability.rankBonus).map(stat => {
+        const amount = ability.rankBonus[stat];
+        const label = stat === 'manaCost' ? 'mana' : stat;
+        return `${amount > 0 ? '+' : ''}${amount} ${label}`;
+    }).join(', ');
+}
+
+/**
+ * Rebuild the spellbook cards for the current view
+ */
+function renderSpellbookGrid() {
+    const modal = document.getElementById('spellbook-modal');
+    const grid = document.getElementById('spellbook-grid');
+    const pointsText = document.getElementById('spellbook-spell-points');
+
+    if (!modal || !grid) return;
+
+    const isUpgrade = modal.dataset.view === 'upgrade';
+    const slotIndex = parseInt(modal.dataset.editingSlot);
+
+    if (pointsText) {
+        pointsText.textContent = player.spellPoints;
+    }
+
     // Clear and populate spell grid
     grid.innerHTML = '';
 
-    Object.values(ABILITIES).forEach(ability => {
+    Object.values(ABILITIES).forEach(baseAbility => {
         const card = document.createElement('div');
         card.className = 'spell-card';
 
         // Check if spell is unlocked
-        const isUnlocked = player.unlockedSpells.includes(ability.id);
-        const isAssigned = player.hotbar.includes(ability.id);
+        const isUnlocked = player.unlockedSpells.includes(baseAbility.id);
+        const isAssigned = player.hotbar.includes(baseAbility.id);
+        const rank = player.getSpellRank(baseAbility.id);
+        const maxRank = baseAbility.maxRank || 1;
+        const isMaxRank = rank >= maxRank;
+
+        // Show stats at the player's current rank
+        const ability = MagicManager.getAbility(baseAbility.id, player);
 
         if (!isUnlocked) {
             card.classList.add('locked');
         }
 
-        if (isAssigned) {
+        if (isUpgrade) {
+            if (isUnlocked && (isMaxRank || player.spellPoints < 1)) {
+                card.classList.add('unavailable');
+            }
+        } else if (isAssigned) {
             card.classList.add('assigned');
         }
 
+        // Cast time / channel line (instant spells have neither)
+        const castInfo = [];
+        if (ability.castTime) castInfo.push(`${ability.castTime / 1000}s cast`);
+        if (ability.channelDuration) castInfo.push(`${ability.channelDuration / 1000}s channel`);
+
+        // Rank line (upgrade view also previews the next rank)
+        let rankInfo = '';
+        if (isUnlocked && maxRank > 1) {
+            rankInfo = `<div class="spell-card-rank">Rank ${rank}/${maxRank}</div>`;
+            if (isUpgrade) {
+                rankInfo += isMaxRank
+                    ? '<div class="spell-card-next">Max rank</div>'
+                    : `<div class="spell-card-next">Next: ${formatRankBonus(baseAbility)}</div>`;
+            }
+        }
+
         // Create card content
         card.innerHTML = `
             <div class="spell-card-icon">${ability.icon}</div>
@@ -3026,24 +9735,44 @@ function openSpellbookForSlot(slotIndex) {
                 <span class="spell-card-cost">${ability.manaCost} MP</span>
                 <span class="spell-card-cooldown">${ability.cooldown / 1000}s CD</span>
             </div>
+            ${castInfo.length > 0 ? `<div class="spell-card-cast">${castInfo.join(' · ')}</div>` : ''}
+            ${rankInfo}
             <div class="spell-card-desc">${ability.description}</div>
             ${!isUnlocked ? `<div class="spell-card-unlock">Unlocks at Level ${ability.unlockLevel}</div>` : ''}
         `;
 
-        // Click handler to assign spell
+        // Click handler: assign to the slot, or buy the next rank
         if (isUnlocked) {
             card.addEventListener('click', () => {
-                assignSpellToSlot(ability.id, slotIndex);
-                closeSpellbook();
+                if (isUpgrade) {
+                    upgradeSpellRank(baseAbility.id);
+                } else {
+                    assignSpellToSlot(baseAbility.id, slotIndex);
+                    closeSpellbook();
+                }
             });
         }
 
         grid.appendChild(card);
     });
+}
 
-    // Show modal
-    modal.classList.remove('hidden');
-    modal.setAttribute('aria-hidden', 'false');
+/**
+ * Spend a spell point on a spell and refresh the UI
+ * @param {string} spellId - Spell ID to upgrade
+ */
+function upgradeSpellRank(spellId) {
+    const result = player.upgradeSpell(spellId);
+
+    if (!result.success) {
+        showMessage(result.error);
+        return;
+    }
+
+    showMessage(`${ABILITIES[spellId].name} is now Rank ${result.rank}!`);
+    renderSpellbookGrid();
+    updateAbilityBar();
+    updateUI();
 }
 
 /**
@@ -3135,6 +9864,14 @@ function setupSpellbook() {
     // Close button
     closeBtn.addEventListener('click', closeSpellbook);
 
+    // Assign / Upgrade view tabs
+    const assignTab = document.getElementById('spellbook-tab-assign');
+    const upgradeTab = document.getElementById('spellbook-tab-upgrade');
+    if (assignTab && upgradeTab) {
+        assignTab.addEventListener('click', () => setSpellbookView('assign'));
+        upgradeTab.addEventListener('click', () => setSpellbookView('upgrade'));
+    }
+
     // Clear slot button
     clearBtn.addEventListener('click', () => {
         const slotIndex = parseInt(modal.dataset.editingSlot);
@@ -3168,6 +9905,7 @@ const updateSaveMenuInfo = (() => {
                 level: document.getElementById('save-level'),
                 room: document.getElementById('save-room'),
                 enemies: document.getElementById('save-enemies'),
+                dungeon: document.getElementById('save-dungeon'),
                 loadBtn: document.getElementById('btn-load-game'),
                 deleteBtn: document.getElementById('btn-delete-save')
             };
@@ -3193,6 +9931,9 @@ const updateSaveMenuInfo = (() => {
             if (elements.enemies) {
                 elements.enemies.textContent = metadata.enemiesDefeated || '-';
             }
+            if (elements.dungeon) {
+                elements.dungeon.textContent = Number.isInteger(metadata.dungeonSeed) ? `Seed ${metadata.dungeonSeed}` : 'Classic';
+            }
 
             // Enable load and delete buttons
             if (elements.loadBtn) {
@@ -3217,6 +9958,9 @@ const updateSaveMenuInfo = (() => {
             if (elements.enemies) {
                 elements.enemies.textContent = '-';
             }
+            if (elements.dungeon) {
+                elements.dungeon.textContent = '-';
+            }
 
             // Disable load and delete buttons
             if (elements.loadBtn) {
@@ -3248,6 +9992,7 @@ function updateCameraFollow() {
     // Screen position = offsetX + worldX * scale
     // We want: CANVAS_WIDTH/2 = offsetX + playerCenterX * scale
     // Therefore: offsetX = CANVAS_WIDTH/2 - playerCenterX * scale
+    // (clampPanOffset then keeps the room on screen)
     const targetOffsetX = CANVAS_WIDTH / 2 - playerCenterX * viewport.scale;
     const targetOffsetY = CANVAS_HEIGHT / 2 - playerCenterY * viewport.scale;
 
@@ -3260,34 +10005,37 @@ function updateCameraFollow() {
 }
 
 function clampPanOffset() {
-    // Calculate the scaled dimensions of the game world
-    const scaledWidth = CANVAS_WIDTH * viewport.scale;
-    const scaledHeight = CANVAS_HEIGHT * viewport.scale;
-
-    if (viewport.scale > 1) {
-        // Zoomed in: World is larger than viewport
-        // Allow small margin (10% of viewport) for better camera follow near edges
-        // This is a compromise: mostly respects world boundaries but allows some centering
-        const margin = 0.1;
-        const maxEmptySpace = CANVAS_WIDTH * margin;
-        const maxEmptySpaceY = CANVAS_HEIGHT * margin;
-
-        // Max offset: Small positive values allowed for centering near top-left
-        const maxOffsetX = maxEmptySpace;
-        const maxOffsetY = maxEmptySpaceY;
+    // Calculate the scaled dimensions of the current room
+    const scaledWidth = gameState.roomWidth * TILE_SIZE * viewport.scale;
+    const scaledHeight = gameState.roomHeight * TILE_SIZE * viewport.scale;
 
-        // Min offset: Bounds for bottom-right with small margin
-        const minOffsetX = -(scaledWidth - CANVAS_WIDTH) - maxEmptySpace;
-        const minOffsetY = -(scaledHeight - CANVAS_HEIGHT) - maxEmptySpaceY;
+    viewport.offsetX = clampPanAxis(viewport.offsetX, scaledWidth, CANVAS_WIDTH);
+    viewport.offsetY = clampPanAxis(viewport.offsetY, scaledHeight, CANVAS_HEIGHT);
+}
 
-        viewport.offsetX = Math.max(minOffsetX, Math.min(maxOffsetX, viewport.offsetX));
-        viewport.offsetY = Math.max(minOffsetY, Math.min(maxOffsetY, viewport.offsetY));
-    } else {
-        // At 1x or zoomed out: World fits entirely in viewport
-        // Center the world - camera follow not needed at this scale
-        viewport.offsetX = (CANVAS_WIDTH - scaledWidth) / 2;
-        viewport.offsetY = (CANVAS_HEIGHT - scaledHeight) / 2;
+/**
+ * Clamp the pan offset along one axis (rooms can be wider than tall, or the other way round)
+ * @param {number} offset - Current offset in screen pixels
+ * @param {number} scaledSize - Room size on screen along this axis
+ * @param {number} canvasSize - Canvas size along this axis
+ * @returns {number} Clamped offset
+ */
+function clampPanAxis(offset, scaledSize, canvasSize) {
+    if (scaledSize > canvasSize) {
+        // Room is larger than the viewport along this axis
+        // Allow small margin (10% of viewport) for better camera follow near edges
+        // This is a compromise: mostly respects room boundaries but allows some centering
+        const maxEmptySpace = canvasSize * 0.1;
+
+        // Max offset: small positive values allowed near the top-left
+        // Min offset: bounds for the bottom-right with the same margin
+        const maxOffset = maxEmptySpace;
+        const minOffset = -(scaledSize - canvasSize) - maxEmptySpace;
+        return Math.max(minOffset, Math.min(maxOffset, offset));
     }
+
+    // Room fits entirely along this axis: center it, camera follow not needed
+    return (canvasSize - scaledSize) / 2;
 }
 
 // Viewport Zoom and Pan Controls
@@ -3350,6 +10098,18 @@ function setupViewportControls() {
 
         e.preventDefault();
 
+        // Targeting mode: one finger moves the spell preview instead of panning
+        if (MagicManager.state.targetingActive && touchesOnCanvas.length === 1) {
+            viewport.touchStartX = touchesOnCanvas[0].clientX;
+            viewport.touchStartY = touchesOnCanvas[0].clientY;
+            viewport.isDragging = false;
+            viewport.dragThresholdMet = false;
+            if (!TargetingSystem.isCancelButtonHit(touchesOnCanvas[0].clientX, touchesOnCanvas[0].clientY)) {
+                MagicManager.setPointerPosition(touchesOnCanvas[0].clientX, touchesOnCanvas[0].clientY);
+            }
+            return;
+        }
+
         if (touchesOnCanvas.length === 2) {
             // Two fingers - prepare for zoom
             viewport.isZooming = true;
@@ -3399,6 +10159,17 @@ function setupViewportControls() {
 
         e.preventDefault();
 
+        // Targeting mode: drag the spell preview with one finger
+        if (MagicManager.state.targetingActive && touchesOnCanvas.length === 1 && !viewport.isZooming) {
+            const deltaX = touchesOnCanvas[0].clientX - viewport.touchStartX;
+            const deltaY = touchesOnCanvas[0].clientY - viewport.touchStartY;
+            if (Math.sqrt(deltaX * deltaX + deltaY * deltaY) > DRAG_THRESHOLD) {
+                viewport.dragThresholdMet = true;
+            }
+            MagicManager.setPointerPosition(touchesOnCanvas[0].clientX, touchesOnCanvas[0].clientY);
+            return;
+        }
+
         if (viewport.isZooming && touchesOnCanvas.length === 2) {
             // Pinch to zoom
             const currentDistance = getTouchDistance(touchesOnCanvas[0], touchesOnCanvas[1]);
@@ -3452,6 +10223,35 @@ function setupViewportControls() {
         e.preventDefault();
         const touchesOnCanvas = Array.from(e.touches).filter(isTouchOnCanvas);
 
+        // Room editor: a tap uses the current tool (dragging pans)
+        if (RoomEditor.active && touchesOnCanvas.length === 0 && !viewport.isZooming) {
+            const changedTouch = e.changedTouches[0];
+            if (changedTouch && !viewport.dragThresholdMet) {
+                RoomEditor.useToolAt(changedTouch.clientX, changedTouch.clientY);
+            }
+            viewport.isDragging = false;
+            viewport.dragThresholdMet = false;
+            return;
+        }
+
+        // Targeting mode: a tap casts at the tapped location (dragging only moves the preview)
+        if (MagicManager.state.targetingActive && touchesOnCanvas.length === 0 && !viewport.isZooming) {
+            const changedTouch = e.changedTouches[0];
+            if (changedTouch && !viewport.dragThresholdMet) {
+                if (TargetingSystem.isCancelButtonHit(changedTouch.clientX, changedTouch.clientY)) {
+                    MagicManager.cancelTargeting();
+                    showMessage('Spell cancelled');
+                } else {
+                    MagicManager.setPointerPosition(changedTouch.clientX, changedTouch.clientY);
+                    MagicManager.updateTargeting(player, 0);
+                    MagicManager.confirmTargeting(player);
+                }
+            }
+            viewport.isDragging = false;
+            viewport.dragThresholdMet = false;
+            return;
+        }
+
         if (touchesOnCanvas.length < 2) {
             viewport.isZooming = false;
         }
@@ -3476,7 +10276,7 @@ function setupViewportControls() {
                         // Only select if enemy is alive
                         if (tappedEnemy && !tappedEnemy.isDead) {
                             gameState.selectedEnemy = tappedEnemy;
-                            const enemyName = tappedEnemy.type === 'basic' ? 'Goblin' : 'Orc';
+                            const enemyName = tappedEnemy.label;
                             showMessage(`Target: ${enemyName}`);
                         }
                     }
@@ -3535,6 +10335,25 @@ function setupViewportControls() {
         // Ignore clicks that were part of a drag
         if (viewport.dragThresholdMet) return;
 
+        // Room editor: click uses the current tool
+        if (RoomEditor.active) {
+            RoomEditor.useToolAt(e.clientX, e.clientY);
+            return;
+        }
+
+        // Targeting mode: click casts at the cursor instead of selecting enemies
+        if (MagicManager.state.targetingActive) {
+            if (TargetingSystem.isCancelButtonHit(e.clientX, e.clientY)) {
+                MagicManager.cancelTargeting();
+                showMessage('Spell cancelled');
+                return;
+            }
+            MagicManager.setPointerPosition(e.clientX, e.clientY);
+            MagicManager.updateTargeting(player, 0);
+            MagicManager.confirmTargeting(player);
+            return;
+        }
+
         // Convert to world coordinates and check for enemy hit
         const worldPos = screenToWorld(e.clientX, e.clientY);
         const clickedEnemy = getEnemyAtPosition(worldPos.x, worldPos.y);
@@ -3542,11 +10361,25 @@ function setupViewportControls() {
         // Only select if enemy is alive
         if (clickedEnemy && !clickedEnemy.isDead) {
             gameState.selectedEnemy = clickedEnemy;
-            const enemyName = clickedEnemy.type === 'basic' ? 'Goblin' : 'Orc';
+            const enemyName = clickedEnemy.label;
             showMessage(`Target: ${enemyName}`);
         }
     }
 
+    // Mouse Move Handler (desktop) - tracks the cursor for spell targeting previews
+    function handleMouseMove(e) {
+        if (isTouchOnCanvas({ clientX: e.clientX, clientY: e.clientY })) {
+            MagicManager.setPointerPosition(e.clientX, e.clientY);
+
+            // Room editor: drag with the left button held to paint or erase walls
+            if (RoomEditor.active && e.buttons === 1) {
+                RoomEditor.useToolAt(e.clientX, e.clientY, true);
+            }
+        } else {
+            MagicManager.setPointerPosition(null, null);
+        }
+    }
+
     // Attach event listeners to canvas wrapper
     canvasWrapper.addEventListener('touchstart', handleTouchStart, { passive: false });
     canvasWrapper.addEventListener('touchmove', handleTouchMove, { passive: false });
@@ -3554,6 +10387,8 @@ function setupViewportControls() {
     canvasWrapper.addEventListener('touchcancel', handleTouchEnd, { passive: false });
     canvasWrapper.addEventListener('wheel', handleWheel, { passive: false });
     canvasWrapper.addEventListener('click', handleClick);
+    canvasWrapper.addEventListener('mousemove', handleMouseMove);
+    canvasWrapper.addEventListener('mouseleave', () => MagicManager.setPointerPosition(null, null));
 }
 
 // Initialize game
@@ -3571,8 +10406,22 @@ function initGame() {
     setupVirtualJoystick();
     const charMenuHandler = setupCharacterMenu();
     const saveMenuHandler = setupSaveMenu();
+    setupRoomEditor();
     setupViewportControls();
 
+    // Load designer-tuned abilities and Tiled rooms (if present) before the game starts
+    Promise.all([AbilityLoader.load(), TiledImporter.load()])
+        .then(() => startGame(charMenuHandler, saveMenuHandler));
+}
+
+/**
+ * Second half of initGame, run once ability and room data are settled
+ * @param {object} charMenuHandler - Character menu controller from setupCharacterMenu
+ * @param {object} saveMenuHandler - Save menu controller from setupSaveMenu
+ */
+function startGame(charMenuHandler, saveMenuHandler) {
+    loadInitialGame();
+
     // Initialize magic system (Phase 2)
     MagicManager.init();
 
@@ -3586,7 +10435,15 @@ function initGame() {
             const spellbookModal = document.getElementById('spellbook-modal');
             const isSpellbookOpen = spellbookModal && !spellbookModal.classList.contains('hidden');
 
-            if (isSpellbookOpen) {
+            if (RoomEditor.active) {
+                RoomEditor.close();
+            } else if (MagicManager.state.targetingActive) {
+                MagicManager.cancelTargeting();
+                showMessage('Spell cancelled');
+            } else if (MagicManager.state.casting) {
+                MagicManager.cancelCasting();
+                showMessage('Cast cancelled');
+            } else if (isSpellbookOpen) {
                 closeSpellbook();
             } else if (charMenuHandler && charMenuHandler.isOpen()) {
                 charMenuHandler.closeMenu();
@@ -3627,8 +10484,8 @@ function gameLoop() {
             playerX: player?.x,
             playerY: player?.y,
             TILE_SIZE: TILE_SIZE,
-            GRID_WIDTH: GRID_WIDTH,
-            GRID_HEIGHT: GRID_HEIGHT
+            roomWidth: gameState.roomWidth,
+            roomHeight: gameState.roomHeight
         });
     }
 
@@ -3652,10 +10509,16 @@ function gameLoop() {
 
     // Update magic system (Phase 2)
     MagicManager.update(gameState.deltaTime);
+    MagicManager.updateTargeting(player, gameState.deltaTime);
+    MagicManager.updateCasting(player, gameState.deltaTime);
 
     // Update camera to follow player
     updateCameraFollow();
 
+    // Clear the margins around the room (visible when panned to an edge or zoomed out)
+    ctx.fillStyle = '#1a1a1a';
+    ctx.fillRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
+
     // DEBUG: Test draw a bright red rectangle at fixed position (no transforms) - only first few frames
     if (gameState.gameTime < 5) {
         ctx.fillStyle = '#FF0000';
@@ -3670,31 +10533,83 @@ function gameLoop() {
 
     // Draw floor tiles
     ctx.fillStyle = '#2c2c2c';
-    ctx.fillRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
+    ctx.fillRect(0, 0, gameState.roomWidth * TILE_SIZE, gameState.roomHeight * TILE_SIZE);
     ctx.fillStyle = '#3a3a3a';
-    for (let x = 0; x < GRID_WIDTH; x++) {
-        for (let y = 0; y < GRID_HEIGHT; y++) {
+    for (let x = 0; x < gameState.roomWidth; x++) {
+        for (let y = 0; y < gameState.roomHeight; y++) {
             if ((x + y) % 2 === 0) {
                 ctx.fillRect(x * TILE_SIZE, y * TILE_SIZE, TILE_SIZE, TILE_SIZE);
             }
         }
     }
 
+    if (RoomEditor.active) {
+        // The world is frozen while editing
+        RoomEditor.update();
+        RoomEditor.draw();
+    } else {
+        updateAndDrawWorld();
+    }
+
+    // Restore context state
+    ctx.restore();
+
+    // Update message timer (time-based)
+    if (gameState.messageTimer > 0) {
+        gameState.messageTimer = Math.max(0, gameState.messageTimer - gameState.deltaTime);
+        if (gameState.messageTimer === 0) {
+            document.getElementById('message-display').textContent = '';
+        }
+    }
+
+    // Update zoom indicator
+    updateZoomIndicator();
+
+    // Update player status effect icons and cast bar
+    updateStatusEffectsHUD();
+    updateCastBarHUD();
+    updateBossBarHUD();
+
+    requestAnimationFrame(gameLoop);
+}
+
+/**
+ * One frame of the running game: room, player, enemies, projectiles and effects
+ * (inside the world transform)
+ */
+function updateAndDrawWorld() {
     // Draw dungeon elements
     drawWalls();
     drawDoors();
+    drawSpawners();
     drawChests();
 
+    // Despawn old drops and draw this room's
+    LootManager.update();
+    LootManager.draw();
+
     // Update and draw player
     player.update();
     player.draw();
 
+    // Expand pending enemy paths within the frame budget
+    Pathfinding.update();
+
+    // Spawner waves, sealed doors and cleared-room respawns
+    SpawnerManager.update();
+    RoomStateManager.update();
+
     // Update and draw enemies
-    for (let enemy of gameState.enemies) {
+    // Iterate over a copy - damage-over-time can kill (and remove) an enemy mid-loop
+    for (let enemy of gameState.enemies.slice()) {
         enemy.update(player);
         enemy.draw();
     }
 
+    // Update and draw projectiles
+    ProjectileManager.update();
+    ProjectileManager.draw();
+
     // Update and draw particles
     for (let i = gameState.particles.length - 1; i >= 0; i--) {
         const particle = gameState.particles[i];
@@ -3706,19 +10621,17 @@ function gameLoop() {
         }
     }
 
-    // Restore context state
-    ctx.restore();
+    // Update and draw spell effects
+    for (let i = gameState.spellEffects.length - 1; i >= 0; i--) {
+        const effect = gameState.spellEffects[i];
+        effect.update(gameState.deltaTime);
+        effect.draw();
 
-    // Update message timer (time-based)
-    if (gameState.messageTimer > 0) {
-        gameState.messageTimer = Math.max(0, gameState.messageTimer - gameState.deltaTime);
-        if (gameState.messageTimer === 0) {
-            document.getElementById('message-display').textContent = '';
+        if (effect.isDead()) {
+            gameState.spellEffects.splice(i, 1);
         }
     }
 
-    // Update zoom indicator
-    updateZoomIndicator();
-
-    requestAnimationFrame(gameLoop);
+    // Draw spell targeting preview on top of the world (Phase 4)
+    TargetingSystem.draw(ctx, player);
 }